@@ -31,4 +31,5 @@ count_loop:
     LOOP count_loop
 
 done:
+    MOV AX, 0           ; Exit status: success
     SYSCALL EXIT
@@ -4,4 +4,5 @@
 
 ; AX already points to command line input (set by loader)
 SYSCALL PRINT_STRING
+MOV AX, 0               ; Exit status: success
 SYSCALL EXIT
@@ -166,6 +166,7 @@ parse_done:
 file_error:
     MOV AX, error_msg
     SYSCALL PRINT_STRING
+    MOV AX, 1           ; Exit status: failure
     SYSCALL EXIT
 
 ; ========== Draw World ==========
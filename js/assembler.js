@@ -30,6 +30,7 @@ const SyscallCode = {
   'READ_FILE': 19,
   'MALLOC': 20,
   'FREE': 21,
+  'WAIT_FRAME': 22,
 }
 
 // ============================================================================
@@ -473,6 +474,19 @@ function encodeInstruction(instruction, operands, labels, currentAddress, lineNu
       encode2Byte(Opcode.HLT, 0)
       break
 
+    // Interrupts
+    case 'EI':
+      encode2Byte(Opcode.EI, 0)
+      break
+
+    case 'DI':
+      encode2Byte(Opcode.DI, 0)
+      break
+
+    case 'IRET':
+      encode2Byte(Opcode.IRET, 0)
+      break
+
     // MOV variations
     case 'MOV': {
       let dst = ops[0]
@@ -728,6 +742,21 @@ function encodeInstruction(instruction, operands, labels, currentAddress, lineNu
       break
     }
 
+    case 'TEST': {
+      const dst = ops[0]
+      const src = ops[1]
+
+      if (dst.type === 'register' && src.type === 'register') {
+        encode4Byte(Opcode.TEST_REG_REG, dst.value, src.value, 0)
+      } else if (dst.type === 'register' && src.type === 'immediate') {
+        const imm = src.value & 0xFFFF
+        encode4Byte(Opcode.TEST_REG_IMM, dst.value, (imm >> 8) & 0xFF, imm & 0xFF)
+      } else {
+        throwError(`Invalid TEST operands`)
+      }
+      break
+    }
+
     // Jumps
     case 'JMP': {
       const target = ops[0].type === 'label' ? resolveLabel(ops[0].name) : ops[0].value
@@ -773,6 +802,31 @@ function encodeInstruction(instruction, operands, labels, currentAddress, lineNu
       break
     }
 
+    // Unsigned comparisons (use CF)
+    case 'JA': {
+      const target = ops[0].type === 'label' ? resolveLabel(ops[0].name) : ops[0].value
+      encode4Byte(Opcode.JA, 0, (target >> 8) & 0xFF, target & 0xFF)
+      break
+    }
+
+    case 'JAE': {
+      const target = ops[0].type === 'label' ? resolveLabel(ops[0].name) : ops[0].value
+      encode4Byte(Opcode.JAE, 0, (target >> 8) & 0xFF, target & 0xFF)
+      break
+    }
+
+    case 'JB': {
+      const target = ops[0].type === 'label' ? resolveLabel(ops[0].name) : ops[0].value
+      encode4Byte(Opcode.JB, 0, (target >> 8) & 0xFF, target & 0xFF)
+      break
+    }
+
+    case 'JBE': {
+      const target = ops[0].type === 'label' ? resolveLabel(ops[0].name) : ops[0].value
+      encode4Byte(Opcode.JBE, 0, (target >> 8) & 0xFF, target & 0xFF)
+      break
+    }
+
     case 'LOOP': {
       const target = ops[0].type === 'label' ? resolveLabel(ops[0].name) : ops[0].value
       encode4Byte(Opcode.LOOP, 0, (target >> 8) & 0xFF, target & 0xFF)
@@ -969,7 +1023,7 @@ export function assemble(source, filename = null) {
         // Check if operand is memory reference (contains '[')
         const hasMemoryOperand = ops[0].includes('[')
         size = hasMemoryOperand ? 4 : 2
-      } else if (['NOP', 'HLT', 'HALT', 'RET', 'MUL', 'DIV',
+      } else if (['NOP', 'HLT', 'HALT', 'EI', 'DI', 'IRET', 'RET', 'MUL', 'DIV',
                   'PUSH', 'POP', 'NOT', 'SYSCALL'].includes(inst)) {
         size = 2
       } else {
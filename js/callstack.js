@@ -0,0 +1,211 @@
+// Call Stack
+// Rebuilds the chain of active calls from the FP frames and return addresses
+// on the stack (see docs/X366-FUNCTIONS.md), for the bt command and panel
+// and for working out where Step Over and Step Out stop.
+//
+// A function is any CALL target, plus main and the program entry point; each
+// address belongs to the nearest function at or before it. A function whose
+// prologue (PUSH FP / MOV FP, SP) has run owns the frame at FP. Otherwise -
+// on entry, in the epilogue, or in a function without a frame - its return
+// address is found by searching the stack for one that follows a CALL to it.
+
+import { Opcode, RegCode, decodeFromBytes, hex, signed } from './emulator.js'
+
+const CALL_SIZE = 4
+const PROLOGUE_SIZE = 4     // PUSH FP (2 bytes) + MOV FP, SP (2 bytes)
+const MAX_FRAMES = 64
+const MAX_SLOTS = 8         // Locals and arguments shown per frame
+const RETURN_SEARCH = 32    // Stack words searched for a frameless function's return address
+
+// Decode without tripping watchpoints; null if the address is outside memory
+function decodeAt(cpu, address) {
+  try {
+    const bytes = []
+    for (let i = 0; i < 4; i++) {
+      bytes.push(cpu.peekMemory((address + i) & 0xFFFF, 1))
+    }
+    return decodeFromBytes(bytes)
+  } catch (err) {
+    return null
+  }
+}
+
+function readWord(cpu, address) {
+  try {
+    return cpu.peekMemory(address & 0xFFFF, 2)
+  } catch (err) {
+    return null
+  }
+}
+
+// Function start addresses, sorted, with their names
+function findFunctions(cpu, debugInfo) {
+  const symbols = debugInfo.symbols || {}
+  const starts = new Set([0x0020])
+  if ('main' in symbols) starts.add(symbols.main)
+  for (const { pc } of debugInfo.lineMap) {
+    const instr = decodeAt(cpu, pc)
+    if (instr && instr.opcode === Opcode.CALL) starts.add(instr.addr)
+  }
+
+  const names = new Map()
+  for (const [name, address] of Object.entries(symbols)) {
+    if (starts.has(address) && !names.has(address)) names.set(address, name)
+  }
+  return [...starts].sort((a, b) => a - b).map(start => ({ start, name: names.get(start) || hex(start) }))
+}
+
+function functionAt(functions, address) {
+  let found = functions[0]
+  for (const fn of functions) {
+    if (fn.start > address) break
+    found = fn
+  }
+  return found
+}
+
+// The call site before a return address, if it is a CALL (to `target`, when given)
+function callBefore(cpu, returnAddress, target = null) {
+  if (returnAddress === null || returnAddress < 0x0020 + CALL_SIZE) return null
+  const site = returnAddress - CALL_SIZE
+  const instr = decodeAt(cpu, site)
+  if (!instr || instr.opcode !== Opcode.CALL) return null
+  if (target !== null && instr.addr !== target) return null
+  return site
+}
+
+// Whether the function at `fn` starts with PUSH FP / MOV FP, SP
+function hasPrologue(cpu, fn) {
+  const push = decodeAt(cpu, fn.start)
+  const mov = decodeAt(cpu, fn.start + 2)
+  return push && push.opcode === Opcode.PUSH && push.reg === RegCode.FP &&
+    mov && mov.opcode === Opcode.MOV_REG_REG && mov.dst === RegCode.FP && mov.src === RegCode.SP
+}
+
+function slots(cpu, fp, from, to, step) {
+  const result = []
+  for (let address = from; step > 0 ? address < to : address >= to; address += step) {
+    if (result.length === MAX_SLOTS) break
+    const value = readWord(cpu, address)
+    if (value === null) break
+    result.push({ offset: address - fp, address, value })
+  }
+  return result
+}
+
+/**
+ * Rebuild the call stack, innermost frame first:
+ * [{ name, start, pc, line, fp, returnAddress, locals, args }]
+ * pc is the current instruction for frame 0 and the CALL for the others.
+ * locals ([FP-2], [FP-4], ...) and args ([FP+4], ...) are { offset, address, value },
+ * and empty for frames without an FP frame.
+ */
+export function buildCallStack(cpu, debugInfo) {
+  if (!debugInfo || !debugInfo.lineMap || debugInfo.lineMap.length === 0) return []
+
+  const functions = findFunctions(cpu, debugInfo)
+  const lineOf = new Map(debugInfo.lineMap.map(entry => [entry.pc, entry.line]))
+  const stackTop = cpu.memory.size
+
+  const frames = []
+  let pc = cpu.registers.PC
+  let sp = cpu.registers.SP
+  let fp = cpu.registers.FP
+
+  while (frames.length < MAX_FRAMES) {
+    const fn = functionAt(functions, pc)
+    const frame = {
+      name: fn.name,
+      start: fn.start,
+      pc,
+      line: lineOf.has(pc) ? lineOf.get(pc) : null,
+      fp: null,
+      returnAddress: null,
+      locals: [],
+      args: []
+    }
+    frames.push(frame)
+
+    const current = decodeAt(cpu, pc)
+    const atReturn = current && current.opcode === Opcode.RET
+    const ownsFrame = !atReturn && pc >= fn.start + PROLOGUE_SIZE && hasPrologue(cpu, fn) &&
+      fp >= sp && fp + 1 < stackTop
+
+    let returnSlot = null
+    let callerFp = fp
+    if (ownsFrame) {
+      returnSlot = fp + 2
+      callerFp = readWord(cpu, fp)
+      frame.fp = fp
+      frame.locals = slots(cpu, fp, fp - 2, sp, -2)
+      const argsEnd = callerFp > fp && callerFp < stackTop ? callerFp : stackTop
+      frame.args = slots(cpu, fp, fp + 4, argsEnd, 2)
+    } else {
+      // Search up the stack for a return address into this function's caller
+      for (let i = 0, address = sp; i < RETURN_SEARCH && address + 1 < stackTop; i++, address += 2) {
+        if (callBefore(cpu, readWord(cpu, address), fn.start) !== null) {
+          returnSlot = address
+          break
+        }
+      }
+    }
+    if (returnSlot === null) break
+
+    const returnAddress = readWord(cpu, returnSlot)
+    const site = callBefore(cpu, returnAddress)
+    if (site === null) break
+    frame.returnAddress = returnAddress
+
+    pc = site
+    sp = returnSlot + 2
+    fp = callerFp
+  }
+
+  return frames
+}
+
+/**
+ * Step Over target for the instruction at PC: { pc, sp } to run until for a
+ * CALL (the next instruction, with SP back where it is now, so a recursive
+ * call returning to the same place does not stop early), or null otherwise
+ */
+export function stepOverTarget(cpu) {
+  const instr = decodeAt(cpu, cpu.registers.PC)
+  if (!instr || instr.opcode !== Opcode.CALL) return null
+  return { pc: (cpu.registers.PC + instr.size) & 0xFFFF, sp: cpu.registers.SP }
+}
+
+/**
+ * Step Out target: { pc, sp } for the current function's return to its
+ * caller, or null outside a called function. The return address is at or
+ * above SP, so SP is above the current SP once it has been popped.
+ */
+export function stepOutTarget(cpu, debugInfo) {
+  const frames = buildCallStack(cpu, debugInfo)
+  if (frames.length < 2) return null
+  return { pc: frames[0].returnAddress, sp: cpu.registers.SP + 2 }
+}
+
+/**
+ * Whether the CPU has reached a step target
+ */
+export function atStepTarget(cpu, target) {
+  return cpu.registers.PC === target.pc && cpu.registers.SP >= target.sp
+}
+
+/**
+ * Format frames as gdb-style backtrace lines
+ */
+export function formatCallStack(frames) {
+  if (frames.length === 0) return ['No call stack - load a program with debug info']
+  const lines = []
+  frames.forEach((frame, i) => {
+    const where = frame.line !== null ? `line ${frame.line}` : hex(frame.pc)
+    const fp = frame.fp !== null ? `  FP=${hex(frame.fp)}` : ''
+    lines.push(`#${i}  ${frame.name} at ${where}${fp}`)
+    const format = (slot) => `[FP${slot.offset < 0 ? '' : '+'}${slot.offset}]=${hex(slot.value)} (${signed(slot.value)})`
+    if (frame.args.length > 0) lines.push(`      args:   ${frame.args.map(format).join('  ')}`)
+    if (frame.locals.length > 0) lines.push(`      locals: ${frame.locals.map(format).join('  ')}`)
+  })
+  return lines
+}
@@ -0,0 +1,112 @@
+// Code Coverage
+// Records which instructions ran and which way each conditional jump went,
+// then maps them to source lines through the debug lineMap. Coverage adds up
+// over runs until cleared, so a program can be run once per test input.
+
+import { Opcode } from './emulator.js'
+
+const CONDITIONAL_JUMPS = new Set([
+  Opcode.JE, Opcode.JNE, Opcode.JL, Opcode.JG, Opcode.JLE, Opcode.JGE,
+  Opcode.JA, Opcode.JAE, Opcode.JB, Opcode.JBE, Opcode.LOOP
+])
+
+export class Coverage {
+  constructor() {
+    this.counts = new Uint32Array(0x10000)  // Executions per PC
+    this.branches = new Map()               // PC -> [not taken, taken] for conditional jumps
+  }
+
+  clear() {
+    this.counts.fill(0)
+    this.branches.clear()
+  }
+
+  /**
+   * Called by CPU.step() after an instruction completes
+   */
+  record(cpu, pc, instr) {
+    this.counts[pc]++
+    if (CONDITIONAL_JUMPS.has(instr.opcode)) {
+      let outcomes = this.branches.get(pc)
+      if (!outcomes) {
+        outcomes = [0, 0]
+        this.branches.set(pc, outcomes)
+      }
+      const taken = cpu.registers.PC !== ((pc + instr.size) & 0xFFFF)
+      outcomes[taken ? 1 : 0]++
+    }
+  }
+
+  /**
+   * Every source line with code: [{ line, count, branches }] in line order.
+   * branches is [not taken, taken] for a conditional jump, otherwise null.
+   */
+  lines(lineMap) {
+    const byLine = new Map()
+    for (const { pc, line } of lineMap) {
+      let row = byLine.get(line)
+      if (!row) {
+        row = { line, count: 0, branches: null }
+        byLine.set(line, row)
+      }
+      row.count += this.counts[pc]
+      const outcomes = this.branches.get(pc)
+      if (outcomes) {
+        row.branches = row.branches || [0, 0]
+        row.branches[0] += outcomes[0]
+        row.branches[1] += outcomes[1]
+      }
+    }
+    return [...byLine.values()].sort((a, b) => a.line - b.line)
+  }
+
+  /**
+   * Line and branch totals: { lines, linesHit, branches, branchesHit, uncovered }
+   * Each conditional jump counts as two branches, taken and not taken.
+   */
+  summary(lineMap) {
+    const rows = this.lines(lineMap)
+    const summary = { lines: rows.length, linesHit: 0, branches: 0, branchesHit: 0, uncovered: [] }
+    for (const row of rows) {
+      if (row.count > 0) summary.linesHit++
+      else summary.uncovered.push(row.line)
+      if (row.branches) {
+        summary.branches += 2
+        summary.branchesHit += (row.branches[0] > 0 ? 1 : 0) + (row.branches[1] > 0 ? 1 : 0)
+      }
+    }
+    return summary
+  }
+
+  /**
+   * One-line summary, e.g. "Lines: 9/10 (90.0%)  Branches: 3/4 (75.0%)"
+   */
+  summaryText(lineMap) {
+    const summary = this.summary(lineMap)
+    const percent = (hit, total) => total > 0 ? (hit * 100 / total).toFixed(1) : '100.0'
+    return `Lines: ${summary.linesHit}/${summary.lines} (${percent(summary.linesHit, summary.lines)}%)` +
+      `  Branches: ${summary.branchesHit}/${summary.branches} (${percent(summary.branchesHit, summary.branches)}%)`
+  }
+
+  /**
+   * Coverage in LCOV tracefile format, readable by genhtml and most CI tools
+   */
+  toLCOV(lineMap, sourceFile, testName = '') {
+    const rows = this.lines(lineMap)
+    const summary = this.summary(lineMap)
+    const out = [`TN:${testName}`, `SF:${sourceFile}`]
+    for (const row of rows) {
+      if (!row.branches) continue
+      // Branches of a line that never ran are '-' rather than 0
+      const outcome = (count) => row.count > 0 ? String(count) : '-'
+      out.push(`BRDA:${row.line},0,0,${outcome(row.branches[1])}`)
+      out.push(`BRDA:${row.line},0,1,${outcome(row.branches[0])}`)
+    }
+    out.push(`BRF:${summary.branches}`, `BRH:${summary.branchesHit}`)
+    for (const row of rows) {
+      out.push(`DA:${row.line},${row.count}`)
+    }
+    out.push(`LF:${summary.lines}`, `LH:${summary.linesHit}`, 'end_of_record')
+    return out.join('\n') + '\n'
+  }
+}
@@ -0,0 +1,113 @@
+// CPU Worker Client
+// The UI's end of the CPU worker protocol (see cpu-worker.js). Each run or
+// step gets an id, and messages from an earlier one are dropped, so a run
+// that was cancelled cannot hand back a machine the UI has since replaced.
+
+export class CPUClient {
+  /**
+   * `port` is the Worker (or any MessagePort-like object). `handlers` are
+   * optional callbacks named after the messages: onOutput(text), onLog(text),
+   * onInputWait(kind), onFrame(frame) and onStop({ reason, state, hits }).
+   */
+  constructor(port, handlers = {}) {
+    this.port = port
+    this.handlers = handlers
+    this.nextId = 1
+    this.current = null  // Id of the run or step in progress
+    this.port.onmessage = event => this.receive(event.data)
+  }
+
+  // True from run() or step() until the machine comes back
+  get busy() {
+    return this.current !== null
+  }
+
+  /**
+   * Run the machine from `state` (from captureState) until it halts, faults,
+   * reaches a breakpoint or Step Over/Out target, or is paused.
+   * `options` are { files, speed, turbo, breakpoints, hits, symbols, stepTarget }.
+   */
+  run(state, options = {}) {
+    this.current = this.nextId++
+    this.port.postMessage({
+      type: 'run',
+      id: this.current,
+      state,
+      files: options.files || null,
+      speed: options.speed || 0,
+      turbo: options.turbo || false,
+      breakpoints: options.breakpoints || [],
+      hits: options.hits || [],
+      symbols: options.symbols || null,
+      stepTarget: options.stepTarget || null
+    })
+  }
+
+  /**
+   * Run `count` instructions from `state`, ignoring breakpoints
+   */
+  step(state, count = 1, files = null) {
+    this.current = this.nextId++
+    this.port.postMessage({ type: 'step', id: this.current, state, files, count })
+  }
+
+  // Stop the run; the machine comes back to onStop with reason 'pause'
+  pause() {
+    if (this.busy) this.port.postMessage({ type: 'pause' })
+  }
+
+  // Stop the run and drop the machine it would hand back
+  cancel() {
+    this.pause()
+    this.current = null
+  }
+
+  setBreakpoints(breakpoints) {
+    this.port.postMessage({ type: 'breakpoints', breakpoints })
+  }
+
+  provideInput(text) {
+    this.port.postMessage({ type: 'input', text })
+  }
+
+  clearInput() {
+    this.port.postMessage({ type: 'clearInput' })
+  }
+
+  closeInput() {
+    this.port.postMessage({ type: 'closeInput' })
+  }
+
+  setButtons(state) {
+    this.port.postMessage({ type: 'buttons', state })
+  }
+
+  terminate() {
+    this.current = null
+    if (this.port.terminate) this.port.terminate()
+    else this.port.close()
+  }
+
+  receive(message) {
+    if (message.id !== this.current) return
+    const handlers = this.handlers
+    switch (message.type) {
+      case 'output':
+        if (handlers.onOutput) handlers.onOutput(message.text)
+        break
+      case 'log':
+        if (handlers.onLog) handlers.onLog(message.text)
+        break
+      case 'inputWait':
+        if (handlers.onInputWait) handlers.onInputWait(message.kind)
+        break
+      case 'frame':
+        if (handlers.onFrame) handlers.onFrame(message)
+        break
+      case 'stopped':
+        this.current = null
+        if (handlers.onStop) handlers.onStop(message)
+        break
+    }
+  }
+}
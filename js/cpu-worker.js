@@ -0,0 +1,153 @@
+// CPU Worker
+// Runs the machine in a Web Worker so a program at full speed leaves the main
+// thread to the editor. The UI keeps its own copy of the machine for its views:
+// each run or step hands the whole machine to the worker (captureState), and
+// the worker hands it back when it stops. While it runs, the worker streams
+// registers and VRAM for display and passes console I/O across.
+//
+// Messages to the worker (CPUClient sends these):
+//   { type: 'run', id, state, files, speed, turbo, breakpoints, hits, symbols, stepTarget }
+//   { type: 'step', id, state, files, count }
+//   { type: 'pause' }                      - stop the run and send the machine back
+//   { type: 'breakpoints', breakpoints }   - [{ pc, line, options }] with options as typed
+//   { type: 'input', text }, { type: 'clearInput' }, { type: 'closeInput' }
+//   { type: 'buttons', state }             - the Game Boy button byte
+//
+// Messages from the worker, with the id of the run or step:
+//   { type: 'output', id, text }           - program output
+//   { type: 'log', id, text }              - logpoint and breakpoint messages
+//   { type: 'inputWait', id, kind }        - a read syscall is waiting for input
+//   { type: 'frame', id, registers, instructionCount, vram }  - vram is null if unchanged
+//   { type: 'stopped', id, reason, state, hits }
+//     reason: 'halt', 'fault', 'breakpoint', 'target' (Step Over/Out) or 'pause' for
+//     a run, and always 'step' for a step
+
+import { Machine } from './machine.js'
+import { Turbo } from './turbo.js'
+import { captureState, restoreState } from './snapshot.js'
+
+/**
+ * READ_FILE's view of the UI's file cache, sent with each run
+ */
+class FileCache {
+  constructor(files) {
+    this.files = files  // Absolute path -> content
+  }
+
+  readFileSync(path) {
+    const parts = []
+    for (const part of path.split('/')) {
+      if (part === '..') parts.pop()
+      else if (part !== '' && part !== '.') parts.push(part)
+    }
+    const normalized = '/' + parts.join('/')
+    if (!this.files.has(normalized)) {
+      throw new Error(`File not in cache: ${normalized}`)
+    }
+    return this.files.get(normalized)
+  }
+}
+
+export class CPUWorker {
+  constructor(post) {
+    this.post = post  // Sends a message to the UI
+    this.machine = new Machine()
+    this.turbo = new Turbo()
+    this.id = null    // The run or step being served
+
+    const machine = this.machine
+    machine.on('output', text => this.post({ type: 'output', id: this.id, text }))
+    machine.on('log', text => this.post({ type: 'log', id: this.id, text }))
+    machine.on('inputWait', kind => this.post({ type: 'inputWait', id: this.id, kind }))
+    machine.on('frame', () => this.sendFrame())
+    machine.on('stop', reason => this.handBack(reason))
+  }
+
+  handle(message) {
+    const machine = this.machine
+    switch (message.type) {
+      case 'run':
+        this.load(message)
+        machine.speed = message.speed
+        machine.cpu.turbo = message.turbo ? this.turbo : null
+        machine.setBreakpoints(message.breakpoints)
+        machine.hits = new Map(message.hits)
+        // Breakpoint conditions only need the symbols
+        machine.debugInfo = message.symbols ? { symbols: message.symbols } : null
+        machine.stepTarget = message.stepTarget
+        machine.run()
+        break
+      case 'step':
+        this.load(message)
+        this.step(message.count)
+        break
+      case 'pause':
+        machine.pause()
+        break
+      case 'breakpoints':
+        machine.setBreakpoints(message.breakpoints)
+        break
+      case 'input':
+        machine.provideInput(message.text)
+        break
+      case 'clearInput':
+        machine.os.clearInput()
+        break
+      case 'closeInput':
+        machine.closeInput()
+        break
+      case 'buttons':
+        machine.buttons.set(message.state)
+        break
+      default:
+        throw new Error(`Unknown CPU worker message: ${message.type}`)
+    }
+  }
+
+  // Take over the machine the UI sent
+  load(message) {
+    this.machine.pause()
+    this.id = message.id
+    restoreState(message.state, this.machine)
+    this.machine.os.filesystem = message.files ? new FileCache(message.files) : null
+    this.machine.display.dirty = false
+  }
+
+  step(count) {
+    const cpu = this.machine.cpu
+    for (let i = 0; i < count; i++) {
+      if (!cpu.step() || cpu.waiting) break
+    }
+    this.handBack('step')
+  }
+
+  sendFrame() {
+    const { cpu, display } = this.machine
+    const vram = display.dirty ? display.vram.slice() : null
+    display.dirty = false
+    this.post({
+      type: 'frame',
+      id: this.id,
+      registers: { ...cpu.registers },
+      instructionCount: cpu.instructionCount,
+      vram
+    })
+  }
+
+  // Give the machine back to the UI
+  handBack(reason) {
+    this.post({
+      type: 'stopped',
+      id: this.id,
+      reason,
+      state: captureState(this.machine),
+      hits: [...this.machine.hits]
+    })
+  }
+}
+
+// Loaded as a worker: serve the UI over the worker's message port
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  const worker = new CPUWorker(message => self.postMessage(message))
+  self.onmessage = event => worker.handle(event.data)
+}
@@ -53,7 +53,7 @@ export class AsmDebugger {
     const lines = code.split('\n')
     const highlighted = []
 
-    const keywords = /\b(MOV|ADD|SUB|MUL|DIV|INC|DEC|AND|OR|XOR|NOT|SHL|SHR|CMP|JMP|JE|JNE|JG|JL|JGE|JLE|JZ|JNZ|CALL|RET|PUSH|POP|SYSCALL|NOP|HLT)\b/gi
+    const keywords = /\b(MOV|ADD|SUB|MUL|DIV|INC|DEC|AND|OR|XOR|NOT|SHL|SHR|CMP|JMP|JE|JNE|JG|JL|JGE|JLE|JZ|JNZ|CALL|RET|PUSH|POP|SYSCALL|NOP|HLT|EI|DI|IRET)\b/gi
     const registers = /\b(AX|BX|CX|DX|EX|FX|SP|FP|PC|IR|DR|BK|CB)\b/gi
     const numbers = /\b(0x[0-9A-Fa-f]+|\d+)\b/g
     const labels = /^([a-zA-Z_][a-zA-Z0-9_]*):$/gm
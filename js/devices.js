@@ -0,0 +1,191 @@
+// Memory-Mapped Devices
+// Peripherals that Memory routes a range of addresses to instead of RAM (see
+// Memory.attach). A device is any object with:
+//
+//   name          - used by Memory.getDevice() and in error messages
+//   start, end    - first and last address it answers (inclusive)
+//   read(offset)  - the byte at start + offset
+//   write(offset, value)
+//   tick(cpu)     - optional, called after every instruction, e.g. to raise
+//                   an interrupt with cpu.raiseInterrupt(); state it changes
+//                   is saved with cpu.journal.addUndo() when there is a journal
+//   reset()       - optional, called when the CPU is reset for a new program
+//   saveState(), restoreState(state)
+//                 - optional, a copy of the device's own state, to move the
+//                   machine to and from the CPU worker (see captureState) and
+//                   to undo a program's writes when stepping backwards
+//
+// A device may sit above physical memory (the display) or shadow RAM (the
+// buttons). Which devices a machine has is its configuration, built with
+// createDevices().
+
+import { Interrupt } from './emulator.js'
+
+export const VRAM_START = 0x4000
+export const BUTTON_ADDRESS = 0x0010
+export const TIMER_ADDRESS = 0x0012
+
+const FRAME_MS = 1000 / 60
+
+/**
+ * The display's VRAM, 4 pixels per byte, at 0x4000-0x567F.
+ * Writes show up on the next refresh, like the drawing syscalls.
+ * Raises VBLANK at the start of each 60 Hz frame (in real time).
+ */
+export class DisplayDevice {
+  constructor(display) {
+    this.name = 'display'
+    this.display = display
+    this.start = VRAM_START
+    this.end = VRAM_START + display.getVRAM().length - 1
+    this.frame = null
+  }
+
+  tick(cpu) {
+    // Reading the clock on every instruction is slow, so only with a handler
+    if (!cpu.hasInterruptHandler(Interrupt.VBLANK)) return
+    const frame = Math.floor(performance.now() / FRAME_MS)
+    if (frame === this.frame) return
+    if (this.frame !== null) cpu.raiseInterrupt(Interrupt.VBLANK)
+    this.frame = frame
+  }
+
+  read(offset) {
+    return this.display.getVRAM()[offset]
+  }
+
+  write(offset, value) {
+    this.display.getVRAM()[offset] = value
+    this.display.refresh()
+  }
+}
+
+/**
+ * The Game Boy buttons: one read-only byte with a bit per pressed button
+ * (right, left, up, down, A, B, select, start from bit 0). Programs poll it
+ * or take the BUTTON interrupt; the UI sets it as buttons go down and up.
+ */
+export class ButtonDevice {
+  constructor() {
+    this.name = 'buttons'
+    this.start = BUTTON_ADDRESS
+    this.end = BUTTON_ADDRESS
+    this.state = 0
+    this.changed = false  // Pressed or released since the last tick
+  }
+
+  tick(cpu) {
+    if (!this.changed) return
+    this.changed = false
+    if (cpu.journal) cpu.journal.addUndo(() => { this.changed = true })
+    cpu.raiseInterrupt(Interrupt.BUTTON)
+  }
+
+  read() {
+    return this.state
+  }
+
+  saveState() {
+    return { state: this.state, changed: this.changed }
+  }
+
+  restoreState({ state, changed }) {
+    this.state = state
+    this.changed = changed
+  }
+
+  write() {
+    // Read-only - a program cannot press buttons
+  }
+
+  press(bits) {
+    this.set(this.state | bits)
+  }
+
+  release(bits) {
+    this.set(this.state & ~bits & 0xFF)
+  }
+
+  set(state) {
+    if (state !== this.state) this.changed = true
+    this.state = state
+  }
+}
+
+/**
+ * Programmable timer: a word at 0x0012 holding a period in instructions.
+ * A non-zero period raises TIMER every `period` instructions, counted from
+ * the write; 0 stops the timer. Counting instructions rather than time keeps
+ * runs repeatable.
+ */
+export class TimerDevice {
+  constructor() {
+    this.name = 'timer'
+    this.start = TIMER_ADDRESS
+    this.end = TIMER_ADDRESS + 1
+    this.reset()
+  }
+
+  reset() {
+    this.period = 0
+    this.startCount = null  // Instruction count the period is counted from
+  }
+
+  read(offset) {
+    return offset === 0 ? this.period >> 8 : this.period & 0xFF
+  }
+
+  saveState() {
+    return { period: this.period, startCount: this.startCount }
+  }
+
+  restoreState({ period, startCount }) {
+    this.period = period
+    this.startCount = startCount
+  }
+
+  write(offset, value) {
+    this.period = offset === 0
+      ? (value << 8) | (this.period & 0xFF)
+      : (this.period & 0xFF00) | value
+    this.startCount = null
+  }
+
+  tick(cpu) {
+    if (this.period === 0) return
+    if (this.startCount === null) {
+      this.startCount = cpu.instructionCount
+      if (cpu.journal) cpu.journal.addUndo(() => { this.startCount = null })
+    } else if ((cpu.instructionCount - this.startCount) % this.period === 0) {
+      cpu.raiseInterrupt(Interrupt.TIMER)
+    }
+  }
+}
+
+// Devices on the browser machine's memory bus, in the UI and the CPU worker
+export const MACHINE_DEVICES = ['display', 'buttons', 'timer']
+
+// Device constructors by configuration name. A device that needs something the
+// machine does not have (a display without a canvas) is left out.
+export const DEVICE_TYPES = {
+  display: ({ display }) => display ? new DisplayDevice(display) : null,
+  buttons: () => new ButtonDevice(),
+  timer: () => new TimerDevice()
+}
+
+/**
+ * Build the devices named in a machine configuration, e.g.
+ * createDevices(['display', 'buttons'], { display })
+ */
+export function createDevices(names, context = {}) {
+  const devices = []
+  for (const name of names) {
+    const create = DEVICE_TYPES[name]
+    if (!create) {
+      throw new Error(`Unknown device: ${name}`)
+    }
+    const device = create(context)
+    if (device) devices.push(device)
+  }
+  return devices
+}
@@ -9,6 +9,9 @@ export const Opcode = {
   // System
   NOP: 0x00,
   HLT: 0x01,
+  EI: 0x02,            // Enable interrupts
+  DI: 0x03,            // Disable interrupts
+  IRET: 0x04,          // Return from interrupt handler
 
   // Data Movement
   MOV_REG_REG: 0x10,
@@ -74,6 +77,8 @@ export const Opcode = {
   CMP_REG_IMM: 0x41,
   CMP_MEM: 0x42,       // CMP reg, [addr]
   CMP_MEMR: 0x43,      // CMP reg, [base+offset]
+  TEST_REG_REG: 0x44,  // AND without storing the result
+  TEST_REG_IMM: 0x45,
   JMP: 0x50,
   JE: 0x51,
   JNE: 0x52,
@@ -82,6 +87,10 @@ export const Opcode = {
   JLE: 0x55,
   JGE: 0x56,
   LOOP: 0x57,
+  JA: 0x58,            // Unsigned above (CF=0 and ZF=0)
+  JAE: 0x59,           // Unsigned above or equal (CF=0)
+  JB: 0x5A,            // Unsigned below (CF=1)
+  JBE: 0x5B,           // Unsigned below or equal (CF=1 or ZF=1)
 
   // Stack & Functions
   PUSH: 0x60,
@@ -116,6 +125,7 @@ export const Syscall = {
   READ_FILE: 19,
   MALLOC: 20,
   FREE: 21,
+  WAIT_FRAME: 22,
 }
 
 // Register name to code mapping
@@ -129,6 +139,16 @@ export const RegCode = {
 // Code to register name mapping
 export const RegName = ['AX', 'BX', 'CX', 'DX', 'EX', 'FX', 'SP', 'FP']
 
+// Flag bits in the FLAGS word an interrupt pushes (the x86 positions)
+export const FlagBit = {
+  CF: 0x0001,
+  ZF: 0x0040,
+  SF: 0x0080,
+  IF: 0x0200,
+  OF: 0x0800,
+  UF: 0x1000,
+}
+
 // ============================================================================
 // Registers
 // ============================================================================
@@ -159,6 +179,8 @@ export class Registers {
     this.SF = 0  // Sign Flag
     this.CF = 0  // Carry Flag
     this.OF = 0  // Overflow Flag
+    this.IF = 0  // Interrupt Enable Flag
+    this.UF = 0  // User Mode Flag (0 = privileged)
   }
 
   /**
@@ -235,17 +257,41 @@ export class Registers {
       SF: this.SF,
       CF: this.CF,
       OF: this.OF,
+      IF: this.IF,
+      UF: this.UF,
     }
   }
 
   /**
    * Set flags from object
    */
-  setFlags({ ZF, SF, CF, OF }) {
+  setFlags({ ZF, SF, CF, OF, IF, UF }) {
     if (ZF !== undefined) this.ZF = ZF ? 1 : 0
     if (SF !== undefined) this.SF = SF ? 1 : 0
     if (CF !== undefined) this.CF = CF ? 1 : 0
     if (OF !== undefined) this.OF = OF ? 1 : 0
+    if (IF !== undefined) this.IF = IF ? 1 : 0
+    if (UF !== undefined) this.UF = UF ? 1 : 0
+  }
+
+  /**
+   * All flags packed into the FLAGS word pushed when an interrupt or trap is taken
+   */
+  getFlagsWord() {
+    return (this.CF ? FlagBit.CF : 0) | (this.ZF ? FlagBit.ZF : 0) | (this.SF ? FlagBit.SF : 0) |
+      (this.IF ? FlagBit.IF : 0) | (this.OF ? FlagBit.OF : 0) | (this.UF ? FlagBit.UF : 0)
+  }
+
+  /**
+   * Unpack a FLAGS word (for IRET)
+   */
+  setFlagsWord(word) {
+    this.CF = word & FlagBit.CF ? 1 : 0
+    this.ZF = word & FlagBit.ZF ? 1 : 0
+    this.SF = word & FlagBit.SF ? 1 : 0
+    this.IF = word & FlagBit.IF ? 1 : 0
+    this.OF = word & FlagBit.OF ? 1 : 0
+    this.UF = word & FlagBit.UF ? 1 : 0
   }
 
   /**
@@ -284,6 +330,434 @@ export class Registers {
     this.SF = 0
     this.CF = 0
     this.OF = 0
+    this.IF = 0           // Interrupts start disabled
+    this.UF = 0           // Programs start privileged
+  }
+}
+
+// ============================================================================
+// Faults
+// ============================================================================
+
+/**
+ * Kinds of fault that stop the CPU
+ */
+export const FaultKind = {
+  MEMORY_READ: 'memory-read',        // Read outside physical memory
+  MEMORY_WRITE: 'memory-write',      // Write outside physical memory
+  PROTECTION: 'protection',          // User mode wrote a system table or ran a privileged instruction
+  DIVIDE_BY_ZERO: 'divide-by-zero',  // DIV with a zero divisor
+  INVALID_OPCODE: 'invalid-opcode',  // Byte at PC is not an instruction
+}
+
+/**
+ * Error raised by the memory or the CPU while executing a program.
+ * Memory only knows the address; CPU.step() fills in the faulting PC and
+ * decoded instruction before halting.
+ */
+export class CPUFault extends Error {
+  constructor(kind, message, { pc = null, address = null, instruction = null } = {}) {
+    super(message)
+    this.name = 'CPUFault'
+    this.kind = kind
+    this.pc = pc
+    this.address = address
+    this.instruction = instruction
+  }
+}
+
+/**
+ * A word (or with `digits` = 2, a byte) in uppercase hex: hexDigits(42) is
+ * '002A', hex(42) is '0x002A'
+ */
+export function hexDigits(value, digits = 4) {
+  return (value & 0xFFFF).toString(16).toUpperCase().padStart(digits, '0')
+}
+
+export function hex(value, digits = 4) {
+  return '0x' + hexDigits(value, digits)
+}
+
+/** A word as a two's complement number: signed(0xFFFF) is -1 */
+export function signed(value) {
+  value &= 0xFFFF
+  return value > 32767 ? value - 65536 : value
+}
+
+/**
+ * Format a fault and the register state as report lines.
+ * `line` is the source line of the faulting PC and `instructionText` its
+ * disassembly, when the caller has them.
+ */
+export function formatFault(fault, registers, { line = null, instructionText = null } = {}) {
+  const lines = [`CPU fault (${fault.kind}): ${fault.message}`]
+
+  let where = `  at PC=${hex(fault.pc ?? registers.PC)}`
+  if (line !== null) where += ` (line ${line})`
+  lines.push(where)
+
+  if (instructionText) {
+    lines.push(`  instruction: ${instructionText}`)
+  } else if (fault.instruction) {
+    lines.push(`  instruction: ${getInstructionName(fault.instruction.opcode)}`)
+  }
+  if (fault.address !== null) {
+    lines.push(`  address: ${hex(fault.address)}`)
+  }
+
+  const regs = (names) => names.map(name => `${name}=${hex(registers[name])}`).join(' ')
+  lines.push(`  ${regs(['AX', 'BX', 'CX', 'DX'])}`)
+  lines.push(`  ${regs(['EX', 'FX', 'SP', 'FP'])}`)
+  lines.push(`  ${regs(['BK', 'CB'])} ZF=${registers.ZF} SF=${registers.SF} CF=${registers.CF} OF=${registers.OF}`)
+  return lines
+}
+
+// ============================================================================
+// Watchpoints
+// ============================================================================
+
+/**
+ * Data watchpoints checked on every memory access the CPU makes while
+ * executing an instruction (instruction fetches are not data accesses).
+ *
+ * Kinds:
+ *   read   - any read in the range
+ *   write  - any write in the range
+ *   access - any read or write in the range
+ *   change - a write that changes the stored value
+ * A watchpoint with a value only fires on writes that store that value.
+ */
+export class Watchpoints {
+  constructor() {
+    this.list = []      // { id, start, end, kind, value }
+    this.nextId = 1
+    this.hit = null     // First hit since it was last cleared
+    this.pc = 0         // PC of the instruction being executed
+  }
+
+  add(start, end = start, kind = 'write', value = null) {
+    if (!['read', 'write', 'access', 'change'].includes(kind)) {
+      throw new Error(`Unknown watchpoint kind: ${kind}`)
+    }
+    if (value !== null && kind === 'read') {
+      throw new Error('A value can only be watched on writes')
+    }
+    if (end < start) {
+      throw new Error('Watchpoint range ends before it starts')
+    }
+    const watchpoint = { id: this.nextId++, start, end, kind, value }
+    this.list.push(watchpoint)
+    return watchpoint
+  }
+
+  remove(id) {
+    const index = this.list.findIndex(watchpoint => watchpoint.id === id)
+    if (index === -1) return false
+    this.list.splice(index, 1)
+    return true
+  }
+
+  clear() {
+    this.list = []
+    this.hit = null
+  }
+
+  /**
+   * Find a watchpoint covering any byte of [address, address + size)
+   */
+  find(address, size = 1) {
+    const last = address + size - 1
+    return this.list.find(watchpoint => watchpoint.start <= last && watchpoint.end >= address) || null
+  }
+
+  /**
+   * Called by Memory on each data access
+   */
+  check(access, address, size, value, oldValue) {
+    if (this.hit) return
+    const last = address + size - 1
+
+    for (const watchpoint of this.list) {
+      if (watchpoint.start > last || watchpoint.end < address) continue
+
+      if (access === 'read') {
+        if (watchpoint.kind !== 'read' && watchpoint.kind !== 'access') continue
+      } else {
+        if (watchpoint.kind === 'read') continue
+        if (watchpoint.kind === 'change' && value === oldValue) continue
+        if (watchpoint.value !== null && value !== (watchpoint.value & (size === 1 ? 0xFF : 0xFFFF))) continue
+      }
+
+      this.hit = { watchpoint, access, address, size, value, oldValue, pc: this.pc }
+      return
+    }
+  }
+}
+
+// ============================================================================
+// Reverse Execution Journal
+// ============================================================================
+
+// Registers an instruction can change, by journal key. PC is kept per step,
+// and IR/DR are prefetched again after stepping back.
+const JOURNAL_REGISTERS = ['AX', 'BX', 'CX', 'DX', 'EX', 'FX', 'SP', 'FP', 'BK', 'CB', 'ZF', 'SF', 'CF', 'OF', 'IF', 'UF']
+const JOURNAL_HALTED = JOURNAL_REGISTERS.length  // Key for a step that halted the CPU
+const JOURNAL_MEMORY = 0x100                     // Keys from here on are JOURNAL_MEMORY + address
+
+function growArray(array, needed) {
+  if (needed <= array.length) return array
+  let length = array.length
+  while (length < needed) length *= 2
+  const grown = new array.constructor(length)
+  grown.set(array)
+  return grown
+}
+
+/**
+ * History of executed instructions for stepping backwards. Each step keeps
+ * its PC, the instruction count before it and the old value of every
+ * register and memory byte it changed, in typed arrays, so long runs can be
+ * recorded. OS state that is not in registers or memory (the input buffer,
+ * the heap allocator) is saved by undo functions added during the step.
+ *
+ * Once more than `limit` steps or changes are kept, the oldest half of the
+ * steps is dropped.
+ */
+export class Journal {
+  constructor({ limit = 1 << 22 } = {}) {
+    this.limit = limit
+    this.clear()
+  }
+
+  clear() {
+    this.keys = new Uint32Array(1024)     // What each change wrote - a JOURNAL_* key
+    this.values = new Uint16Array(1024)   // The value before the change
+    this.changes = 0
+    this.starts = new Uint32Array(256)    // First change of each step
+    this.pcs = new Uint16Array(256)
+    this.counts = new Uint32Array(256)    // CPU instructionCount before each step
+    this.length = 0                       // Steps recorded
+    this.undos = new Map()                // Step -> undo functions for OS state
+    this.before = new Uint16Array(JOURNAL_REGISTERS.length)
+    this.recording = false
+  }
+
+  /**
+   * Called by CPU.step() before an instruction executes
+   */
+  begin(cpu, pc) {
+    // Spelled out rather than looped over JOURNAL_REGISTERS - this runs for every instruction
+    const r = cpu.registers
+    const before = this.before
+    before[0] = r.AX; before[1] = r.BX; before[2] = r.CX; before[3] = r.DX
+    before[4] = r.EX; before[5] = r.FX; before[6] = r.SP; before[7] = r.FP
+    before[8] = r.BK; before[9] = r.CB
+    before[10] = r.ZF; before[11] = r.SF; before[12] = r.CF; before[13] = r.OF
+    before[14] = r.IF; before[15] = r.UF
+
+    const step = this.length
+    if (step === this.starts.length) {
+      this.starts = growArray(this.starts, step + 1)
+      this.pcs = growArray(this.pcs, step + 1)
+      this.counts = growArray(this.counts, step + 1)
+    }
+    this.starts[step] = this.changes
+    this.pcs[step] = pc
+    this.counts[step] = cpu.instructionCount
+    this.recording = true
+  }
+
+  record(key, oldValue) {
+    if (this.changes === this.keys.length) {
+      this.keys = growArray(this.keys, this.changes + 1)
+      this.values = growArray(this.values, this.changes + 1)
+    }
+    this.keys[this.changes] = key
+    this.values[this.changes] = oldValue
+    this.changes++
+  }
+
+  /**
+   * Called by Memory on each write while an instruction executes
+   */
+  memoryWrite(address, size, value, oldValue) {
+    if (size === 2) {
+      this.record(JOURNAL_MEMORY + address, oldValue >> 8)
+      this.record(JOURNAL_MEMORY + address + 1, oldValue & 0xFF)
+    } else {
+      this.record(JOURNAL_MEMORY + address, oldValue)
+    }
+  }
+
+  /**
+   * Save state outside registers and memory (OS buffers, pending interrupts)
+   * for the step being recorded, or between steps for the last one recorded:
+   * `undo` restores it
+   */
+  addUndo(undo) {
+    const step = this.recording ? this.length : this.length - 1
+    if (step < 0) return
+    const undos = this.undos.get(step)
+    if (undos) undos.push(undo)
+    else this.undos.set(step, [undo])
+  }
+
+  /**
+   * Called by CPU.step() once the instruction has finished (or faulted)
+   */
+  end(cpu) {
+    this.recording = false
+    const step = this.length
+
+    const r = cpu.registers
+    const before = this.before
+    if (r.AX !== before[0]) this.record(0, before[0])
+    if (r.BX !== before[1]) this.record(1, before[1])
+    if (r.CX !== before[2]) this.record(2, before[2])
+    if (r.DX !== before[3]) this.record(3, before[3])
+    if (r.EX !== before[4]) this.record(4, before[4])
+    if (r.FX !== before[5]) this.record(5, before[5])
+    if (r.SP !== before[6]) this.record(6, before[6])
+    if (r.FP !== before[7]) this.record(7, before[7])
+    if (r.BK !== before[8]) this.record(8, before[8])
+    if (r.CB !== before[9]) this.record(9, before[9])
+    if (r.ZF !== before[10]) this.record(10, before[10])
+    if (r.SF !== before[11]) this.record(11, before[11])
+    if (r.CF !== before[12]) this.record(12, before[12])
+    if (r.OF !== before[13]) this.record(13, before[13])
+    if (r.IF !== before[14]) this.record(14, before[14])
+    if (r.UF !== before[15]) this.record(15, before[15])
+    if (cpu.halted) this.record(JOURNAL_HALTED, 0)
+
+    // A blocked read changed nothing - it runs again once input arrives
+    if (cpu.waiting === 'input' && this.changes === this.starts[step] && !this.undos.has(step)) return
+    this.length++
+
+    if (this.changes > this.limit || this.length > this.limit) this.dropOldest(Math.ceil(this.length / 2))
+  }
+
+  dropOldest(steps) {
+    const offset = this.starts[steps]
+    this.keys.copyWithin(0, offset, this.changes)
+    this.values.copyWithin(0, offset, this.changes)
+    this.changes -= offset
+    this.pcs.copyWithin(0, steps, this.length)
+    this.counts.copyWithin(0, steps, this.length)
+    this.starts.copyWithin(0, steps, this.length)
+    this.length -= steps
+    for (let i = 0; i < this.length; i++) this.starts[i] -= offset
+
+    const undos = new Map()
+    for (const [step, list] of this.undos) {
+      if (step >= steps) undos.set(step - steps, list)
+    }
+    this.undos = undos
+  }
+
+  /**
+   * Instruction count of the oldest step that can be undone
+   */
+  get firstCount() {
+    return this.length > 0 ? this.counts[0] : null
+  }
+
+  /**
+   * Memory addresses written by the most recent step
+   */
+  lastWrites() {
+    const addresses = []
+    if (this.length === 0) return addresses
+    for (let i = this.starts[this.length - 1]; i < this.changes; i++) {
+      if (this.keys[i] >= JOURNAL_MEMORY) addresses.push(this.keys[i] - JOURNAL_MEMORY)
+    }
+    return addresses
+  }
+
+  /**
+   * Undo the most recent step. Returns false if there is nothing to undo.
+   */
+  undo(cpu) {
+    if (this.length === 0) return false
+    const step = --this.length
+    const registers = cpu.registers
+    const memory = cpu.memory
+
+    for (let i = this.changes - 1; i >= this.starts[step]; i--) {
+      const key = this.keys[i]
+      if (key >= JOURNAL_MEMORY) {
+        memory.writeByte(key - JOURNAL_MEMORY, this.values[i])
+      } else if (key === JOURNAL_HALTED) {
+        cpu.halted = false
+        cpu.fault = null
+      } else {
+        registers[JOURNAL_REGISTERS[key]] = this.values[i]
+      }
+    }
+    this.changes = this.starts[step]
+
+    const undos = this.undos.get(step)
+    if (undos) {
+      for (let i = undos.length - 1; i >= 0; i--) undos[i]()
+      this.undos.delete(step)
+    }
+
+    registers.PC = this.pcs[step]
+    cpu.instructionCount = this.counts[step]
+    cpu.waiting = false
+    return true
+  }
+}
+
+// ============================================================================
+// Instruction Cache
+// ============================================================================
+
+/**
+ * Decoded instructions of the code segment by address, so a loop decodes
+ * each instruction once. Memory drops an entry when any of its bytes is
+ * written, so self-modifying code runs what is in memory now.
+ */
+export class InstructionCache {
+  constructor() {
+    this.entries = []  // Address -> decoded instruction
+    this.limit = 0     // Code boundary (CB): entries lie wholly below it
+    this.version = 0   // Changes whenever an entry is dropped
+  }
+
+  clear() {
+    this.entries = []
+    this.limit = 0
+    this.version++
+  }
+
+  get(address) {
+    return this.entries[address]
+  }
+
+  /**
+   * Cache an instruction if it lies within the code segment [0x0020, limit)
+   */
+  set(address, instr, limit) {
+    if (address < 0x0020 || address + instr.size > limit) return
+    if (limit !== this.limit) {
+      // A new code boundary: entries beyond it would no longer be invalidated
+      if (limit < this.limit) this.entries = []
+      this.limit = limit
+    }
+    this.entries[address] = instr
+  }
+
+  /**
+   * Drop the instructions that overlap a write of `size` bytes
+   */
+  invalidate(address, size) {
+    // An instruction is at most 4 bytes, so it starts up to 3 bytes earlier
+    for (let i = Math.max(address - 3, 0); i < address + size; i++) {
+      if (this.entries[i] !== undefined) {
+        this.entries[i] = undefined
+        this.version++
+      }
+    }
   }
 }
 
@@ -295,8 +769,9 @@ export class Memory {
   /**
    * Create memory with specified size
    * @param {number} size - Memory size in bytes (1024, 2048, 4096, 8192, or 16384)
+   * @param {Array} devices - Memory-mapped devices to attach (see devices.js)
    */
-  constructor(size = 1024, display = null) {
+  constructor(size = 1024, devices = []) {
     const validSizes = [1024, 2048, 4096, 8192, 16384]
     if (!validSizes.includes(size)) {
       throw new Error(`Invalid memory size: ${size}. Must be one of: ${validSizes.join(', ')}`)
@@ -304,16 +779,64 @@ export class Memory {
 
     this.size = size
     this.data = new Uint8Array(size)
-    this.display = display
-
-    // VRAM mapping: 0x4000-0x567F (5760 bytes)
-    this.vramStart = 0x4000
-    this.vramEnd = 0x567F
+    this.devices = []                         // Attached devices, see attach()
+    this.deviceMap = new Uint8Array(0x10000)  // Address -> index in devices + 1, or 0 for RAM
+    this.clocked = []                         // Devices with a tick(cpu), called after each instruction
+    this.watchpoints = null  // Watchpoints to check, attached by the CPU while executing
+    this.trace = null        // TraceRecorder collecting writes, attached by the CPU while executing
+    this.journal = null      // Journal saving overwritten bytes, attached by the CPU while executing
+    this.protection = null   // CPU checking writes, attached while executing in user mode
+    this.instructions = new InstructionCache()  // Decoded code, dropped as it is written
+    this.onCodeWrite = null  // Called with the address of a write below CB, attached by the CPU while executing
+
+    for (const device of devices) {
+      this.attach(device)
+    }
 
-    // Note: Runtime memory 0x0000-0x001F is reserved and stays zero
+    // Note: Runtime memory 0x0000-0x001F is reserved (vector table, device
+    // registers, syscall table) and zeroed on load.
     // The binary header is NOT loaded into runtime memory
   }
 
+  /**
+   * Route a device's address range to it instead of RAM. The range may lie
+   * beyond physical memory but not overlap another device.
+   */
+  attach(device) {
+    if (!(device.start >= 0 && device.start <= device.end && device.end <= 0xFFFF)) {
+      throw new Error(`Device ${device.name} has an invalid address range`)
+    }
+    for (let address = device.start; address <= device.end; address++) {
+      if (this.deviceMap[address]) {
+        const other = this.devices[this.deviceMap[address] - 1]
+        throw new Error(`Device ${device.name} overlaps ${other.name} at 0x${address.toString(16).toUpperCase()}`)
+      }
+    }
+    this.devices.push(device)
+    this.deviceMap.fill(this.devices.length, device.start, device.end + 1)
+    if (device.tick) this.clocked.push(device)
+  }
+
+  /**
+   * Remove a device; its addresses go back to RAM
+   */
+  detach(device) {
+    const index = this.devices.indexOf(device)
+    if (index === -1) return false
+    this.devices.splice(index, 1)
+    this.clocked = this.clocked.filter(other => other !== device)
+    this.deviceMap.fill(0)
+    this.devices.forEach((other, i) => this.deviceMap.fill(i + 1, other.start, other.end + 1))
+    return true
+  }
+
+  /**
+   * The attached device with this name, or null
+   */
+  getDevice(name) {
+    return this.devices.find(device => device.name === name) || null
+  }
+
   /**
    * Validate signature in binary file (at offset 0x0000)
    */
@@ -331,19 +854,19 @@ export class Memory {
    * Read byte from memory
    */
   readByte(address) {
-    // Allow VRAM access even if beyond physical memory
-    if (this.display && address >= this.vramStart && address <= this.vramEnd) {
-      const vramOffset = address - this.vramStart
-      const vram = this.display.getVRAM()
-      if (vramOffset < vram.length) {
-        return vram[vramOffset]
-      }
-      return 0
+    // Device addresses are allowed even beyond physical memory
+    const slot = this.deviceMap[address]
+    if (slot) {
+      const device = this.devices[slot - 1]
+      const value = device.read(address - device.start) & 0xFF
+      if (this.watchpoints) this.watchpoints.check('read', address, 1, value, value)
+      return value
     }
 
     if (address < 0 || address >= this.size) {
-      throw new Error(`Memory read out of bounds: 0x${address.toString(16)}`)
+      throw new CPUFault(FaultKind.MEMORY_READ, `Memory read out of bounds: 0x${address.toString(16)}`, { address })
     }
+    if (this.watchpoints) this.watchpoints.check('read', address, 1, this.data[address], this.data[address])
     return this.data[address]
   }
 
@@ -351,49 +874,80 @@ export class Memory {
    * Write byte to memory
    */
   writeByte(address, value) {
-    // Allow VRAM access even if beyond physical memory
-    if (this.display && address >= this.vramStart && address <= this.vramEnd) {
-      const vramOffset = address - this.vramStart
-      const vram = this.display.getVRAM()
-      if (vramOffset < vram.length) {
-        vram[vramOffset] = value & 0xFF
-        this.display.refresh()
+    if (this.protection) this.protection.checkWrite(address, 1)
+
+    // Device addresses are allowed even beyond physical memory
+    const slot = this.deviceMap[address]
+    if (slot) {
+      const device = this.devices[slot - 1]
+      const offset = address - device.start
+      if (this.watchpoints || this.trace || this.journal) {
+        const oldValue = device.read(offset) & 0xFF
+        if (this.watchpoints) this.watchpoints.check('write', address, 1, value & 0xFF, oldValue)
+        if (this.trace) this.trace.memoryWrite(address, 1, value & 0xFF, oldValue)
+        if (this.journal) {
+          this.journal.memoryWrite(address, 1, value & 0xFF, oldValue)
+          // Writing the byte back does not undo everything a write does (the
+          // timer restarts its count), so the device's own state is saved too
+          if (device.saveState) {
+            const state = device.saveState()
+            this.journal.addUndo(() => device.restoreState(state))
+          }
+        }
       }
+      device.write(offset, value & 0xFF)
       return
     }
 
     if (address < 0 || address >= this.size) {
-      throw new Error(`Memory write out of bounds: 0x${address.toString(16)}`)
+      throw new CPUFault(FaultKind.MEMORY_WRITE, `Memory write out of bounds: 0x${address.toString(16)}`, { address })
     }
+    if (address < this.instructions.limit) this.codeWritten(address, 1)
+    if (this.watchpoints) this.watchpoints.check('write', address, 1, value & 0xFF, this.data[address])
+    if (this.trace) this.trace.memoryWrite(address, 1, value & 0xFF, this.data[address])
+    if (this.journal) this.journal.memoryWrite(address, 1, value & 0xFF, this.data[address])
     this.data[address] = value & 0xFF
   }
 
+  /**
+   * A write below the code boundary: drop the decoded instructions it
+   * overwrites and report it if the CPU asked to be told
+   */
+  codeWritten(address, size) {
+    this.instructions.invalidate(address, size)
+    if (this.onCodeWrite && address >= 0x0020) this.onCodeWrite(address)
+  }
+
   /**
    * Read word (16-bit) from memory (big-endian)
    */
   readWord(address) {
-    // Allow VRAM access even if beyond physical memory
-    if (this.display && address >= this.vramStart && address + 1 <= this.vramEnd) {
+    // A word touching a device is read a byte at a time
+    if (this.deviceMap[address] || this.deviceMap[address + 1]) {
       const high = this.readByte(address)
       const low = this.readByte(address + 1)
       return (high << 8) | low
     }
 
     if (address < 0 || address >= this.size - 1) {
-      throw new Error(`Memory read out of bounds: 0x${address.toString(16)}`)
+      throw new CPUFault(FaultKind.MEMORY_READ, `Memory read out of bounds: 0x${address.toString(16)}`, { address })
     }
     // Big-endian: high byte first, then low byte
     const high = this.data[address]
     const low = this.data[address + 1]
-    return (high << 8) | low
+    const value = (high << 8) | low
+    if (this.watchpoints) this.watchpoints.check('read', address, 2, value, value)
+    return value
   }
 
   /**
    * Write word (16-bit) to memory (big-endian)
    */
   writeWord(address, value) {
-    // Allow VRAM access even if beyond physical memory
-    if (this.display && address >= this.vramStart && address + 1 <= this.vramEnd) {
+    if (this.protection) this.protection.checkWrite(address, 2)
+
+    // A word touching a device is written a byte at a time
+    if (this.deviceMap[address] || this.deviceMap[address + 1]) {
       value = value & 0xFFFF
       this.writeByte(address, (value >> 8) & 0xFF)
       this.writeByte(address + 1, value & 0xFF)
@@ -401,9 +955,16 @@ export class Memory {
     }
 
     if (address < 0 || address >= this.size - 1) {
-      throw new Error(`Memory write out of bounds: 0x${address.toString(16)}`)
+      throw new CPUFault(FaultKind.MEMORY_WRITE, `Memory write out of bounds: 0x${address.toString(16)}`, { address })
     }
+    if (address < this.instructions.limit) this.codeWritten(address, 2)
     value = value & 0xFFFF
+    if (this.watchpoints || this.trace || this.journal) {
+      const oldValue = (this.data[address] << 8) | this.data[address + 1]
+      if (this.watchpoints) this.watchpoints.check('write', address, 2, value, oldValue)
+      if (this.trace) this.trace.memoryWrite(address, 2, value, oldValue)
+      if (this.journal) this.journal.memoryWrite(address, 2, value, oldValue)
+    }
     // Big-endian: high byte first, then low byte
     this.data[address] = (value >> 8) & 0xFF
     this.data[address + 1] = value & 0xFF
@@ -429,6 +990,8 @@ export class Memory {
     const breakPointer = (binary[0x0010] << 8) | binary[0x0011]  // BK
     const codeBoundary = (binary[0x0012] << 8) | binary[0x0013]  // CB
 
+    this.instructions.clear()
+
     // Resize memory if needed
     if (memorySize !== this.size) {
       this.size = memorySize
@@ -578,6 +1141,7 @@ export class Memory {
       throw new Error('Program too large for memory')
     }
     this.data.set(data, address)
+    this.instructions.clear()
   }
 
   /**
@@ -594,6 +1158,7 @@ export class Memory {
 
     this.size = newSize
     this.data = new Uint8Array(newSize)
+    this.instructions.clear()
 
     // Copy data below break pointer
     const heapEnd = Math.min(breakPointer, oldSize, newSize)
@@ -655,6 +1220,7 @@ export class Memory {
    */
   clear() {
     this.data.fill(0)
+    this.instructions.clear()
     this.writeSignature()
   }
 }
@@ -670,8 +1236,9 @@ export class Memory {
 export function decodeFromBytes(bytes) {
   const opcode = bytes[0]
 
-  // 2-byte instructions: NOP, HLT, RET, single-register ops
+  // 2-byte instructions: NOP, HLT, EI, DI, IRET, RET, single-register ops
   if (opcode === Opcode.NOP || opcode === Opcode.HLT || opcode === Opcode.RET ||
+      opcode === Opcode.EI || opcode === Opcode.DI || opcode === Opcode.IRET ||
       opcode === Opcode.INC_REG || opcode === Opcode.DEC_REG ||
       opcode === Opcode.MUL || opcode === Opcode.DIV || opcode === Opcode.NOT ||
       opcode === Opcode.PUSH || opcode === Opcode.POP || opcode === Opcode.SYSCALL) {
@@ -703,7 +1270,7 @@ export function decodeFromBytes(bytes) {
   if (opcode === Opcode.MOV_REG_REG || opcode === Opcode.ADD_REG_REG ||
       opcode === Opcode.SUB_REG_REG || opcode === Opcode.AND_REG_REG ||
       opcode === Opcode.OR_REG_REG || opcode === Opcode.XOR_REG_REG ||
-      opcode === Opcode.CMP_REG_REG) {
+      opcode === Opcode.CMP_REG_REG || opcode === Opcode.TEST_REG_REG) {
     result.dst = byte1
     result.src = byte2
     return result
@@ -713,7 +1280,8 @@ export function decodeFromBytes(bytes) {
   if (opcode === Opcode.MOV_REG_IMM || opcode === Opcode.ADD_REG_IMM ||
       opcode === Opcode.SUB_REG_IMM || opcode === Opcode.AND_REG_IMM ||
       opcode === Opcode.OR_REG_IMM || opcode === Opcode.XOR_REG_IMM ||
-      opcode === Opcode.CMP_REG_IMM || opcode === Opcode.SHL || opcode === Opcode.SHR) {
+      opcode === Opcode.CMP_REG_IMM || opcode === Opcode.TEST_REG_IMM ||
+      opcode === Opcode.SHL || opcode === Opcode.SHR) {
     result.dst = byte1
     result.imm = (byte2 << 8) | byte3  // Little-endian in instruction bytes
     return result
@@ -770,7 +1338,9 @@ export function decodeFromBytes(bytes) {
   // Jump/Call instructions (addr in bytes 2-3, little-endian)
   if (opcode === Opcode.JMP || opcode === Opcode.JE || opcode === Opcode.JNE ||
       opcode === Opcode.JL || opcode === Opcode.JG || opcode === Opcode.JLE ||
-      opcode === Opcode.JGE || opcode === Opcode.LOOP || opcode === Opcode.CALL) {
+      opcode === Opcode.JGE || opcode === Opcode.LOOP || opcode === Opcode.CALL ||
+      opcode === Opcode.JA || opcode === Opcode.JAE || opcode === Opcode.JB ||
+      opcode === Opcode.JBE) {
     result.addr = (byte2 << 8) | byte3  // Little-endian
     return result
   }
@@ -818,6 +1388,9 @@ export function getInstructionName(opcode) {
   const names = {
     [Opcode.NOP]: 'NOP',
     [Opcode.HLT]: 'HLT',
+    [Opcode.EI]: 'EI',
+    [Opcode.DI]: 'DI',
+    [Opcode.IRET]: 'IRET',
     [Opcode.MOV_REG_REG]: 'MOV',
     [Opcode.MOV_REG_IMM]: 'MOV',
     [Opcode.LOAD]: 'MOV',
@@ -862,6 +1435,8 @@ export function getInstructionName(opcode) {
     [Opcode.CMP_REG_IMM]: 'CMP',
     [Opcode.CMP_MEM]: 'CMP',
     [Opcode.CMP_MEMR]: 'CMP',
+    [Opcode.TEST_REG_REG]: 'TEST',
+    [Opcode.TEST_REG_IMM]: 'TEST',
     [Opcode.JMP]: 'JMP',
     [Opcode.JE]: 'JE',
     [Opcode.JNE]: 'JNE',
@@ -870,6 +1445,10 @@ export function getInstructionName(opcode) {
     [Opcode.JLE]: 'JLE',
     [Opcode.JGE]: 'JGE',
     [Opcode.LOOP]: 'LOOP',
+    [Opcode.JA]: 'JA',
+    [Opcode.JAE]: 'JAE',
+    [Opcode.JB]: 'JB',
+    [Opcode.JBE]: 'JBE',
     [Opcode.PUSH]: 'PUSH',
     [Opcode.POP]: 'POP',
     [Opcode.CALL]: 'CALL',
@@ -879,6 +1458,67 @@ export function getInstructionName(opcode) {
   return names[opcode] || `UNKNOWN(0x${opcode.toString(16)})`
 }
 
+// ============================================================================
+// Interrupts
+// ============================================================================
+
+/**
+ * Hardware interrupts by vector number. The handler for vector n is at the
+ * address in the word at 2n: the vector table fills 0x0000-0x000F. A lower
+ * vector is taken first when several are pending.
+ */
+export const Interrupt = {
+  TIMER: 0,    // The programmable timer ran down
+  BUTTON: 1,   // A Game Boy button was pressed or released
+  VBLANK: 2,   // A new 60 Hz display frame started
+}
+
+export const INTERRUPT_VECTORS = 8
+
+/**
+ * Syscall traps. In user mode (UF set) SYSCALL n calls a handler from a table
+ * in memory instead of MTOS: the word at 0x0014 is the table's address and
+ * the word at 0x0016 its number of entries, entry n being the handler's
+ * address. A zero or missing entry falls back to MTOS, as does any SYSCALL
+ * made in privileged mode - which is how handlers reach MTOS themselves.
+ */
+export const SYSCALL_TABLE = 0x0014
+export const SYSCALL_TABLE_SIZE = 0x0016
+
+// User mode cannot write below this address (the vector table, device
+// registers and syscall table pointer) or to the syscall table itself
+export const PROTECTED_END = 0x0020
+
+/**
+ * Interrupts raised but not yet taken, one bit per vector. The CPU takes one
+ * before its next instruction while IF is set.
+ */
+export class InterruptController {
+  constructor() {
+    this.pending = 0
+  }
+
+  clear() {
+    this.pending = 0
+  }
+
+  raise(vector) {
+    this.pending |= 1 << vector
+  }
+
+  acknowledge(vector) {
+    this.pending &= ~(1 << vector)
+  }
+
+  /**
+   * The pending vector to take first, or -1
+   */
+  next() {
+    if (this.pending === 0) return -1
+    return 31 - Math.clz32(this.pending & -this.pending)
+  }
+}
+
 // ============================================================================
 // CPU
 // ============================================================================
@@ -889,8 +1529,17 @@ export class CPU {
     this.os = os
     this.registers = new Registers()
     this.halted = false
-    this.cachedInstruction = null  // Cache prefetched instruction
-    this.currentUndoList = null    // For backward stepping
+    this.waiting = false           // 'sleep' (SLEEP/WAIT_FRAME) or 'input' (blocked read syscall)
+    this.fault = null              // CPUFault that halted the CPU, if any
+    this.watchpoints = new Watchpoints()
+    this.trace = null              // TraceRecorder, when tracing is on
+    this.profiler = null           // Profiler counting executions, when profiling is on
+    this.coverage = null           // Coverage recording executed lines, when on
+    this.instructionCount = 0      // Instructions completed since reset
+    this.onCodeWrite = null        // Called with the address when the program writes below CB
+    this.journal = null            // Journal of executed steps, when stepping backwards is on
+    this.turbo = null              // Turbo compiling basic blocks for run(), when turbo mode is on
+    this.interrupts = new InterruptController()
 
     // Initialize for program execution
     this.registers.reset(memory.size)
@@ -909,12 +1558,6 @@ export class CPU {
   setReg(code, value) {
     const name = RegName[code]
     if (name && name !== '??') {
-      if (this.currentUndoList) {
-        const oldValue = this.registers[name]
-        this.currentUndoList.push(() => {
-          this.registers[name] = oldValue
-        })
-      }
       this.registers[name] = value & 0xFFFF
     }
   }
@@ -924,12 +1567,6 @@ export class CPU {
    */
   setRegByName(name, value) {
     if (name in this.registers) {
-      if (this.currentUndoList) {
-        const oldValue = this.registers[name]
-        this.currentUndoList.push(() => {
-          this.registers[name] = oldValue
-        })
-      }
       this.registers[name] = value & 0xFFFF
     }
   }
@@ -938,25 +1575,26 @@ export class CPU {
    * Set flag value
    */
   setFlag(flag, value) {
-    if (this.currentUndoList) {
-      const oldValue = this.registers[flag]
-      this.currentUndoList.push(() => {
-        this.registers[flag] = oldValue
-      })
-    }
     this.registers[flag] = value ? 1 : 0
   }
 
+  /**
+   * Read a byte or word without triggering watchpoints (for debugger views)
+   */
+  peekMemory(address, size) {
+    const watchpoints = this.memory.watchpoints
+    this.memory.watchpoints = null
+    try {
+      return size === 1 ? this.memory.readByte(address) : this.memory.readWord(address)
+    } finally {
+      this.memory.watchpoints = watchpoints
+    }
+  }
+
   /**
    * Write to memory
    */
   writeMemory(address, value) {
-    if (this.currentUndoList) {
-      const oldValue = this.memory.readWord(address)
-      this.currentUndoList.push(() => {
-        this.memory.writeWord(address, oldValue)
-      })
-    }
     this.memory.writeWord(address, value)
   }
 
@@ -964,12 +1602,6 @@ export class CPU {
    * Write byte to memory
    */
   writeMemoryByte(address, value) {
-    if (this.currentUndoList) {
-      const oldValue = this.memory.readByte(address)
-      this.currentUndoList.push(() => {
-        this.memory.writeByte(address, oldValue)
-      })
-    }
     this.memory.writeByte(address, value)
   }
 
@@ -977,12 +1609,6 @@ export class CPU {
    * Set PC value
    */
   setPC(value) {
-    if (this.currentUndoList) {
-      const oldValue = this.registers.PC
-      this.currentUndoList.push(() => {
-        this.registers.PC = oldValue
-      })
-    }
     this.registers.PC = value & 0xFFFF
   }
 
@@ -990,12 +1616,6 @@ export class CPU {
    * Increment PC by instruction size
    */
   incPC(size) {
-    if (this.currentUndoList) {
-      const oldValue = this.registers.PC
-      this.currentUndoList.push(() => {
-        this.registers.PC = oldValue
-      })
-    }
     this.registers.PC = (this.registers.PC + size) & 0xFFFF
   }
 
@@ -1003,12 +1623,6 @@ export class CPU {
    * Set SP value
    */
   setSP(value) {
-    if (this.currentUndoList) {
-      const oldValue = this.registers.SP
-      this.currentUndoList.push(() => {
-        this.registers.SP = oldValue
-      })
-    }
     this.registers.SP = value & 0xFFFF
   }
 
@@ -1027,25 +1641,64 @@ export class CPU {
     return result
   }
 
+  /**
+   * Add two 16-bit values, setting ZF/SF/CF/OF
+   */
+  addWithFlags(a, b) {
+    const result = a + b
+    this.setFlag('CF', result > 0xFFFF)
+    // Signed overflow: both operands have the same sign and the result differs
+    this.setFlag('OF', ((a ^ result) & (b ^ result) & 0x8000) !== 0)
+    return this.updateFlags(result, 16)
+  }
+
+  /**
+   * Subtract b from a (16-bit), setting ZF/SF/CF/OF - CF is the unsigned borrow
+   */
+  subWithFlags(a, b) {
+    const result = a - b
+    this.setFlag('CF', b > a)
+    // Signed overflow: operands have different signs and the result sign differs from a
+    this.setFlag('OF', ((a ^ b) & (a ^ result) & 0x8000) !== 0)
+    return this.updateFlags(result, 16)
+  }
+
+  /**
+   * Set flags for a logical result - CF and OF are always cleared
+   */
+  logicFlags(result) {
+    this.setFlag('CF', false)
+    this.setFlag('OF', false)
+    return this.updateFlags(result, 16)
+  }
+
+  /**
+   * The decoded instruction at an address. Instructions in the code segment
+   * are decoded once and kept in the memory's InstructionCache.
+   */
+  fetch(address) {
+    const cache = this.memory.instructions
+    let instr = cache.get(address)
+    if (instr === undefined) {
+      instr = decodeInstruction(this.memory, address)
+      cache.set(address, instr, this.registers.CB)
+    }
+    return instr
+  }
+
   /**
    * Prefetch next instruction into IR and DR
-   * Returns the decoded instruction for caching
+   * Returns the decoded instruction
    */
   prefetchInstruction() {
-    const pc = this.registers.PC
-    const instr = decodeInstruction(this.memory, pc)
+    const instr = this.fetch(this.registers.PC)
 
-    // Load IR with first word (opcode + param/byte1)
-    const byte0 = this.memory.readByte(pc)
-    const byte1 = this.memory.readByte(pc + 1)
-    this.registers.IR = (byte0 << 8) | byte1
-
-    // Load DR with second word (byte2 + byte3) if 4-byte instruction
+    // IR holds the first word (opcode + param/byte1), DR the second word of a 4-byte instruction
     if (instr.size === 4) {
-      const byte2 = this.memory.readByte(pc + 2)
-      const byte3 = this.memory.readByte(pc + 3)
-      this.registers.DR = (byte2 << 8) | byte3
+      this.registers.IR = (instr.opcode << 8) | instr.byte1
+      this.registers.DR = (instr.byte2 << 8) | instr.byte3
     } else {
+      this.registers.IR = (instr.opcode << 8) | instr.param
       this.registers.DR = 0
     }
 
@@ -1054,28 +1707,218 @@ export class CPU {
 
   /**
    * Execute one instruction at current PC
-   * Returns false if halted, true if continuing
+   * Returns false if halted, true if continuing.
+   * A fault halts the CPU and is left in this.fault.
    */
   step() {
     if (this.halted) {
       return false
     }
 
-    // Use cached instruction if available, otherwise decode
-    const instr = this.cachedInstruction || decodeInstruction(this.memory, this.registers.PC)
-    this.cachedInstruction = null
+    // Stepping resumes a suspended CPU - the execution loop is responsible for
+    // not stepping before the wake time or before input has been provided
+    this.waiting = false
+
+    let pc = this.registers.PC
+    const watching = this.watchpoints.list.length > 0
+    const trace = this.trace
+    const journal = this.journal
+    let instr = null
+    if (journal) {
+      journal.begin(this, pc)
+      this.memory.journal = journal
+    }
+    try {
+      // A pending interrupt is taken first, then its handler's first instruction runs
+      if (this.registers.IF && this.interrupts.pending) {
+        this.enterInterrupt()
+        pc = this.registers.PC
+      }
+      if (this.registers.UF) this.memory.protection = this
+      if (this.onCodeWrite) this.memory.onCodeWrite = this.onCodeWrite
 
-    // Execute instruction
-    this.executeInstruction(instr)
+      // Use cached instruction if available, otherwise decode
+      instr = this.fetch(pc)
 
-    // Prefetch next instruction into IR/DR for display and cache it
+      // Only the instruction's own data accesses are watched and traced, so
+      // the trace begins (and may read the code) before watchpoints attach
+      if (trace) {
+        trace.begin(this, pc, instr)
+        this.memory.trace = trace
+      }
+      if (watching) {
+        this.watchpoints.pc = pc
+        this.memory.watchpoints = this.watchpoints
+      }
+
+      // Execute instruction
+      this.executeInstruction(instr)
+
+      // A blocked read has not completed - it runs again once input arrives
+      if (this.waiting !== 'input') {
+        this.instructionCount++
+        // Clocked devices (the timer, the buttons, ...) raise their interrupts,
+        // inside the journaled step so stepping back undoes them
+        const clocked = this.memory.clocked
+        for (let i = 0; i < clocked.length; i++) {
+          clocked[i].tick(this)
+        }
+      }
+    } catch (error) {
+      if (!(error instanceof CPUFault)) throw error
+      error.pc = pc
+      error.instruction = instr
+      this.fault = error
+      this.halted = true
+      if (trace && instr) trace.end(this, error)
+      return false
+    } finally {
+      this.memory.protection = null
+      this.memory.onCodeWrite = null
+      if (watching) this.memory.watchpoints = null
+      if (trace) this.memory.trace = null
+      if (journal) {
+        this.memory.journal = null
+        journal.end(this)
+      }
+    }
+
+    if (trace) trace.end(this)
+
+    if (this.waiting !== 'input') {
+      if (this.profiler) this.profiler.record(this, pc, instr)
+      if (this.coverage) this.coverage.record(this, pc, instr)
+    }
+
+    // Prefetch next instruction into IR/DR for display.
+    // A PC outside memory faults when the next step fetches from it.
     if (!this.halted) {
-      this.cachedInstruction = this.prefetchInstruction()
+      try {
+        this.prefetchInstruction()
+      } catch (error) {
+        if (!(error instanceof CPUFault)) throw error
+      }
     }
 
     return !this.halted
   }
 
+  /**
+   * Run until the CPU halts or suspends, or `limit` more instructions have
+   * run. With turbo mode on, compiled blocks run wherever they can.
+   * Returns false if halted, true if continuing.
+   */
+  run(limit = Infinity) {
+    if (this.turbo) return this.turbo.run(this, limit)
+    const end = this.instructionCount + limit
+    while (this.instructionCount < end) {
+      if (!this.step()) return false
+      if (this.waiting) break
+    }
+    return !this.halted
+  }
+
+  /**
+   * Raise a hardware interrupt. It is dropped if its vector has no handler
+   * (the vector table entry is 0), and stays pending while IF is clear.
+   */
+  raiseInterrupt(vector) {
+    const pending = this.interrupts.pending
+    if (pending & (1 << vector)) return
+    if (!this.hasInterruptHandler(vector)) return
+    this.interrupts.raise(vector)
+    if (this.journal) this.journal.addUndo(() => { this.interrupts.pending = pending })
+  }
+
+  /**
+   * Whether the vector table (always in RAM) has a handler for an interrupt
+   */
+  hasInterruptHandler(vector) {
+    const data = this.memory.data
+    return (data[vector * 2] | data[vector * 2 + 1]) !== 0
+  }
+
+  /**
+   * Take the first pending interrupt: push FLAGS and the return address,
+   * clear IF, enter privileged mode and jump to the vector's handler.
+   * IRET undoes this.
+   */
+  enterInterrupt() {
+    const vector = this.interrupts.next()
+    const pending = this.interrupts.pending
+    this.interrupts.acknowledge(vector)
+    if (this.journal) this.journal.addUndo(() => { this.interrupts.pending = pending })
+
+    this.pushTrapFrame(this.registers.PC)
+    this.registers.IF = 0
+    this.registers.UF = 0
+    this.setPC(this.memory.readWord(vector * 2))
+  }
+
+  /**
+   * Push FLAGS, then the address IRET returns to
+   */
+  pushTrapFrame(returnAddress) {
+    this.setSP((this.registers.SP - 2) & 0xFFFF)
+    this.writeMemory(this.registers.SP, this.registers.getFlagsWord())
+    this.setSP((this.registers.SP - 2) & 0xFFFF)
+    this.writeMemory(this.registers.SP, returnAddress)
+  }
+
+  /**
+   * The user handler for a syscall from the syscall table, or 0 for MTOS
+   */
+  syscallHandler(code) {
+    const data = this.memory.data
+    const table = (data[SYSCALL_TABLE] << 8) | data[SYSCALL_TABLE + 1]
+    const size = (data[SYSCALL_TABLE_SIZE] << 8) | data[SYSCALL_TABLE_SIZE + 1]
+    const entry = table + code * 2
+    if (table === 0 || code >= size || entry + 1 >= this.memory.size) return 0
+    return (data[entry] << 8) | data[entry + 1]
+  }
+
+  /**
+   * Called by Memory on each write in user mode: the vector table, device
+   * registers and syscall table belong to privileged code
+   */
+  checkWrite(address, size) {
+    const end = address + size
+    let isProtected = address < PROTECTED_END
+    if (!isProtected) {
+      const data = this.memory.data
+      const table = (data[SYSCALL_TABLE] << 8) | data[SYSCALL_TABLE + 1]
+      const tableSize = (data[SYSCALL_TABLE_SIZE] << 8) | data[SYSCALL_TABLE_SIZE + 1]
+      isProtected = table !== 0 && address < table + tableSize * 2 && end > table
+    }
+    if (isProtected) {
+      throw new CPUFault(FaultKind.PROTECTION, `User mode cannot write 0x${address.toString(16)}`, { address })
+    }
+  }
+
+  /**
+   * Fault if a privileged instruction runs in user mode
+   */
+  checkPrivileged(instr) {
+    if (this.registers.UF) {
+      throw new CPUFault(FaultKind.PROTECTION, `${getInstructionName(instr.opcode)} is privileged`)
+    }
+  }
+
+  /**
+   * Undo the last instruction recorded in the journal.
+   * Returns false if there is nothing to undo.
+   */
+  stepBack() {
+    if (!this.journal || !this.journal.undo(this)) return false
+    this.watchpoints.hit = null
+    try {
+      this.prefetchInstruction()
+    } catch (error) {
+      if (!(error instanceof CPUFault)) throw error
+    }
+    return true
+  }
+
   /**
    * Execute decoded instruction
    */
@@ -1092,6 +1935,32 @@ export class CPU {
         this.halted = true
         break
 
+      case Opcode.EI:
+        this.checkPrivileged(instr)
+        this.registers.IF = 1
+        this.incPC(instr.size)
+        break
+
+      case Opcode.DI:
+        this.checkPrivileged(instr)
+        this.registers.IF = 0
+        this.incPC(instr.size)
+        break
+
+      case Opcode.IRET: {
+        // Pop the return address, then FLAGS (which restores IF and UF).
+        // User mode cannot change IF or UF this way.
+        const returnAddr = this.memory.readWord(this.registers.SP)
+        let flags = this.memory.readWord((this.registers.SP + 2) & 0xFFFF)
+        if (this.registers.UF) {
+          flags = (flags & ~(FlagBit.IF | FlagBit.UF)) | (this.registers.getFlagsWord() & (FlagBit.IF | FlagBit.UF))
+        }
+        this.setSP((this.registers.SP + 4) & 0xFFFF)
+        this.registers.setFlagsWord(flags)
+        this.setPC(returnAddr)
+        break
+      }
+
       // ========== Data Movement ==========
       case Opcode.MOV_REG_REG: {
         const value = this.getReg(instr.src)
@@ -1195,11 +2064,7 @@ export class CPU {
       case Opcode.ADD_REG_REG: {
         const a = this.getReg(instr.dst)
         const b = this.getReg(instr.src)
-        const result = a + b
-
-        // Set flags
-        this.setFlag('CF', result > 0xFFFF)
-        this.updateFlags(result, 16)
+        const result = this.addWithFlags(a, b)
 
         this.setReg(instr.dst, result)
         this.incPC(instr.size)
@@ -1208,10 +2073,7 @@ export class CPU {
 
       case Opcode.ADD_REG_IMM: {
         const a = this.getReg(instr.dst)
-        const result = a + instr.imm
-
-        this.setFlag('CF', result > 0xFFFF)
-        this.updateFlags(result, 16)
+        const result = this.addWithFlags(a, instr.imm)
 
         this.setReg(instr.dst, result)
         this.incPC(instr.size)
@@ -1221,10 +2083,7 @@ export class CPU {
       case Opcode.ADD_MEM: {
         const a = this.getReg(instr.reg)
         const b = this.memory.readWord(instr.addr)
-        const result = a + b
-
-        this.setFlag('CF', result > 0xFFFF)
-        this.updateFlags(result, 16)
+        const result = this.addWithFlags(a, b)
 
         this.setReg(instr.reg, result)
         this.incPC(instr.size)
@@ -1236,10 +2095,7 @@ export class CPU {
         const base = this.getReg(instr.base)
         const addr = (base + instr.offset) & 0xFFFF
         const b = this.memory.readWord(addr)
-        const result = a + b
-
-        this.setFlag('CF', result > 0xFFFF)
-        this.updateFlags(result, 16)
+        const result = this.addWithFlags(a, b)
 
         this.setReg(instr.reg, result)
         this.incPC(instr.size)
@@ -1249,10 +2105,7 @@ export class CPU {
       case Opcode.SUB_REG_REG: {
         const a = this.getReg(instr.dst)
         const b = this.getReg(instr.src)
-        const result = a - b
-
-        this.setFlag('CF', b > a)
-        this.updateFlags(result, 16)
+        const result = this.subWithFlags(a, b)
 
         this.setReg(instr.dst, result)
         this.incPC(instr.size)
@@ -1261,10 +2114,7 @@ export class CPU {
 
       case Opcode.SUB_REG_IMM: {
         const a = this.getReg(instr.dst)
-        const result = a - instr.imm
-
-        this.setFlag('CF', instr.imm > a)
-        this.updateFlags(result, 16)
+        const result = this.subWithFlags(a, instr.imm)
 
         this.setReg(instr.dst, result)
         this.incPC(instr.size)
@@ -1274,10 +2124,7 @@ export class CPU {
       case Opcode.SUB_MEM: {
         const a = this.getReg(instr.reg)
         const b = this.memory.readWord(instr.addr)
-        const result = a - b
-
-        this.setFlag('CF', b > a)
-        this.updateFlags(result, 16)
+        const result = this.subWithFlags(a, b)
 
         this.setReg(instr.reg, result)
         this.incPC(instr.size)
@@ -1289,10 +2136,7 @@ export class CPU {
         const base = this.getReg(instr.base)
         const addr = (base + instr.offset) & 0xFFFF
         const b = this.memory.readWord(addr)
-        const result = a - b
-
-        this.setFlag('CF', b > a)
-        this.updateFlags(result, 16)
+        const result = this.subWithFlags(a, b)
 
         this.setReg(instr.reg, result)
         this.incPC(instr.size)
@@ -1302,6 +2146,8 @@ export class CPU {
       case Opcode.INC_REG: {
         const value = this.getReg(instr.reg)
         const result = value + 1
+        // Like x86, INC/DEC leave CF alone so they can sit inside multi-word arithmetic
+        this.setFlag('OF', value === 0x7FFF)
         this.updateFlags(result, 16)
         this.setReg(instr.reg, result)
         this.incPC(instr.size)
@@ -1311,6 +2157,7 @@ export class CPU {
       case Opcode.DEC_REG: {
         const value = this.getReg(instr.reg)
         const result = value - 1
+        this.setFlag('OF', value === 0x8000)
         this.updateFlags(result, 16)
         this.setReg(instr.reg, result)
         this.incPC(instr.size)
@@ -1320,6 +2167,7 @@ export class CPU {
       case Opcode.INC_MEM: {
         const value = this.memory.readWord(instr.addr)
         const result = (value + 1) & 0xFFFF
+        this.setFlag('OF', value === 0x7FFF)
         this.writeMemory(instr.addr, result)
         this.updateFlags(result, 16)
         this.incPC(instr.size)
@@ -1329,6 +2177,7 @@ export class CPU {
       case Opcode.DEC_MEM: {
         const value = this.memory.readWord(instr.addr)
         const result = (value - 1) & 0xFFFF
+        this.setFlag('OF', value === 0x8000)
         this.writeMemory(instr.addr, result)
         this.updateFlags(result, 16)
         this.incPC(instr.size)
@@ -1340,6 +2189,7 @@ export class CPU {
         const addr = (base + instr.offset) & 0xFFFF
         const value = this.memory.readWord(addr)
         const result = (value + 1) & 0xFFFF
+        this.setFlag('OF', value === 0x7FFF)
         this.writeMemory(addr, result)
         this.updateFlags(result, 16)
         this.incPC(instr.size)
@@ -1351,6 +2201,7 @@ export class CPU {
         const addr = (base + instr.offset) & 0xFFFF
         const value = this.memory.readWord(addr)
         const result = (value - 1) & 0xFFFF
+        this.setFlag('OF', value === 0x8000)
         this.writeMemory(addr, result)
         this.updateFlags(result, 16)
         this.incPC(instr.size)
@@ -1382,6 +2233,9 @@ export class CPU {
         const b = this.getReg(instr.reg)
         const result = a * b
         this.setReg(0, result & 0xFFFF)  // AX = 0
+        // CF/OF report that the product did not fit in 16 bits
+        this.setFlag('CF', result > 0xFFFF)
+        this.setFlag('OF', result > 0xFFFF)
         this.updateFlags(this.registers.AX, 16)
         this.incPC(instr.size)
         break
@@ -1390,7 +2244,7 @@ export class CPU {
       case Opcode.DIV: {
         const divisor = this.getReg(instr.reg)
         if (divisor === 0) {
-          throw new Error('Division by zero')
+          throw new CPUFault(FaultKind.DIVIDE_BY_ZERO, 'Division by zero')
         }
         const quotient = Math.floor(this.registers.AX / divisor)
         const remainder = this.registers.AX % divisor
@@ -1405,22 +2259,14 @@ export class CPU {
       case Opcode.CMP_REG_REG: {
         const a = this.getReg(instr.dst)
         const b = this.getReg(instr.src)
-        const result = a - b
-
-        this.setFlag('CF', b > a)
-        this.updateFlags(result, 16)
-
+        this.subWithFlags(a, b)
         this.incPC(instr.size)
         break
       }
 
       case Opcode.CMP_REG_IMM: {
         const a = this.getReg(instr.dst)
-        const result = a - instr.imm
-
-        this.setFlag('CF', instr.imm > a)
-        this.updateFlags(result, 16)
-
+        this.subWithFlags(a, instr.imm)
         this.incPC(instr.size)
         break
       }
@@ -1428,11 +2274,7 @@ export class CPU {
       case Opcode.CMP_MEM: {
         const a = this.getReg(instr.reg)
         const b = this.memory.readWord(instr.addr)
-        const result = a - b
-
-        this.setFlag('CF', b > a)
-        this.updateFlags(result, 16)
-
+        this.subWithFlags(a, b)
         this.incPC(instr.size)
         break
       }
@@ -1442,11 +2284,22 @@ export class CPU {
         const base = this.getReg(instr.base)
         const addr = (base + instr.offset) & 0xFFFF
         const b = this.memory.readWord(addr)
-        const result = a - b
+        this.subWithFlags(a, b)
+        this.incPC(instr.size)
+        break
+      }
 
-        this.setFlag('CF', b > a)
-        this.updateFlags(result, 16)
+      case Opcode.TEST_REG_REG: {
+        const a = this.getReg(instr.dst)
+        const b = this.getReg(instr.src)
+        this.logicFlags(a & b)
+        this.incPC(instr.size)
+        break
+      }
 
+      case Opcode.TEST_REG_IMM: {
+        const a = this.getReg(instr.dst)
+        this.logicFlags(a & instr.imm)
         this.incPC(instr.size)
         break
       }
@@ -1504,6 +2357,38 @@ export class CPU {
         }
         break
 
+      case Opcode.JA:
+        if (this.registers.CF === 0 && this.registers.ZF === 0) {
+          this.setPC(instr.addr)
+        } else {
+          this.incPC(instr.size)
+        }
+        break
+
+      case Opcode.JAE:
+        if (this.registers.CF === 0) {
+          this.setPC(instr.addr)
+        } else {
+          this.incPC(instr.size)
+        }
+        break
+
+      case Opcode.JB:
+        if (this.registers.CF === 1) {
+          this.setPC(instr.addr)
+        } else {
+          this.incPC(instr.size)
+        }
+        break
+
+      case Opcode.JBE:
+        if (this.registers.CF === 1 || this.registers.ZF === 1) {
+          this.setPC(instr.addr)
+        } else {
+          this.incPC(instr.size)
+        }
+        break
+
       case Opcode.LOOP:
         // Decrement CX and jump if CX != 0
         this.registers.CX = (this.registers.CX - 1) & 0xFFFF
@@ -1555,7 +2440,7 @@ export class CPU {
         const a = this.getReg(instr.dst)
         const b = this.getReg(instr.src)
         const result = a & b
-        this.updateFlags(result, 16)
+        this.logicFlags(result)
         this.setReg(instr.dst, result)
         this.incPC(instr.size)
         break
@@ -1564,7 +2449,7 @@ export class CPU {
       case Opcode.AND_REG_IMM: {
         const a = this.getReg(instr.dst)
         const result = a & instr.imm
-        this.updateFlags(result, 16)
+        this.logicFlags(result)
         this.setReg(instr.dst, result)
         this.incPC(instr.size)
         break
@@ -1574,7 +2459,7 @@ export class CPU {
         const a = this.getReg(instr.dst)
         const b = this.getReg(instr.src)
         const result = a | b
-        this.updateFlags(result, 16)
+        this.logicFlags(result)
         this.setReg(instr.dst, result)
         this.incPC(instr.size)
         break
@@ -1583,7 +2468,7 @@ export class CPU {
       case Opcode.OR_REG_IMM: {
         const a = this.getReg(instr.dst)
         const result = a | instr.imm
-        this.updateFlags(result, 16)
+        this.logicFlags(result)
         this.setReg(instr.dst, result)
         this.incPC(instr.size)
         break
@@ -1593,7 +2478,7 @@ export class CPU {
         const a = this.getReg(instr.dst)
         const b = this.getReg(instr.src)
         const result = a ^ b
-        this.updateFlags(result, 16)
+        this.logicFlags(result)
         this.setReg(instr.dst, result)
         this.incPC(instr.size)
         break
@@ -1602,7 +2487,7 @@ export class CPU {
       case Opcode.XOR_REG_IMM: {
         const a = this.getReg(instr.dst)
         const result = a ^ instr.imm
-        this.updateFlags(result, 16)
+        this.logicFlags(result)
         this.setReg(instr.dst, result)
         this.incPC(instr.size)
         break
@@ -1621,6 +2506,11 @@ export class CPU {
         const value = this.getReg(instr.dst)
         const count = instr.imm & 0x0F  // Limit to 15
         const result = (value << count) & 0xFFFF
+        if (count > 0) {
+          // CF = last bit shifted out, OF = sign changed
+          this.setFlag('CF', (value >> (16 - count)) & 1)
+          this.setFlag('OF', ((value ^ result) & 0x8000) !== 0)
+        }
         this.updateFlags(result, 16)
         this.setReg(instr.dst, result)
         this.incPC(instr.size)
@@ -1631,6 +2521,11 @@ export class CPU {
         const value = this.getReg(instr.dst)
         const count = instr.imm & 0x0F  // Limit to 15
         const result = value >>> count
+        if (count > 0) {
+          // CF = last bit shifted out, OF = sign changed (a logical shift clears the sign)
+          this.setFlag('CF', (value >> (count - 1)) & 1)
+          this.setFlag('OF', (value & 0x8000) !== 0)
+        }
         this.updateFlags(result, 16)
         this.setReg(instr.dst, result)
         this.incPC(instr.size)
@@ -1638,15 +2533,26 @@ export class CPU {
       }
 
       // ========== System Calls ==========
-      case Opcode.SYSCALL:
+      case Opcode.SYSCALL: {
+        // In user mode, a syscall with a handler in the syscall table traps to it
+        const handler = this.registers.UF ? this.syscallHandler(instr.syscall) : 0
+        if (handler) {
+          this.pushTrapFrame((this.registers.PC + instr.size) & 0xFFFF)
+          this.registers.UF = 0
+          this.setPC(handler)
+          break
+        }
         if (this.os) {
           this.os.syscall(instr.syscall)
         }
+        // A read with no input yet runs again once input has been provided
+        if (this.waiting === 'input') break
         this.incPC(instr.size)
         break
+      }
 
       default:
-        throw new Error(`Unknown opcode: 0x${opcode.toString(16)} at PC=0x${this.registers.PC.toString(16)}`)
+        throw new CPUFault(FaultKind.INVALID_OPCODE, `Unknown opcode: 0x${opcode.toString(16)}`)
     }
   }
 
@@ -1656,7 +2562,19 @@ export class CPU {
   reset() {
     this.registers.reset(this.memory.size)
     this.halted = false
-    // Prefetch first instruction for display and cache it
-    this.cachedInstruction = this.prefetchInstruction()
+    this.waiting = false
+    this.fault = null
+    this.watchpoints.hit = null
+    this.instructionCount = 0
+    this.interrupts.clear()
+    for (const device of this.memory.devices) {
+      if (device.reset) device.reset()
+    }
+    if (this.journal) this.journal.clear()
+    if (this.os) {
+      this.os.reset()
+    }
+    // Prefetch first instruction for display
+    this.prefetchInstruction()
   }
 }
\ No newline at end of file
@@ -0,0 +1,279 @@
+// Debugger Expressions
+// Evaluates breakpoint conditions and logpoint templates against machine state
+//
+// Syntax (C-like precedence):
+//   42  0x2A  0b101010  'A'     - numbers and characters
+//   AX  AL  SP  PC  ZF ...      - registers and flags (case-insensitive)
+//   counter                     - a label from the loaded program (its address)
+//   [expr]  byte [expr]         - word or byte in memory
+//   - ! ~   * / %   + -   < <= > >=   == !=   &  ^  |   &&  ||   ( )
+//
+// Values are unsigned 16-bit, as in the registers: every result wraps to 16
+// bits and comparisons are unsigned, so AX == -1 is true when AX is 0xFFFF,
+// CX - 1 is 0xFFFF when CX is 0, and [x] < 0 is never true.
+
+import { hex } from './emulator.js'
+
+const REGISTERS = [
+  'AX', 'BX', 'CX', 'DX', 'EX', 'FX', 'SP', 'FP', 'BK', 'PC',
+  'AL', 'BL', 'CL', 'DL', 'EL', 'FL', 'ZF', 'SF', 'CF', 'OF', 'IF', 'UF'
+]
+
+// Binary operators from lowest to highest precedence
+const BINARY_LEVELS = [
+  ['||'],
+  ['&&'],
+  ['|'],
+  ['^'],
+  ['&'],
+  ['==', '!='],
+  ['<', '<=', '>', '>='],
+  ['+', '-'],
+  ['*', '/', '%'],
+]
+
+const BINARY_OPS = {
+  '||': (a, b) => (a || b) ? 1 : 0,
+  '&&': (a, b) => (a && b) ? 1 : 0,
+  '|': (a, b) => a | b,
+  '^': (a, b) => a ^ b,
+  '&': (a, b) => a & b,
+  '==': (a, b) => a === b ? 1 : 0,
+  '!=': (a, b) => a !== b ? 1 : 0,
+  '<': (a, b) => a < b ? 1 : 0,
+  '<=': (a, b) => a <= b ? 1 : 0,
+  '>': (a, b) => a > b ? 1 : 0,
+  '>=': (a, b) => a >= b ? 1 : 0,
+  '+': (a, b) => (a + b) & 0xFFFF,
+  '-': (a, b) => (a - b) & 0xFFFF,
+  '*': (a, b) => Math.imul(a, b) & 0xFFFF,
+  '/': (a, b) => {
+    if (b === 0) throw new Error('Division by zero')
+    return Math.trunc(a / b)
+  },
+  '%': (a, b) => {
+    if (b === 0) throw new Error('Division by zero')
+    return a % b
+  },
+}
+
+const TOKEN_PATTERN = /\s*(0x[0-9a-f]+|0b[01]+|\d+|'(?:\\.|[^'\\])'|[a-z_][a-z0-9_]*|\|\||&&|==|!=|<=|>=|[-+*/%&|^!~<>()[\]])/iy
+
+function tokenize(text) {
+  const tokens = []
+  TOKEN_PATTERN.lastIndex = 0
+  let pos = 0
+  while (pos < text.length) {
+    if (text.slice(pos).trim() === '') break
+    TOKEN_PATTERN.lastIndex = pos
+    const match = TOKEN_PATTERN.exec(text)
+    if (!match) {
+      throw new Error(`Unexpected character '${text.slice(pos).trim()[0]}' in expression`)
+    }
+    tokens.push(match[1])
+    pos = TOKEN_PATTERN.lastIndex
+  }
+  return tokens
+}
+
+function parseCharacter(token) {
+  const escapes = { n: 10, t: 9, r: 13, '0': 0, '\\': 92, "'": 39 }
+  const body = token.slice(1, -1)
+  if (body[0] === '\\') {
+    if (!(body[1] in escapes)) throw new Error(`Unknown escape: ${body}`)
+    return escapes[body[1]]
+  }
+  return body.charCodeAt(0)
+}
+
+/**
+ * Compile an expression to a function of { registers, memory, symbols }
+ * Throws on syntax errors; unknown labels and bad memory reads throw when evaluated.
+ */
+export function compileExpression(text) {
+  const tokens = tokenize(text)
+  let pos = 0
+
+  const peek = () => tokens[pos]
+  const next = () => tokens[pos++]
+  const expect = (token) => {
+    if (tokens[pos] !== token) {
+      throw new Error(`Expected '${token}' in expression`)
+    }
+    pos++
+  }
+
+  function parseLevel(level) {
+    if (level === BINARY_LEVELS.length) return parseUnary()
+    let left = parseLevel(level + 1)
+    while (BINARY_LEVELS[level].includes(peek())) {
+      const op = BINARY_OPS[next()]
+      const right = parseLevel(level + 1)
+      const l = left
+      left = (ctx) => op(l(ctx), right(ctx))
+    }
+    return left
+  }
+
+  function parseUnary() {
+    const token = peek()
+    if (token === '-' || token === '!' || token === '~') {
+      next()
+      const operand = parseUnary()
+      if (token === '-') return (ctx) => -operand(ctx) & 0xFFFF
+      if (token === '!') return (ctx) => operand(ctx) ? 0 : 1
+      return (ctx) => ~operand(ctx) & 0xFFFF
+    }
+    return parsePrimary()
+  }
+
+  function parseMemory(size) {
+    expect('[')
+    const address = parseLevel(0)
+    expect(']')
+    return (ctx) => {
+      const addr = address(ctx) & 0xFFFF
+      return size === 1 ? ctx.memory.readByte(addr) : ctx.memory.readWord(addr)
+    }
+  }
+
+  function parsePrimary() {
+    const token = next()
+    if (token === undefined) throw new Error('Unexpected end of expression')
+
+    if (token === '(') {
+      const inner = parseLevel(0)
+      expect(')')
+      return inner
+    }
+    if (token === '[') {
+      pos--
+      return parseMemory(2)
+    }
+    if (/^0x/i.test(token)) {
+      const value = parseInt(token, 16) & 0xFFFF
+      return () => value
+    }
+    if (/^0b/i.test(token)) {
+      const value = parseInt(token.slice(2), 2) & 0xFFFF
+      return () => value
+    }
+    if (/^\d/.test(token)) {
+      const value = parseInt(token, 10) & 0xFFFF
+      return () => value
+    }
+    if (token[0] === "'") {
+      const value = parseCharacter(token)
+      return () => value
+    }
+    if (/^[a-z_]/i.test(token)) {
+      if (token.toLowerCase() === 'byte' && peek() === '[') {
+        return parseMemory(1)
+      }
+      const name = token.toUpperCase()
+      if (REGISTERS.includes(name)) {
+        return (ctx) => ctx.registers.get(name)
+      }
+      return (ctx) => {
+        if (!ctx.symbols || !(token in ctx.symbols)) {
+          throw new Error(`Unknown name: ${token}`)
+        }
+        return ctx.symbols[token]
+      }
+    }
+    throw new Error(`Unexpected '${token}' in expression`)
+  }
+
+  if (tokens.length === 0) throw new Error('Empty expression')
+  const evaluate = parseLevel(0)
+  if (pos < tokens.length) {
+    throw new Error(`Unexpected '${tokens[pos]}' in expression`)
+  }
+  return evaluate
+}
+
+/**
+ * Compile a log message template to a function of { registers, memory, symbols }
+ * Expressions go in braces and print in decimal, or hex/char with a suffix:
+ *   "i={CX} value={[counter]:x} key={AL:c}"
+ */
+export function compileTemplate(text) {
+  const parts = []
+  let pos = 0
+  while (pos < text.length) {
+    const open = text.indexOf('{', pos)
+    if (open === -1) {
+      parts.push(text.slice(pos))
+      break
+    }
+    const close = text.indexOf('}', open)
+    if (close === -1) throw new Error('Unclosed { in log message')
+    parts.push(text.slice(pos, open))
+
+    let source = text.slice(open + 1, close)
+    let format = 'd'
+    const suffix = source.match(/:([xdc])\s*$/)
+    if (suffix) {
+      format = suffix[1]
+      source = source.slice(0, suffix.index)
+    }
+    const evaluate = compileExpression(source)
+    parts.push((ctx) => formatValue(evaluate(ctx), format))
+    pos = close + 1
+  }
+
+  return (ctx) => parts.map(part => typeof part === 'string' ? part : part(ctx)).join('')
+}
+
+/**
+ * Compile breakpoint options ({ condition, hitCount, logMessage } as typed)
+ * into the action breakpointStops() takes
+ */
+export function compileBreakpoint(line, options) {
+  return {
+    line,
+    condition: options.condition ? compileExpression(options.condition) : null,
+    hitCount: options.hitCount,
+    log: options.logMessage ? compileTemplate(options.logMessage) : null
+  }
+}
+
+/**
+ * Decide whether a breakpoint with options stops execution: the condition must
+ * hold, the hit count must be reached, and logpoints print instead of stopping.
+ * `hits` maps source lines to the times their condition held this run.
+ */
+export function breakpointStops(action, context, hits, print) {
+  if (action.condition) {
+    try {
+      if (!action.condition(context)) return false
+    } catch (err) {
+      print(`[Breakpoint condition error on line ${action.line}: ${err.message}]`)
+      return true
+    }
+  }
+
+  const count = (hits.get(action.line) || 0) + 1
+  hits.set(action.line, count)
+  if (count < action.hitCount) return false
+
+  if (action.log) {
+    try {
+      print(action.log(context))
+    } catch (err) {
+      print(`[Logpoint error on line ${action.line}: ${err.message}]`)
+    }
+    return false
+  }
+  return true
+}
+
+function formatValue(value, format) {
+  if (format === 'x') {
+    return hex(value)
+  }
+  if (format === 'c') {
+    return String.fromCharCode(value & 0xFF)
+  }
+  return String(value)
+}
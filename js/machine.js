@@ -0,0 +1,271 @@
+// Machine
+// A whole x366 computer - display, devices, memory, OS and CPU - with the
+// program loader and a run loop that reports back through events. The IDE,
+// the command-line runner, the CPU worker and embedded emulators each own
+// one, and a page can hold as many as it likes (a reference solution running
+// beside a student's program, say).
+//
+// Events (machine.on(type, listener)):
+//   output(text)     - program output
+//   log(text)        - logpoint and breakpoint messages
+//   inputWait(kind)  - a read syscall is waiting for input (see provideInput)
+//   frame()          - about every 16 ms while running, to redraw views
+//   stop(reason)     - a run ended: 'halt', 'fault', 'breakpoint', 'watchpoint'
+//                      (cpu.watchpoints.hit says which), 'target' (the step
+//                      target was reached) or 'pause'
+
+import { Memory, CPU, Journal } from './emulator.js'
+import { assemble } from './assembler.js'
+import { OS } from './os.js'
+import { Display } from './display.js'
+import { createDevices, MACHINE_DEVICES } from './devices.js'
+import { compileBreakpoint, breakpointStops } from './expression.js'
+import { atStepTarget } from './callstack.js'
+
+const SLICE_MS = 16    // Run time between frames, when messages and input get through
+const BATCH = 10000    // Instructions between clock checks
+
+export class Machine {
+  /**
+   * Options:
+   *   canvas      - the display's canvas element or its id; without one the
+   *                 display only keeps VRAM
+   *   display     - false for a machine without a display
+   *   devices     - device names for createDevices (default: the full machine)
+   *   memorySize  - bytes of memory until a program sets its own size
+   *   filesystem  - where READ_FILE reads, anything with readFileSync(path)
+   *   journal     - true to record each step for stepping back
+   */
+  constructor({ canvas = null, display = true, devices = MACHINE_DEVICES, memorySize = 1024, filesystem = null, journal = false } = {}) {
+    this.display = display ? new Display(canvas) : null
+    this.devices = createDevices(devices, { display: this.display })
+    this.memory = new Memory(memorySize, this.devices)
+    this.os = new OS(null, this.memory, this.display, filesystem)
+    this.cpu = new CPU(this.memory, this.os)
+    this.os.cpu = this.cpu
+    this.cpu.journal = journal ? new Journal() : null
+    this.buttons = this.memory.getDevice('buttons')
+
+    this.debugInfo = null         // Line map and symbols of the loaded program
+    this.running = false
+    this.speed = 0                // Instructions per second while running, 0 for as fast as possible
+    this.breakpoints = new Map()  // PC -> compiled options, or null to always stop
+    this.hits = new Map()         // Source line -> times its breakpoint condition held
+    this.stepTarget = null        // { pc, sp } ending a Step Over/Out
+    this.timer = null             // The next slice, while running
+    this.stopped = null           // Promise for the reason the current run ends
+    this.listeners = new Map()    // Event type -> listeners
+
+    this.os.setOutputCallback(text => this.emit('output', text))
+    this.os.setInputWaitCallback(kind => this.emit('inputWait', kind))
+  }
+
+  on(type, listener) {
+    if (!this.listeners.has(type)) this.listeners.set(type, [])
+    this.listeners.get(type).push(listener)
+  }
+
+  off(type, listener) {
+    const listeners = this.listeners.get(type)
+    if (listeners) this.listeners.set(type, listeners.filter(l => l !== listener))
+  }
+
+  emit(type, ...args) {
+    const listeners = this.listeners.get(type)
+    if (!listeners) return
+    for (const listener of listeners) listener(...args)
+  }
+
+  /**
+   * Load a program's bytecode and point the CPU at it. `args` is the command
+   * line, written at BK with AX pointing to it; AX is 0 when it is null.
+   * Returns what Memory.loadBinary found (code and data ends, debug info).
+   */
+  load(bytecode, args = null) {
+    if (this.running) this.stop('pause')
+    const result = this.memory.loadBinary(bytecode)
+    const cpu = this.cpu
+    cpu.reset()
+    cpu.registers.BK = result.breakPointer
+    cpu.registers.CB = result.codeBase
+    this.debugInfo = result.debugInfo
+    this.hits.clear()
+
+    if (args !== null) {
+      const argBytes = new TextEncoder().encode(args + '\0')
+      const argStart = cpu.registers.BK
+      for (let i = 0; i < argBytes.length; i++) {
+        this.memory.writeByte(argStart + i, argBytes[i])
+      }
+      cpu.registers.BK = argStart + argBytes.length
+      cpu.registers.AX = argStart
+    } else {
+      cpu.registers.AX = 0
+    }
+    return result
+  }
+
+  /**
+   * Assemble source and load it (assembly errors are thrown)
+   */
+  loadSource(source, filename = null, args = null) {
+    return this.load(assemble(source, filename), args)
+  }
+
+  // Clear memory, the CPU and the display, keeping the devices
+  reset() {
+    if (this.running) this.stop('pause')
+    this.memory.clear()
+    this.cpu.reset()
+    if (this.display) this.display.clear()
+    this.hits.clear()
+  }
+
+  // Run one instruction; false once the CPU has halted
+  step() {
+    return this.cpu.step()
+  }
+
+  /**
+   * Run until the program halts or faults, reaches a breakpoint, watchpoint or
+   * the step target, or pause() is called. Returns a promise for the reason, which
+   * also goes to the stop event.
+   */
+  run() {
+    if (this.running) return this.stopped
+    this.running = true
+    this.startTime = performance.now()
+    this.startCount = this.cpu.instructionCount
+    this.stopped = new Promise(resolve => { this.resolveStopped = resolve })
+    this.slice()
+    return this.stopped
+  }
+
+  pause() {
+    if (this.running) this.stop('pause')
+  }
+
+  // Change the speed, counting from now so a running program neither races nor stalls
+  setSpeed(speed) {
+    this.speed = speed
+    this.startTime = performance.now()
+    this.startCount = this.cpu.instructionCount
+  }
+
+  /**
+   * Set breakpoints from [{ pc, line, options }], where options are as the
+   * editor keeps them ({ condition, hitCount, logMessage }) or null to always stop
+   */
+  setBreakpoints(breakpoints) {
+    this.breakpoints.clear()
+    for (const { pc, line, options } of breakpoints) {
+      this.breakpoints.set(pc, options ? compileBreakpoint(line, options) : null)
+    }
+  }
+
+  // Queue input for read syscalls, resuming a run that waits for it
+  provideInput(text) {
+    this.os.provideInput(text)
+    this.resume()
+  }
+
+  // End input, so reads take what is left instead of waiting
+  closeInput() {
+    this.os.closeInput()
+    this.resume()
+  }
+
+  // A running machine with no slice scheduled is waiting for input
+  resume() {
+    if (this.running && this.timer === null) this.slice()
+  }
+
+  schedule(ms) {
+    this.timer = setTimeout(() => this.slice(), ms)
+  }
+
+  // Run for a time slice, then send a frame and yield to the page
+  slice() {
+    this.timer = null
+    const cpu = this.cpu
+    // A blocked read runs again now; it waits once more if input is still short
+    if (cpu.waiting === 'sleep') {
+      const sleepMs = this.os.sleepRemaining(performance.now())
+      if (sleepMs > 0) {
+        this.schedule(sleepMs)
+        return
+      }
+    }
+
+    const checked = this.breakpoints.size > 0 || this.stepTarget !== null || cpu.watchpoints.list.length > 0
+    const end = performance.now() + SLICE_MS
+    let wait = 0
+    do {
+      // Below full speed, run only as far as the clock allows, then sleep
+      // until the next instruction is due
+      let limit = BATCH
+      if (this.speed > 0) {
+        const elapsed = performance.now() - this.startTime
+        const due = this.startCount + Math.floor(elapsed * this.speed / 1000)
+        limit = Math.min(limit, due - cpu.instructionCount)
+        if (limit <= 0) {
+          wait = Math.ceil((cpu.instructionCount + 1 - this.startCount) * 1000 / this.speed - elapsed)
+          break
+        }
+      }
+      const reason = checked ? this.runChecked(limit) : this.runFree(limit)
+      if (reason) {
+        this.stop(reason)
+        return
+      }
+    } while (!cpu.waiting && performance.now() < end)
+
+    this.emit('frame')
+    if (cpu.waiting !== 'input') this.schedule(wait)
+  }
+
+  // Run with nothing to check between instructions; returns a stop reason or null
+  runFree(limit) {
+    return this.cpu.run(limit) ? null : this.stopReason()
+  }
+
+  // Run checking watchpoints, breakpoints and the step target after each instruction
+  runChecked(limit) {
+    const cpu = this.cpu
+    for (let i = 0; i < limit; i++) {
+      if (!cpu.step()) return this.stopReason()
+      if (cpu.watchpoints.hit) return 'watchpoint'
+      if (this.atBreakpoint()) return 'breakpoint'
+      if (this.stepTarget && atStepTarget(cpu, this.stepTarget)) {
+        this.stepTarget = null
+        return 'target'
+      }
+      if (cpu.waiting) break
+    }
+    return null
+  }
+
+  atBreakpoint() {
+    const pc = this.cpu.registers.PC
+    if (!this.breakpoints.has(pc)) return false
+    const action = this.breakpoints.get(pc)
+    if (!action) return true
+    const context = { registers: this.cpu.registers, memory: this.memory, symbols: this.debugInfo ? this.debugInfo.symbols : null }
+    return breakpointStops(action, context, this.hits, text => this.emit('log', text))
+  }
+
+  // Why the CPU stopped by itself
+  stopReason() {
+    return this.cpu.fault ? 'fault' : 'halt'
+  }
+
+  stop(reason) {
+    this.running = false
+    if (this.timer !== null) {
+      clearTimeout(this.timer)
+      this.timer = null
+    }
+    this.emit('stop', reason)
+    this.resolveStopped(reason)
+  }
+}
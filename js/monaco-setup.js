@@ -2,6 +2,7 @@
 
 let monacoEditor = null;
 let breakpointChangeCallback = null;
+let breakpointEditCallback = null;
 
 export function getEditor() {
   return monacoEditor;
@@ -28,7 +29,7 @@ export function initializeMonaco() {
           'CMP', 'TEST',
           'JMP', 'JE', 'JNE', 'JZ', 'JNZ', 'JG', 'JGE', 'JL', 'JLE', 'JA', 'JAE', 'JB', 'JBE',
           'PUSH', 'POP', 'CALL', 'RET',
-          'SYSCALL', 'NOP', 'HLT',
+          'SYSCALL', 'NOP', 'HLT', 'EI', 'DI', 'IRET',
           'DB', 'DW', 'DUP'
         ],
 
@@ -43,7 +44,7 @@ export function initializeMonaco() {
           'CLEAR_SCREEN', 'DRAW_PIXEL', 'DRAW_RECT', 'DRAW_LINE',
           'READ_PIXEL', 'FLUSH_SCREEN',
           'SBRK', 'MALLOC', 'FREE',
-          'ATOI', 'SLEEP', 'OPEN_FILE', 'READ_FILE', 'WRITE_FILE', 'CLOSE_FILE'
+          'ATOI', 'SLEEP', 'WAIT_FRAME', 'OPEN_FILE', 'READ_FILE', 'WRITE_FILE', 'CLOSE_FILE'
         ],
 
         tokenizer: {
@@ -63,10 +64,10 @@ export function initializeMonaco() {
             [/[a-zA-Z_]\w*:/, 'type.identifier'],
 
             // Syscalls
-            [/\b(?:EXIT|PRINT_CHAR|PRINT_INT|PRINT_STRING|READ_CHAR|READ_INT|READ_STRING|CLEAR_SCREEN|DRAW_PIXEL|DRAW_RECT|DRAW_LINE|READ_PIXEL|FLUSH_SCREEN|SBRK|MALLOC|FREE|ATOI|SLEEP|OPEN_FILE|READ_FILE|WRITE_FILE|CLOSE_FILE)\b/i, 'keyword.syscall'],
+            [/\b(?:EXIT|PRINT_CHAR|PRINT_INT|PRINT_STRING|READ_CHAR|READ_INT|READ_STRING|CLEAR_SCREEN|DRAW_PIXEL|DRAW_RECT|DRAW_LINE|READ_PIXEL|FLUSH_SCREEN|SBRK|MALLOC|FREE|ATOI|SLEEP|WAIT_FRAME|OPEN_FILE|READ_FILE|WRITE_FILE|CLOSE_FILE)\b/i, 'keyword.syscall'],
 
             // Instructions
-            [/\b(?:MOV|MOVB|ADD|SUB|MUL|DIV|INC|DEC|AND|OR|XOR|NOT|SHL|SHR|CMP|TEST|JMP|JE|JNE|JZ|JNZ|JG|JGE|JL|JLE|JA|JAE|JB|JBE|PUSH|POP|CALL|RET|SYSCALL|NOP|HLT|DB|DW|DUP)\b/i, 'keyword'],
+            [/\b(?:MOV|MOVB|ADD|SUB|MUL|DIV|INC|DEC|AND|OR|XOR|NOT|SHL|SHR|CMP|TEST|JMP|JE|JNE|JZ|JNZ|JG|JGE|JL|JLE|JA|JAE|JB|JBE|PUSH|POP|CALL|RET|SYSCALL|NOP|HLT|EI|DI|IRET|DB|DW|DUP)\b/i, 'keyword'],
 
             // Registers
             [/\b(?:AX|BX|CX|DX|EX|FX|SP|FP|AL|BL|CL|DL|EL|FL)\b/i, 'variable.predefined'],
@@ -101,7 +102,7 @@ export function initializeMonaco() {
                 'CMP', 'TEST',
                 'JMP', 'JE', 'JNE', 'JZ', 'JNZ', 'JG', 'JGE', 'JL', 'JLE', 'JA', 'JAE', 'JB', 'JBE',
                 'PUSH', 'POP', 'CALL', 'RET',
-                'SYSCALL', 'NOP', 'HLT'].map(kw => ({
+                'SYSCALL', 'NOP', 'HLT', 'EI', 'DI', 'IRET'].map(kw => ({
               label: kw,
               kind: monaco.languages.CompletionItemKind.Keyword,
               insertText: kw,
@@ -121,7 +122,7 @@ export function initializeMonaco() {
                 'CLEAR_SCREEN', 'DRAW_PIXEL', 'DRAW_RECT', 'DRAW_LINE',
                 'READ_PIXEL', 'FLUSH_SCREEN',
                 'SBRK', 'MALLOC', 'FREE',
-                'ATOI', 'SLEEP', 'OPEN_FILE', 'READ_FILE', 'WRITE_FILE', 'CLOSE_FILE'].map(sys => ({
+                'ATOI', 'SLEEP', 'WAIT_FRAME', 'OPEN_FILE', 'READ_FILE', 'WRITE_FILE', 'CLOSE_FILE'].map(sys => ({
               label: sys,
               kind: monaco.languages.CompletionItemKind.Function,
               insertText: sys,
@@ -176,7 +177,12 @@ export function initializeMonaco() {
       // Add breakpoint click handler
       monacoEditor.onMouseDown((e) => {
         if (e.target.type === monaco.editor.MouseTargetType.GUTTER_GLYPH_MARGIN) {
-          toggleBreakpoint(e.target.position.lineNumber);
+          // Shift-click edits the condition, hit count and log message
+          if (e.event.shiftKey && breakpointEditCallback) {
+            breakpointEditCallback(e.target.position.lineNumber);
+          } else {
+            toggleBreakpoint(e.target.position.lineNumber);
+          }
         }
       });
 
@@ -244,24 +250,49 @@ export function initializeMonaco() {
 }
 
 // Breakpoint management
-const breakpoints = new Set();
+// Each breakpoint line maps to its options: { condition, hitCount, logMessage }
+// (null/0 when unused - a breakpoint with none of them always stops)
+const breakpoints = new Map();
 let breakpointDecorations = [];
 
 export function setBreakpointChangeCallback(callback) {
   breakpointChangeCallback = callback;
 }
 
+export function setBreakpointEditCallback(callback) {
+  breakpointEditCallback = callback;
+}
+
 export function toggleBreakpoint(lineNumber) {
   if (breakpoints.has(lineNumber)) {
     breakpoints.delete(lineNumber);
   } else {
-    breakpoints.add(lineNumber);
+    breakpoints.set(lineNumber, { condition: null, hitCount: 0, logMessage: null });
   }
   updateBreakpointDecorations();
   if (breakpointChangeCallback) breakpointChangeCallback();
   return breakpoints.has(lineNumber);
 }
 
+export function getBreakpointOptions(lineNumber) {
+  return breakpoints.get(lineNumber) || null;
+}
+
+// Add or update a breakpoint with options, or remove it with options = null
+export function setBreakpointOptions(lineNumber, options) {
+  if (options) {
+    breakpoints.set(lineNumber, {
+      condition: options.condition || null,
+      hitCount: options.hitCount || 0,
+      logMessage: options.logMessage || null
+    });
+  } else {
+    breakpoints.delete(lineNumber);
+  }
+  updateBreakpointDecorations();
+  if (breakpointChangeCallback) breakpointChangeCallback();
+}
+
 export function clearAllBreakpoints() {
   breakpoints.clear();
   updateBreakpointDecorations();
@@ -269,12 +300,12 @@ export function clearAllBreakpoints() {
 }
 
 export function getBreakpoints() {
-  return Array.from(breakpoints);
+  return Array.from(breakpoints.keys());
 }
 
 export function setBreakpoints(lines) {
   breakpoints.clear();
-  lines.forEach(line => breakpoints.add(line));
+  lines.forEach(line => breakpoints.set(line, { condition: null, hitCount: 0, logMessage: null }));
   updateBreakpointDecorations();
   if (breakpointChangeCallback) breakpointChangeCallback();
 }
@@ -282,14 +313,31 @@ export function setBreakpoints(lines) {
 function updateBreakpointDecorations() {
   if (!monacoEditor) return;
 
-  const newDecorations = Array.from(breakpoints).map(line => ({
-    range: new monaco.Range(line, 1, line, 1),
-    options: {
-      isWholeLine: true,
-      glyphMarginClassName: 'breakpoint-glyph',
-      glyphMarginHoverMessage: { value: 'Breakpoint' }
+  const newDecorations = Array.from(breakpoints).map(([line, options]) => {
+    const details = [];
+    if (options.condition) details.push(`if ${options.condition}`);
+    if (options.hitCount > 1) details.push(`hits ${options.hitCount}`);
+    if (options.logMessage) details.push(`log ${options.logMessage}`);
+
+    let className = 'breakpoint-glyph';
+    if (options.logMessage) {
+      className = 'logpoint-glyph';
+    } else if (details.length > 0) {
+      className = 'breakpoint-glyph conditional-breakpoint-glyph';
     }
-  }));
+
+    return {
+      range: new monaco.Range(line, 1, line, 1),
+      options: {
+        isWholeLine: true,
+        glyphMarginClassName: className,
+        glyphMarginHoverMessage: {
+          value: (options.logMessage ? 'Logpoint' : 'Breakpoint') +
+            (details.length > 0 ? `: \`${details.join(' ')}\`` : '')
+        }
+      }
+    };
+  });
 
   breakpointDecorations = monacoEditor.deltaDecorations(breakpointDecorations, newDecorations);
 }
@@ -322,3 +370,104 @@ export function setExecutionLine(lineNumber) {
 export function clearExecutionLine() {
   setExecutionLine(null);
 }
+
+// Fault line highlighting
+let faultLineDecoration = [];
+
+export function setFaultLine(lineNumber, message) {
+  if (!monacoEditor) return;
+
+  if (lineNumber === null) {
+    faultLineDecoration = monacoEditor.deltaDecorations(faultLineDecoration, []);
+    return;
+  }
+
+  const newDecorations = [{
+    range: new monaco.Range(lineNumber, 1, lineNumber, 1),
+    options: {
+      isWholeLine: true,
+      className: 'fault-line',
+      glyphMarginClassName: 'fault-line-glyph',
+      glyphMarginHoverMessage: { value: message },
+      hoverMessage: { value: message }
+    }
+  }];
+
+  faultLineDecoration = monacoEditor.deltaDecorations(faultLineDecoration, newDecorations);
+  monacoEditor.revealLineInCenter(lineNumber);
+}
+
+export function clearFaultLine() {
+  setFaultLine(null);
+}
+
+// Profiler heat overlay: a gutter bar per executed line, hotter lines redder
+let heatDecorations = [];
+const HEAT_LEVELS = 5;
+
+// counts: [{ line, count }]
+export function setHeatMap(counts) {
+  if (!monacoEditor) return;
+
+  if (!counts || counts.length === 0) {
+    heatDecorations = monacoEditor.deltaDecorations(heatDecorations, []);
+    monacoEditor.updateOptions({ lineDecorationsWidth: 0 });
+    return;
+  }
+
+  // Log scale so a hot inner loop does not wash out everything else
+  const max = Math.log(1 + Math.max(...counts.map(c => c.count)));
+  const newDecorations = counts.map(({ line, count }) => {
+    const level = Math.max(1, Math.ceil(Math.log(1 + count) / max * HEAT_LEVELS));
+    return {
+      range: new monaco.Range(line, 1, line, 1),
+      options: {
+        linesDecorationsClassName: `heat-${level}`,
+        hoverMessage: { value: `Executed ${count} times` }
+      }
+    };
+  });
+
+  monacoEditor.updateOptions({ lineDecorationsWidth: 6 });
+  heatDecorations = monacoEditor.deltaDecorations(heatDecorations, newDecorations);
+}
+
+export function clearHeatMap() {
+  setHeatMap(null);
+}
+
+// Coverage highlighting: lines that never ran, and jumps that only went one way
+let coverageDecorations = [];
+
+// lines: [{ line, count, branches }] from Coverage.lines()
+export function setCoverage(lines) {
+  if (!monacoEditor) return;
+
+  const newDecorations = [];
+  for (const { line, count, branches } of lines || []) {
+    let className = null;
+    let message = null;
+    if (count === 0) {
+      className = 'uncovered-line';
+      message = 'Not executed';
+    } else if (branches && (branches[0] === 0 || branches[1] === 0)) {
+      className = 'partial-line';
+      message = branches[1] === 0 ? 'Jump never taken' : 'Jump always taken';
+    }
+    if (!className) continue;
+    newDecorations.push({
+      range: new monaco.Range(line, 1, line, 1),
+      options: {
+        isWholeLine: true,
+        className,
+        hoverMessage: { value: message }
+      }
+    });
+  }
+
+  coverageDecorations = monacoEditor.deltaDecorations(coverageDecorations, newDecorations);
+}
+
+export function clearCoverage() {
+  setCoverage(null);
+}
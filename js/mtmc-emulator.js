@@ -0,0 +1,183 @@
+// <mtmc-emulator> Element
+// A compact emulator for documentation and course pages: the display, the
+// console, the registers and run/step/reset, without the editor or the file
+// system. Load this module and the program comes from one of:
+//
+//   <mtmc-emulator src="examples/hello.asm"></mtmc-emulator>   source, or a .bin binary, by URL
+//   <mtmc-emulator source="#hello"></mtmc-emulator>            the text of another element
+//   <mtmc-emulator> MOV AX, 42 ... </mtmc-emulator>            its own text
+//
+// Other attributes: args (the program's command line), input (text queued
+// for read syscalls), speed (instructions per second, default as fast as
+// possible), autorun, and no-display to leave the screen out for programs
+// that only print.
+
+import { formatFault, hexDigits } from './emulator.js'
+import { assemble } from './assembler.js'
+import { Machine } from './machine.js'
+
+const REGISTERS = ['AX', 'BX', 'CX', 'DX', 'EX', 'FX', 'SP', 'FP', 'BK', 'PC']
+
+const TEMPLATE = `
+<style>
+  :host { display: inline-block; max-width: 100%; padding: 0.5rem; border: 1px solid #999; background: #f4f4f4; font: 13px monospace; }
+  canvas { display: block; width: 320px; height: 288px; background: #000; image-rendering: pixelated; }
+  :host([no-display]) canvas { display: none; }
+  .controls { margin: 0.4rem 0; }
+  button { font: inherit; }
+  .registers { white-space: pre; color: #333; }
+  .console { min-height: 3em; max-height: 12em; margin: 0.4rem 0 0; padding: 0.3rem; overflow-y: auto; white-space: pre-wrap; background: #111; color: #ddd; }
+  .input { width: 100%; box-sizing: border-box; font: inherit; }
+  .input[hidden] { display: none; }
+</style>
+<canvas></canvas>
+<div class="controls">
+  <button class="run">run</button>
+  <button class="step">step</button>
+  <button class="reset">reset</button>
+</div>
+<div class="registers"></div>
+<pre class="console"></pre>
+<input class="input" hidden>
+`
+
+export class MTMCEmulator extends HTMLElement {
+  constructor() {
+    super()
+    this.attachShadow({ mode: 'open' }).innerHTML = TEMPLATE
+    this.machine = null
+    this.bytecode = null  // The program, loaded again on reset
+  }
+
+  async connectedCallback() {
+    if (this.machine) return
+    const root = this.shadowRoot
+    this.runButton = root.querySelector('.run')
+    this.registersView = root.querySelector('.registers')
+    this.consoleView = root.querySelector('.console')
+    this.inputField = root.querySelector('.input')
+
+    const machine = new Machine({ canvas: root.querySelector('canvas'), display: !this.hasAttribute('no-display') })
+    machine.speed = Number(this.getAttribute('speed')) || 0
+    machine.on('output', text => this.print(text))
+    machine.on('log', text => this.print(text + '\n'))
+    machine.on('inputWait', kind => this.askForInput(kind))
+    machine.on('frame', () => this.showRegisters())
+    machine.on('stop', reason => this.stopped(reason))
+    this.machine = machine
+
+    this.runButton.addEventListener('click', () => this.run())
+    root.querySelector('.step').addEventListener('click', () => this.step())
+    root.querySelector('.reset').addEventListener('click', () => this.reset())
+    this.inputField.addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter') return
+      const text = this.inputField.value
+      this.inputField.value = ''
+      this.inputField.hidden = true
+      this.print(text + '\n')
+      machine.provideInput(text + '\n')
+    })
+
+    try {
+      this.bytecode = await this.loadProgram()
+    } catch (err) {
+      this.print(`[${err.message}]\n`)
+      return
+    }
+    this.reset()
+    if (this.hasAttribute('autorun')) this.run()
+  }
+
+  disconnectedCallback() {
+    if (this.machine) this.machine.pause()
+  }
+
+  /**
+   * Fetch or assemble the program named by the attributes
+   */
+  async loadProgram() {
+    const src = this.getAttribute('src')
+    if (src) {
+      const response = await fetch(src)
+      if (!response.ok) throw new Error(`Cannot load ${src}: ${response.status} ${response.statusText}`)
+      if (src.match(/\.(exe|x366|bin)$/i)) return new Uint8Array(await response.arrayBuffer())
+      return assemble(await response.text(), src.split('/').pop())
+    }
+
+    const selector = this.getAttribute('source')
+    const element = selector ? document.querySelector(selector) : this
+    if (!element) throw new Error(`No element matches ${selector}`)
+    return assemble(element.textContent)
+  }
+
+  // Load the program again, with the args and input from the attributes
+  reset() {
+    if (!this.bytecode) return
+    const machine = this.machine
+    machine.load(this.bytecode, this.getAttribute('args'))
+    if (machine.display) machine.display.clear()
+    machine.os.clearInput()
+    const input = this.getAttribute('input')
+    if (input) machine.os.provideInput(input.endsWith('\n') ? input : input + '\n')
+
+    this.consoleView.textContent = ''
+    this.inputField.hidden = true
+    this.runButton.textContent = 'run'
+    this.showRegisters()
+  }
+
+  // Run, or pause a running program; a finished program starts over
+  run() {
+    const machine = this.machine
+    if (!this.bytecode) return
+    if (machine.running) {
+      machine.pause()
+      return
+    }
+    if (machine.cpu.halted) this.reset()
+    this.runButton.textContent = 'pause'
+    machine.run()
+  }
+
+  step() {
+    const machine = this.machine
+    if (!this.bytecode || machine.running || machine.cpu.halted) return
+    if (!machine.step() && machine.cpu.fault) this.reportFault()
+    this.showRegisters()
+  }
+
+  stopped(reason) {
+    this.runButton.textContent = 'run'
+    if (reason === 'fault') this.reportFault()
+    this.showRegisters()
+  }
+
+  reportFault() {
+    const { cpu, debugInfo } = this.machine
+    const entry = debugInfo && debugInfo.lineMap ? debugInfo.lineMap.find(e => e.pc === cpu.fault.pc) : null
+    const report = formatFault(cpu.fault, cpu.registers, { line: entry ? entry.line : null })
+    this.print(report.join('\n') + '\n')
+  }
+
+  askForInput(kind) {
+    this.inputField.placeholder = `program is waiting for input (${kind === 'char' ? 'character' : kind})`
+    this.inputField.hidden = false
+    this.inputField.focus()
+  }
+
+  print(text) {
+    this.consoleView.textContent += text
+    this.consoleView.scrollTop = this.consoleView.scrollHeight
+  }
+
+  showRegisters() {
+    const registers = this.machine.cpu.registers
+    const line = names => names.map(name => `${name}=${hexDigits(registers[name])}`).join(' ')
+    const flags = ['ZF', 'SF', 'CF', 'OF'].map(flag => `${flag}=${registers[flag]}`).join(' ')
+    this.registersView.textContent = `${line(REGISTERS.slice(0, 5))}\n${line(REGISTERS.slice(5))}\n${flags}`
+  }
+}
+
+if (!customElements.get('mtmc-emulator')) {
+  customElements.define('mtmc-emulator', MTMCEmulator)
+}
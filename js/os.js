@@ -3,6 +3,9 @@
 
 import { Syscall } from './emulator.js'
 
+// WAIT_FRAME paces programs to a fixed 60 Hz frame clock
+const FRAME_MS = 1000 / 60
+
 export class OS {
   constructor(cpu, memory, display = null, filesystem = null) {
     this.cpu = cpu
@@ -12,6 +15,13 @@ export class OS {
     this.outputCallback = null
     this.haltCallback = null
     this.inputCallback = null
+    this.inputWaitCallback = null
+    this.stdin = ''             // Buffered console input consumed by the read syscalls
+    this.inputClosed = false    // End of input - reads stop waiting for more
+    this.heapBlocks = []  // MALLOC blocks: { addr, size, free }, sorted by addr
+    this.wakeAt = null    // performance.now() time a sleeping program resumes
+    this.strace = null    // SyscallTracer logging each syscall, when on
+    this.exitStatus = null  // AX at SYSCALL EXIT (low byte), null until the program exits
   }
 
   // Set callback for console output
@@ -25,15 +35,103 @@ export class OS {
   }
 
   // Set callback for input
+  // The callback receives 'char', 'int' or 'string' so a host can decide how
+  // much input to consume, and returns the text read
   setInputCallback(callback) {
     this.inputCallback = callback
   }
 
+  // Set callback for when a read syscall blocks waiting for input
+  // The callback receives 'char', 'int' or 'string'
+  setInputWaitCallback(callback) {
+    this.inputWaitCallback = callback
+  }
+
   // Set display
   setDisplay(display) {
     this.display = display
   }
 
+  // Reset per-program state (called from CPU.reset)
+  reset() {
+    this.heapBlocks = []
+    this.wakeAt = null
+    this.exitStatus = null
+  }
+
+  // Suspend the CPU until the given performance.now() time
+  suspendUntil(time) {
+    this.wakeAt = time
+    if (this.cpu) {
+      this.cpu.waiting = 'sleep'
+    }
+  }
+
+  // Milliseconds left before a suspended program should resume (0 when due)
+  sleepRemaining(now) {
+    if (this.wakeAt === null) return 0
+    return Math.max(0, this.wakeAt - now)
+  }
+
+  // ============================================================================
+  // Console Input
+  // ============================================================================
+
+  // Append text to the input buffer (a typed line, or pre-filled input for a scripted run)
+  provideInput(text) {
+    this.stdin += text
+  }
+
+  // Mark the end of input so reads return what is left instead of waiting
+  closeInput() {
+    this.inputClosed = true
+  }
+
+  // Discard buffered input and reopen the input stream
+  clearInput() {
+    this.stdin = ''
+    this.inputClosed = false
+  }
+
+  // Take input for a read syscall: one character for 'char', otherwise a line
+  // without its '\n'. Returns null and suspends the CPU when not enough input
+  // is buffered yet; the SYSCALL instruction runs again once input arrives.
+  readInput(kind) {
+    if (this.inputCallback) {
+      return this.inputCallback(kind)
+    }
+
+    let length = kind === 'char'
+      ? (this.stdin.length > 0 ? 1 : -1)
+      : this.stdin.indexOf('\n')
+    if (length === -1 && this.inputClosed) {
+      length = this.stdin.length
+    }
+
+    if (length === -1) {
+      if (this.cpu) {
+        this.cpu.waiting = 'input'
+      }
+      if (this.inputWaitCallback) {
+        this.inputWaitCallback(kind)
+      }
+      return null
+    }
+
+    // Consumed input comes back when stepping backwards
+    if (this.cpu && this.cpu.journal) {
+      const saved = this.stdin
+      this.cpu.journal.addUndo(() => {
+        this.stdin = saved
+      })
+    }
+
+    const text = this.stdin.substring(0, length)
+    const skip = kind !== 'char' && this.stdin[length] === '\n' ? 1 : 0
+    this.stdin = this.stdin.substring(length + skip)
+    return text
+  }
+
   // Output text to console
   print(text) {
     if (this.outputCallback) {
@@ -41,8 +139,21 @@ export class OS {
     }
   }
 
-  // Handle a syscall
+  // Handle a syscall, logging it when a syscall tracer is attached
   syscall(num) {
+    if (!this.strace) {
+      this.dispatchSyscall(num)
+      return
+    }
+    this.strace.begin(this.cpu, num)
+    try {
+      this.dispatchSyscall(num)
+    } finally {
+      this.strace.end(this.cpu)
+    }
+  }
+
+  dispatchSyscall(num) {
     switch (num) {
       case Syscall.EXIT:
         this.sysExit()
@@ -105,6 +216,10 @@ export class OS {
         this.sysClearScreen()
         break
 
+      case Syscall.DRAW_TEXT:
+        this.sysDrawText()
+        break
+
       case Syscall.PAINT_DISPLAY:
         this.sysRefresh()
         break
@@ -113,6 +228,10 @@ export class OS {
         this.sysSleep()
         break
 
+      case Syscall.WAIT_FRAME:
+        this.sysWaitFrame()
+        break
+
       case Syscall.READ_FILE:
         this.sysReadFile()
         break
@@ -135,9 +254,17 @@ export class OS {
   // ============================================================================
 
   // SYSCALL 0: EXIT
+  // Input: AX = exit status (0 for success; the low byte is kept, like a process's)
   sysExit() {
     // Halt the CPU
     if (this.cpu) {
+      if (this.cpu.journal) {
+        const saved = this.exitStatus
+        this.cpu.journal.addUndo(() => {
+          this.exitStatus = saved
+        })
+      }
+      this.exitStatus = this.cpu.registers.AX & 0xFF
       this.cpu.halted = true
     }
 
@@ -182,28 +309,23 @@ export class OS {
   }
 
   // SYSCALL 4: READ_CHAR
-  // Output: AX = character code
+  // Output: AX = character code (0 at end of input)
+  // Read syscalls block until input is available - see readInput()
   sysReadChar() {
-    if (this.inputCallback) {
-      const char = this.inputCallback()
-      this.cpu.setRegByName('AX', char ? char.charCodeAt(0) : 0)
-    } else {
-      this.cpu.setRegByName('AX', 0)
-    }
+    const char = this.readInput('char')
+    if (char === null) return
+    this.cpu.setRegByName('AX', char ? char.charCodeAt(0) : 0)
   }
 
   // SYSCALL 5: READ_INT
   // Output: AX = integer read from input
   sysReadInt() {
-    if (this.inputCallback) {
-      const input = this.inputCallback()
-      const num = parseInt(input, 10)
-      if (!isNaN(num)) {
-        // Handle as signed 16-bit
-        this.cpu.setRegByName('AX', num & 0xFFFF)
-      } else {
-        this.cpu.setRegByName('AX', 0)
-      }
+    const input = this.readInput('int')
+    if (input === null) return
+    const num = parseInt(input, 10)
+    if (!isNaN(num)) {
+      // Handle as signed 16-bit
+      this.cpu.setRegByName('AX', num & 0xFFFF)
     } else {
       this.cpu.setRegByName('AX', 0)
     }
@@ -216,25 +338,22 @@ export class OS {
     const bufAddr = this.cpu.registers.AX
     const maxLen = this.cpu.registers.BX
 
-    if (this.inputCallback) {
-      let input = this.inputCallback()
-
-      // Limit to maxLen if specified
-      if (maxLen > 0 && input.length > maxLen) {
-        input = input.substring(0, maxLen)
-      }
+    let input = this.readInput('string')
+    if (input === null) return
 
-      // Write string to memory
-      for (let i = 0; i < input.length; i++) {
-        this.memory.writeByte(bufAddr + i, input.charCodeAt(i))
-      }
-      // Null terminator
-      this.memory.writeByte(bufAddr + input.length, 0)
+    // Limit to maxLen if specified
+    if (maxLen > 0 && input.length > maxLen) {
+      input = input.substring(0, maxLen)
+    }
 
-      this.cpu.setRegByName('AX', input.length)
-    } else {
-      this.cpu.setRegByName('AX', 0)
+    // Write string to memory
+    for (let i = 0; i < input.length; i++) {
+      this.memory.writeByte(bufAddr + i, input.charCodeAt(i))
     }
+    // Null terminator
+    this.memory.writeByte(bufAddr + input.length, 0)
+
+    this.cpu.setRegByName('AX', input.length)
   }
 
   // SYSCALL 7: ATOI - parse integer from string
@@ -284,14 +403,26 @@ export class OS {
   }
 
   // SYSCALL 8: SBRK (memory allocation)
-  // Input: AX = number of bytes to allocate
-  // Output: AX = address of allocated memory (old BK value)
+  // Input: AX = number of bytes to allocate (signed, negative releases memory)
+  // Output: AX = address of allocated memory (old BK value), or -1 if BK would pass SP
   sysSbrk() {
-    const size = this.cpu.registers.AX
+    const ax = this.cpu.registers.AX & 0xFFFF
+    const size = ax > 32767 ? ax - 65536 : ax
     const oldBK = this.cpu.registers.BK
+    const newBK = oldBK + size
+
+    if (newBK < 0 || newBK > this.cpu.registers.SP) {
+      this.cpu.setRegByName('AX', 0xFFFF) // -1
+      return
+    }
+
+    if (size < 0 && this.heapBlocks.length > 0) {
+      this.saveHeapForUndo()
+      this.trimHeap(newBK)
+    }
 
-    // Move break pointer forward
-    this.cpu.setRegByName('BK', (oldBK + size) & 0xFFFF)
+    // Move break pointer
+    this.cpu.setRegByName('BK', newBK)
 
     // Return old break (start of allocated region)
     this.cpu.setRegByName('AX', oldBK)
@@ -309,7 +440,7 @@ export class OS {
       return
     }
     const color = this.cpu.registers.AX & 0x03
-    this.display.setColor(color)
+    this.journalDrawing(() => this.display.setColor(color))
   }
 
   // SYSCALL 11: DRAW_PIXEL
@@ -318,7 +449,7 @@ export class OS {
     if (!this.display) return
     const x = this.cpu.registers.AX & 0xFFFF
     const y = this.cpu.registers.BX & 0xFFFF
-    this.display.drawPixel(x, y)
+    this.journalDrawing(() => this.display.drawPixel(x, y))
   }
 
   // SYSCALL 12: DRAW_LINE
@@ -329,7 +460,7 @@ export class OS {
     const y1 = this.cpu.registers.BX & 0xFFFF
     const x2 = this.cpu.registers.CX & 0xFFFF
     const y2 = this.cpu.registers.DX & 0xFFFF
-    this.display.drawLine(x1, y1, x2, y2)
+    this.journalDrawing(() => this.display.drawLine(x1, y1, x2, y2))
   }
 
   // SYSCALL 13: DRAW_RECT
@@ -344,7 +475,7 @@ export class OS {
     // Since most code won't set EX, we interpret 0 as "outline" and anything else as "filled"
     const filled = this.cpu.registers.EX === 0 ? false : true
 
-    this.display.drawRect(x, y, width, height, filled)
+    this.journalDrawing(() => this.display.drawRect(x, y, width, height, filled))
   }
 
   // SYSCALL 14: DRAW_CIRCLE
@@ -356,14 +487,35 @@ export class OS {
     const cy = this.cpu.registers.BX & 0xFFFF
     const radius = this.cpu.registers.CX & 0xFFFF
     const filled = (this.cpu.registers.DX & 0xFFFF) !== 0
-    this.display.drawCircle(cx, cy, radius, filled)
+    this.journalDrawing(() => this.display.drawCircle(cx, cy, radius, filled))
   }
 
   // SYSCALL 15: CLEAR_SCREEN
   // No input
   sysClearScreen() {
     if (!this.display) return
-    this.display.clear()
+    this.journalDrawing(() => this.display.clear())
+  }
+
+  // SYSCALL 16: DRAW_TEXT
+  // Input: AX = x, BX = y (signed, so text can start off screen), CX = address of null-terminated string
+  sysDrawText() {
+    if (!this.display) return
+    const x = this.cpu.registers.AX
+    const y = this.cpu.registers.BX
+    const addr = this.cpu.registers.CX
+    let str = ''
+    let i = 0
+
+    // Read until null terminator or safety limit
+    while (i < 1000) {
+      const byte = this.memory.readByte((addr + i) & 0xFFFF)
+      if (byte === 0) break
+      str += String.fromCharCode(byte)
+      i++
+    }
+
+    this.journalDrawing(() => this.display.drawText(x > 32767 ? x - 65536 : x, y > 32767 ? y - 65536 : y, str))
   }
 
   // SYSCALL 17: PAINT_DISPLAY
@@ -375,15 +527,10 @@ export class OS {
 
   // SYSCALL 18: SLEEP
   // Input: AX = milliseconds to sleep
+  // Suspends the CPU; the machine's run loop resumes it once the time has passed
   sysSleep() {
     const ms = this.cpu.registers.AX & 0xFFFF
-    // JavaScript sleep using setTimeout (async, but we'll simulate synchronously for simplicity)
-    // Note: In browser/Node.js, this is tricky without async/await
-    // For now, we'll just add a busy wait for compatibility
-    const start = Date.now()
-    while (Date.now() - start < ms) {
-      // Busy wait
-    }
+    this.suspendUntil(performance.now() + ms)
   }
 
   // SYSCALL 19: READ_FILE
@@ -436,17 +583,150 @@ export class OS {
     }
   }
 
-  // SYSCALL 20: MALLOC (optional - not implemented)
+  // SYSCALL 20: MALLOC
   // Input: AX = size in bytes
-  // Output: AX = -1 (not supported)
+  // Output: AX = address of allocated block, or -1 if the heap would collide with SP
   sysMalloc() {
-    this.cpu.setRegByName('AX', 0xFFFF) // -1
+    const request = this.cpu.registers.AX & 0xFFFF
+    if (request === 0) {
+      this.cpu.setRegByName('AX', 0xFFFF) // -1
+      return
+    }
+
+    // Keep blocks word aligned so MOV [ptr+n] works on any allocation
+    const size = (request + 1) & ~1
+    this.saveHeapForUndo()
+
+    // First fit from the free list, splitting off any remainder
+    const index = this.heapBlocks.findIndex(block => block.free && block.size >= size)
+    if (index !== -1) {
+      const block = this.heapBlocks[index]
+      if (block.size > size) {
+        this.heapBlocks.splice(index + 1, 0, { addr: block.addr + size, size: block.size - size, free: true })
+        block.size = size
+      }
+      block.free = false
+      this.cpu.setRegByName('AX', block.addr)
+      return
+    }
+
+    // Nothing fits - grow the heap by moving BK, reusing a free block that ends at BK
+    const bk = this.cpu.registers.BK
+    const last = this.heapBlocks[this.heapBlocks.length - 1]
+    const extend = last && last.free && last.addr + last.size === bk
+    const addr = extend ? last.addr : (bk + 1) & ~1
+    const newBK = addr + size
+
+    if (newBK > this.cpu.registers.SP) {
+      this.cpu.setRegByName('AX', 0xFFFF) // -1: heap would run into the stack
+      return
+    }
+
+    if (extend) {
+      last.size = size
+      last.free = false
+    } else {
+      this.heapBlocks.push({ addr, size, free: false })
+    }
+    this.cpu.setRegByName('BK', newBK)
+    this.cpu.setRegByName('AX', addr)
   }
 
-  // SYSCALL 21: FREE (optional - not implemented)
-  // Input: AX = pointer to free
-  // Output: None
+  // SYSCALL 21: FREE
+  // Input: AX = pointer returned by MALLOC (0 is ignored)
+  // Output: AX = 0 on success, or -1 if the pointer is not an allocated block
   sysFree() {
-    // No-op - MALLOC not supported, so FREE is also not supported
+    const addr = this.cpu.registers.AX & 0xFFFF
+    if (addr === 0) {
+      this.cpu.setRegByName('AX', 0)
+      return
+    }
+
+    let index = this.heapBlocks.findIndex(block => block.addr === addr)
+    if (index === -1 || this.heapBlocks[index].free) {
+      this.cpu.setRegByName('AX', 0xFFFF) // -1: bad pointer or double free
+      return
+    }
+
+    this.saveHeapForUndo()
+    this.heapBlocks[index].free = true
+
+    // Coalesce with free neighbours that are physically adjacent
+    // (SBRK can leave gaps between blocks)
+    const next = this.heapBlocks[index + 1]
+    const block = this.heapBlocks[index]
+    if (next && next.free && block.addr + block.size === next.addr) {
+      block.size += next.size
+      this.heapBlocks.splice(index + 1, 1)
+    }
+    const prev = this.heapBlocks[index - 1]
+    if (prev && prev.free && prev.addr + prev.size === block.addr) {
+      prev.size += block.size
+      this.heapBlocks.splice(index, 1)
+      index--
+    }
+
+    // Give a free block at the top of the heap back by lowering BK
+    const top = this.heapBlocks[index]
+    if (index === this.heapBlocks.length - 1 && top.addr + top.size === this.cpu.registers.BK) {
+      this.heapBlocks.pop()
+      this.cpu.setRegByName('BK', top.addr)
+    }
+
+    this.cpu.setRegByName('AX', 0)
+  }
+
+  // SYSCALL 22: WAIT_FRAME
+  // No input - suspends the CPU until the start of the next 60 Hz frame
+  sysWaitFrame() {
+    const now = performance.now()
+    this.suspendUntil((Math.floor(now / FRAME_MS) + 1) * FRAME_MS)
+  }
+
+  // ============================================================================
+  // Heap Management
+  // ============================================================================
+
+  // Drop any heap blocks at or above the break pointer after SBRK shrinks it
+  trimHeap(bk) {
+    this.heapBlocks = this.heapBlocks.filter(block => block.addr < bk)
+    const last = this.heapBlocks[this.heapBlocks.length - 1]
+    if (last && last.addr + last.size > bk) {
+      last.size = bk - last.addr
+    }
+  }
+
+  // Draw, recording the VRAM bytes the drawing changed and the color so
+  // stepping backwards erases it too
+  journalDrawing(draw) {
+    const journal = this.cpu.journal
+    if (!journal) {
+      draw()
+      return
+    }
+    const display = this.display
+    const before = display.vram.slice()
+    const color = display.currentColor
+    draw()
+    const changed = []  // Pairs of VRAM offset and old byte
+    for (let i = 0; i < before.length; i++) {
+      if (before[i] !== display.vram[i]) changed.push(i, before[i])
+    }
+    journal.addUndo(() => {
+      for (let i = 0; i < changed.length; i += 2) {
+        display.vram[changed[i]] = changed[i + 1]
+      }
+      display.currentColor = color
+    })
+  }
+
+  // Record the block list so stepping backwards restores the allocator too
+  saveHeapForUndo() {
+    if (this.cpu.journal) {
+      const saved = this.heapBlocks.map(block => ({ ...block }))
+      this.cpu.journal.addUndo(() => {
+        this.heapBlocks = saved
+      })
+    }
   }
 }
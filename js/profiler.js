@@ -0,0 +1,147 @@
+// Execution Profiler
+// Counts how often each PC executes and rolls the counts up by source line,
+// by function and by instruction, to show where a program spends its time.
+//
+// Functions are the labels that CALL jumps to, plus the label the program
+// started at; every PC is charged to the nearest function label before it.
+
+import { Opcode, getInstructionName, hex } from './emulator.js'
+
+export const PROFILE_VIEWS = ['lines', 'functions', 'opcodes']
+
+export class Profiler {
+  constructor() {
+    this.pcCounts = new Uint32Array(0x10000)
+    this.opcodeCounts = new Uint32Array(256)
+    this.total = 0
+    this.entry = null          // First PC profiled - the top-level "function"
+    this.callTargets = new Set()
+  }
+
+  clear() {
+    this.pcCounts.fill(0)
+    this.opcodeCounts.fill(0)
+    this.total = 0
+    this.entry = null
+    this.callTargets.clear()
+  }
+
+  /**
+   * Called by CPU.step() after an instruction completes
+   */
+  record(cpu, pc, instr) {
+    this.pcCounts[pc]++
+    this.opcodeCounts[instr.opcode]++
+    this.total++
+    if (this.entry === null) this.entry = pc
+    if (instr.opcode === Opcode.CALL) this.callTargets.add(cpu.registers.PC)
+  }
+
+  /**
+   * Executed PCs: [{ pc, count }] in address order
+   */
+  byPC() {
+    const rows = []
+    for (let pc = 0; pc < this.pcCounts.length; pc++) {
+      if (this.pcCounts[pc] > 0) rows.push({ pc, count: this.pcCounts[pc] })
+    }
+    return rows
+  }
+
+  /**
+   * Executed source lines: [{ line, count }] in line order
+   */
+  byLine(lineMap) {
+    const lineOf = new Map(lineMap.map(entry => [entry.pc, entry.line]))
+    const counts = new Map()
+    for (const { pc, count } of this.byPC()) {
+      const line = lineOf.get(pc)
+      if (line === undefined) continue
+      counts.set(line, (counts.get(line) || 0) + count)
+    }
+    return [...counts].map(([line, count]) => ({ line, count })).sort((a, b) => a.line - b.line)
+  }
+
+  /**
+   * Executed functions: [{ name, address, count }] in address order.
+   * PCs before the first known function are charged to '(no label)'.
+   */
+  byFunction(symbols) {
+    const starts = new Set(this.callTargets)
+    if (this.entry !== null) starts.add(this.entry)
+
+    // Name each function start after its label (or its address)
+    const names = new Map()
+    for (const [name, address] of Object.entries(symbols || {})) {
+      if (starts.has(address) && !names.has(address)) names.set(address, name)
+    }
+    const functions = [...starts].sort((a, b) => a - b).map(address => ({
+      name: names.get(address) || hex(address),
+      address,
+      count: 0
+    }))
+
+    let unlabelled = 0
+    let current = -1
+    for (const { pc, count } of this.byPC()) {
+      while (current + 1 < functions.length && functions[current + 1].address <= pc) current++
+      if (current < 0) unlabelled += count
+      else functions[current].count += count
+    }
+
+    const rows = functions.filter(fn => fn.count > 0)
+    if (unlabelled > 0) rows.unshift({ name: '(no label)', address: 0, count: unlabelled })
+    return rows
+  }
+
+  /**
+   * Executed instructions by mnemonic: [{ name, count }] in name order
+   */
+  byOpcode() {
+    const counts = new Map()
+    this.opcodeCounts.forEach((count, opcode) => {
+      if (count === 0) return
+      const name = getInstructionName(opcode)
+      counts.set(name, (counts.get(name) || 0) + count)
+    })
+    return [...counts].map(([name, count]) => ({ name, count })).sort((a, b) => a.name.localeCompare(b.name))
+  }
+
+  /**
+   * Text report of one view ('lines', 'functions' or 'opcodes')
+   * sort: 'count' for hottest first, 'source' for line/address/name order
+   * limit: rows to show (0 for all)
+   */
+  report(view, { lineMap = [], symbols = {}, sort = 'count', limit = 20 } = {}) {
+    let rows
+    let label
+    if (view === 'lines') {
+      rows = this.byLine(lineMap)
+      label = (row) => `line ${row.line}`
+    } else if (view === 'functions') {
+      rows = this.byFunction(symbols)
+      label = (row) => row.name
+    } else if (view === 'opcodes') {
+      rows = this.byOpcode()
+      label = (row) => row.name
+    } else {
+      throw new Error(`Unknown profile view: ${view}`)
+    }
+    if (sort === 'count') {
+      rows = [...rows].sort((a, b) => b.count - a.count)
+    } else if (sort !== 'source') {
+      throw new Error(`Unknown sort order: ${sort}`)
+    }
+
+    const lines = [`${this.total} instructions executed`]
+    const shown = limit > 0 ? rows.slice(0, limit) : rows
+    for (const row of shown) {
+      const percent = this.total > 0 ? (row.count * 100 / this.total).toFixed(1) : '0.0'
+      lines.push(`${String(row.count).padStart(10)} ${percent.padStart(5)}%  ${label(row)}`)
+    }
+    if (shown.length < rows.length) {
+      lines.push(`... ${rows.length - shown.length} more`)
+    }
+    return lines.join('\n')
+  }
+}
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+import fs from 'fs'
+import path from 'path'
+import { assemble } from './assembler.js'
+import { formatFault } from './emulator.js'
+import { Machine } from './machine.js'
+import { Coverage } from './coverage.js'
+import { Turbo } from './turbo.js'
+
+// Get command line arguments
+const args = process.argv.slice(2)
+
+// Options come before the program: --coverage <file> writes LCOV coverage,
+// --turbo compiles the program's basic blocks to JavaScript
+let coveragePath = null
+let turbo = false
+while (args.length > 0 && args[0].startsWith('--')) {
+  const option = args.shift()
+  if (option === '--turbo') {
+    turbo = true
+  } else if (option === '--coverage' && args.length > 0) {
+    coveragePath = args.shift()
+  } else if (option.startsWith('--coverage=')) {
+    coveragePath = option.slice('--coverage='.length)
+  } else {
+    console.error(`Unknown option: ${option}`)
+    process.exit(1)
+  }
+}
+
+if (args.length < 1) {
+  console.error('Usage: node js/run-cli.js [--coverage <file.info>] [--turbo] <program.bin|program.asm> [arguments...]')
+  console.error('Example: node js/run-cli.js disk/examples/echo.asm hello world')
+  process.exit(1)
+}
+
+const inputPath = args[0]
+const programArgs = args.slice(1).join(' ')
+
+// Read a line from stdin including its '\n', or null at end of input
+function readLine() {
+  const buf = Buffer.alloc(1)
+  const bytes = []
+  while (true) {
+    let count
+    try {
+      count = fs.readSync(0, buf, 0, 1, null)
+    } catch (err) {
+      // Non-blocking stdin (e.g. some TTYs) reports EAGAIN until data arrives
+      if (err.code === 'EAGAIN') continue
+      if (err.code !== 'EOF') throw err
+      count = 0
+    }
+    if (count === 0) break
+    if (buf[0] === 13) continue
+    bytes.push(buf[0])
+    if (buf[0] === 10) break
+  }
+  return bytes.length > 0 ? String.fromCharCode(...bytes) : null
+}
+
+try {
+  let bytecode
+
+  // Load binaries directly, assemble anything else
+  if (inputPath.match(/\.(exe|x366|bin)$/i)) {
+    bytecode = new Uint8Array(fs.readFileSync(inputPath))
+  } else {
+    const source = fs.readFileSync(inputPath, 'utf-8')
+    bytecode = assemble(source, path.basename(inputPath))
+  }
+
+  // No display or buttons on the command line, but the timer works
+  const machine = new Machine({ display: false, devices: ['timer'] })
+  const result = machine.load(bytecode, programArgs || null)
+  const { cpu, os } = machine
+
+  machine.on('output', (text) => {
+    process.stdout.write(text)
+  })
+
+  const coverage = coveragePath ? new Coverage() : null
+  cpu.coverage = coverage
+  if (turbo) cpu.turbo = new Turbo()
+
+  // There is no display to pace here, so SLEEP and WAIT_FRAME return
+  // immediately - the next run() resumes the CPU
+  while (cpu.run()) {
+    // A read syscall is waiting - feed it the next line of stdin
+    if (cpu.waiting === 'input') {
+      const line = readLine()
+      if (line === null) {
+        os.closeInput()
+      } else {
+        os.provideInput(line)
+      }
+    }
+  }
+
+  if (cpu.fault) {
+    const entry = result.debugInfo?.lineMap?.find(e => e.pc === cpu.fault.pc)
+    const report = formatFault(cpu.fault, cpu.registers, { line: entry ? entry.line : null })
+    console.error(report.join('\n'))
+    process.exitCode = 1
+  } else if (os.exitStatus) {
+    // SYSCALL EXIT passes the status in AX; HLT exits with 0
+    process.exitCode = os.exitStatus
+  }
+
+  // Coverage is written even when the program faulted
+  if (coverage) {
+    const lineMap = result.debugInfo?.lineMap
+    if (!lineMap) {
+      throw new Error('Coverage needs debug info - assemble the program from source')
+    }
+    const sourceFile = inputPath.match(/\.(exe|x366|bin)$/i)
+      ? result.debugInfo.sourceFilename || inputPath
+      : inputPath
+    fs.writeFileSync(coveragePath, coverage.toLCOV(lineMap, sourceFile))
+    const summary = coverage.summary(lineMap)
+    console.error(coverage.summaryText(lineMap))
+    if (summary.uncovered.length > 0) {
+      console.error(`Uncovered lines: ${summary.uncovered.join(', ')}`)
+    }
+  }
+
+} catch (error) {
+  console.error(`Error: ${error.message}`)
+  // Let pending stdout drain instead of calling process.exit()
+  process.exitCode = 1
+}
@@ -0,0 +1,195 @@
+// Machine Snapshots
+// Serializes the complete machine state to a JSON file and restores it exactly,
+// and captures live state to move a machine to and from the CPU worker
+
+import { CPUFault } from './emulator.js'
+
+export const SNAPSHOT_FORMAT = 'x366-snapshot'
+export const SNAPSHOT_VERSION = 2
+
+const VALID_SIZES = [1024, 2048, 4096, 8192, 16384]
+
+// Everything in Registers, including internal registers and flags
+const REGISTER_NAMES = [
+  'AX', 'BX', 'CX', 'DX', 'EX', 'FX', 'SP', 'FP', 'BK', 'PC',
+  'CB', 'IR', 'DR', 'ZF', 'SF', 'CF', 'OF', 'IF', 'UF'
+]
+
+function toHex(bytes) {
+  let text = ''
+  for (let i = 0; i < bytes.length; i++) {
+    text += bytes[i].toString(16).padStart(2, '0')
+  }
+  return text
+}
+
+function fromHex(text, length) {
+  if (typeof text !== 'string' || text.length !== length * 2 || !/^[0-9a-f]*$/i.test(text)) {
+    throw new Error('Invalid snapshot: corrupt memory image')
+  }
+  const bytes = new Uint8Array(length)
+  for (let i = 0; i < length; i++) {
+    bytes[i] = parseInt(text.substr(i * 2, 2), 16)
+  }
+  return bytes
+}
+
+/**
+ * Capture the machine state as snapshot text: everything captureState()
+ * keeps, plus `debugInfo`, the loaded program's debug info (lineMap, symbols,
+ * sourceFilename).
+ */
+export function createSnapshot({ cpu, memory, os = null, display = null, debugInfo = null }) {
+  const state = captureState({ cpu, memory, os, display })
+  const snapshot = {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    ...state,
+    memory: toHex(state.memory),
+    debugInfo
+  }
+
+  if (state.display) {
+    snapshot.display = {
+      color: state.display.color,
+      vram: toHex(state.display.vram)
+    }
+  }
+
+  return JSON.stringify(snapshot)
+}
+
+/**
+ * Parse and validate snapshot text
+ */
+export function parseSnapshot(text) {
+  let snapshot
+  try {
+    snapshot = JSON.parse(text)
+  } catch (err) {
+    throw new Error('Not a snapshot file')
+  }
+
+  if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+    throw new Error('Not a snapshot file')
+  }
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version: ${snapshot.version}`)
+  }
+  if (!VALID_SIZES.includes(snapshot.memorySize)) {
+    throw new Error(`Invalid snapshot: memory size ${snapshot.memorySize}`)
+  }
+  return snapshot
+}
+
+/**
+ * Restore snapshot text into an existing machine.
+ * Memory is resized in place so the CPU and OS keep their references.
+ * Returns { debugInfo } for the UI to take back.
+ */
+export function restoreSnapshot(text, { cpu, memory, os = null, display = null }) {
+  const snapshot = parseSnapshot(text)
+
+  // Decode everything before touching the machine so a bad file changes nothing
+  const state = {
+    ...snapshot,
+    memory: fromHex(snapshot.memory, snapshot.memorySize),
+    display: display && snapshot.display
+      ? { color: snapshot.display.color, vram: fromHex(snapshot.display.vram, display.vram.length) }
+      : null
+  }
+
+  restoreState(state, { cpu, memory, os, display })
+  return { debugInfo: snapshot.debugInfo ?? null }
+}
+
+/**
+ * Capture the running state of a machine to hand it to the CPU worker and
+ * back, or to write as a snapshot. It is a structured-cloneable object with
+ * memory and VRAM as byte arrays.
+ */
+export function captureState({ cpu, memory, os = null, display = null }) {
+  const registers = {}
+  for (const name of REGISTER_NAMES) {
+    registers[name] = cpu.registers[name]
+  }
+
+  const fault = cpu.fault && {
+    kind: cpu.fault.kind,
+    message: cpu.fault.message,
+    pc: cpu.fault.pc,
+    address: cpu.fault.address,
+    instruction: cpu.fault.instruction
+  }
+
+  const devices = {}
+  for (const device of memory.devices) {
+    if (device.saveState) devices[device.name] = device.saveState()
+  }
+
+  const state = {
+    memorySize: memory.size,
+    memory: memory.data.slice(),
+    registers,
+    halted: cpu.halted,
+    waiting: cpu.waiting,
+    instructionCount: cpu.instructionCount,
+    pending: cpu.interrupts.pending,
+    fault,
+    devices
+  }
+
+  if (display) {
+    state.display = { color: display.currentColor, vram: display.vram.slice() }
+  }
+
+  if (os) {
+    state.os = {
+      heapBlocks: os.heapBlocks.map(block => ({ ...block })),
+      stdin: os.stdin,
+      inputClosed: os.inputClosed,
+      exitStatus: os.exitStatus,
+      // Each side of the worker has its own clock, so store what is left
+      sleepMs: cpu.waiting === 'sleep' ? os.sleepRemaining(performance.now()) : null
+    }
+  }
+
+  return state
+}
+
+/**
+ * Restore state from captureState() into an existing machine
+ */
+export function restoreState(state, { cpu, memory, os = null, display = null }) {
+  cpu.reset()
+  memory.size = state.memorySize
+  memory.data = state.memory.slice()
+  memory.instructions.clear()
+
+  for (const name of REGISTER_NAMES) {
+    cpu.registers[name] = state.registers[name]
+  }
+  cpu.halted = state.halted
+  cpu.waiting = state.waiting
+  cpu.instructionCount = state.instructionCount
+  cpu.interrupts.pending = state.pending
+  cpu.fault = state.fault && new CPUFault(state.fault.kind, state.fault.message, state.fault)
+
+  for (const device of memory.devices) {
+    if (device.restoreState && state.devices[device.name]) device.restoreState(state.devices[device.name])
+  }
+
+  if (os && state.os) {
+    os.heapBlocks = state.os.heapBlocks.map(block => ({ ...block }))
+    os.stdin = state.os.stdin
+    os.inputClosed = state.os.inputClosed
+    os.exitStatus = state.os.exitStatus
+    if (state.os.sleepMs !== null) os.suspendUntil(performance.now() + state.os.sleepMs)
+  }
+
+  if (display && state.display) {
+    display.vram.set(state.display.vram)
+    display.setColor(state.display.color)
+    display.refresh()
+  }
+}
@@ -0,0 +1,148 @@
+// Syscall Trace (strace-style)
+// Logs every OS.syscall with its decoded inputs, result and instruction count
+
+import { Syscall, hex, signed } from './emulator.js'
+
+const SYSCALL_NAMES = Object.fromEntries(Object.entries(Syscall).map(([name, num]) => [num, name]))
+
+const MAX_STRING = 48  // Characters of a string argument shown before eliding
+
+// Escape a character for display inside the given quote
+function escapeChar(code, quote) {
+  const escapes = { 0: '\\0', 9: '\\t', 10: '\\n', 13: '\\r', 92: '\\\\' }
+  if (code in escapes) return escapes[code]
+  if (code < 32 || code > 126) return `\\x${code.toString(16).padStart(2, '0')}`
+  const char = String.fromCharCode(code)
+  return char === quote ? '\\' + char : char
+}
+
+function quoteChar(code) {
+  return `'${escapeChar(code & 0xFF, "'")}'`
+}
+
+// Read a null-terminated string for display, escaped and shortened,
+// without tripping read watchpoints
+function readString(cpu, address, max = MAX_STRING) {
+  let text = ''
+  try {
+    for (let i = 0; i < max; i++) {
+      const code = cpu.peekMemory((address + i) & 0xFFFF, 1)
+      if (code === 0) return `"${text}"`
+      text += escapeChar(code, '"')
+    }
+  } catch (err) {
+    return `"${text}"<out of bounds>`
+  }
+  return `"${text}"...`
+}
+
+// How each syscall's inputs and outputs are shown. `args` runs before the
+// syscall and `result` after it; syscalls without a result return nothing.
+const FORMATS = {
+  [Syscall.EXIT]: { args: (r) => `status=${r.AX & 0xFF}` },
+  [Syscall.PRINT_CHAR]: { args: (r) => quoteChar(r.AX) },
+  [Syscall.PRINT_STRING]: { args: (r, cpu) => `${hex(r.AX)} ${readString(cpu, r.AX)}` },
+  [Syscall.PRINT_INT]: { args: (r) => `${signed(r.AX)}` },
+  [Syscall.READ_CHAR]: { result: (r) => `${r.AX} ${quoteChar(r.AX)}` },
+  [Syscall.READ_INT]: { result: (r) => `${signed(r.AX)}` },
+  [Syscall.READ_STRING]: {
+    args: (r) => `buf=${hex(r.AX)}, max=${r.BX}`,
+    result: (r, cpu, before) => `${r.AX} ${readString(cpu, before.AX)}`
+  },
+  [Syscall.ATOI]: {
+    args: (r, cpu) => `${hex(r.AX)} ${readString(cpu, r.AX)}`,
+    result: (r) => `${signed(r.AX)} (BX=${hex(r.BX)})`
+  },
+  [Syscall.SBRK]: { args: (r) => `${signed(r.AX)}`, result: (r) => hex(r.AX) },
+  [Syscall.SET_COLOR]: { args: (r) => `${r.AX}` },
+  [Syscall.DRAW_PIXEL]: { args: (r) => `x=${signed(r.AX)}, y=${signed(r.BX)}` },
+  [Syscall.DRAW_LINE]: {
+    args: (r) => `${signed(r.AX)},${signed(r.BX)} -> ${signed(r.CX)},${signed(r.DX)}`
+  },
+  [Syscall.DRAW_RECT]: {
+    args: (r) => `x=${signed(r.AX)}, y=${signed(r.BX)}, w=${r.CX}, h=${r.DX}${r.EX ? ', filled' : ''}`
+  },
+  [Syscall.DRAW_CIRCLE]: {
+    args: (r) => `cx=${signed(r.AX)}, cy=${signed(r.BX)}, r=${r.CX}${r.DX ? ', filled' : ''}`
+  },
+  [Syscall.DRAW_TEXT]: {
+    args: (r, cpu) => `x=${signed(r.AX)}, y=${signed(r.BX)}, ${readString(cpu, r.CX)}`
+  },
+  [Syscall.SLEEP]: { args: (r) => `${r.AX} ms` },
+  [Syscall.READ_FILE]: {
+    args: (r, cpu) => `${readString(cpu, r.AX)}, buf=${hex(r.BX)}, max=${r.CX}`,
+    result: (r) => `${signed(r.AX)}`
+  },
+  [Syscall.MALLOC]: { args: (r) => `${r.AX}`, result: (r) => r.AX === 0xFFFF ? '-1' : hex(r.AX) },
+  [Syscall.FREE]: { args: (r) => hex(r.AX), result: (r) => `${signed(r.AX)}` },
+}
+
+export class SyscallTracer {
+  constructor({ limit = 10000 } = {}) {
+    this.limit = limit
+    this.entries = []   // { count, pc, num, name, args, result }
+    this.dropped = 0
+    this.current = null
+    this.before = null
+  }
+
+  clear() {
+    this.entries = []
+    this.dropped = 0
+    this.current = null
+  }
+
+  /**
+   * Called by OS.syscall() before the syscall runs
+   */
+  begin(cpu, num) {
+    const registers = cpu.registers
+    const format = FORMATS[num] || {}
+    this.before = { AX: registers.AX, BX: registers.BX }
+    this.current = {
+      count: cpu.instructionCount + 1,
+      pc: registers.PC,
+      num,
+      name: SYSCALL_NAMES[num] || `UNKNOWN(${num})`,
+      args: format.args ? format.args(registers, cpu) : '',
+      result: null
+    }
+  }
+
+  /**
+   * Called by OS.syscall() after the syscall ran (or faulted)
+   */
+  end(cpu) {
+    const entry = this.current
+    this.current = null
+    if (!entry) return
+
+    // A blocked read runs again once input arrives - log it then
+    if (cpu.waiting === 'input') return
+
+    const format = FORMATS[entry.num] || {}
+    if (format.result) {
+      entry.result = format.result(cpu.registers, cpu, this.before)
+    }
+
+    if (this.entries.length >= this.limit) {
+      this.dropped++
+      return
+    }
+    this.entries.push(entry)
+  }
+
+  static formatEntry(entry) {
+    const call = `${entry.name}(${entry.args})`
+    const result = entry.result !== null ? ` = ${entry.result}` : ''
+    return `#${String(entry.count).padEnd(8)} ${hex(entry.pc)}  ${call}${result}`
+  }
+
+  toText() {
+    const lines = this.entries.map(entry => SyscallTracer.formatEntry(entry))
+    if (this.dropped > 0) {
+      lines.push(`... ${this.dropped} more syscalls not recorded (limit ${this.limit})`)
+    }
+    return lines.join('\n') + '\n'
+  }
+}
@@ -675,6 +675,45 @@ label:
     expect(mem.readByte(0x0034)).toBe(Opcode.JLE)
     expect(mem.readByte(0x0038)).toBe(Opcode.JGE)
   })
+
+  it('should encode unsigned jumps', () => {
+    const bytecode = assemble(`
+label:
+  JA label
+  JAE label
+  JB label
+  JBE label
+    `)
+    const mem = new Memory(1024)
+    mem.load(bytecode)
+
+    expect(mem.readByte(0x0020)).toBe(Opcode.JA)
+    expect(mem.readByte(0x0024)).toBe(Opcode.JAE)
+    expect(mem.readByte(0x0028)).toBe(Opcode.JB)
+    expect(mem.readByte(0x002C)).toBe(Opcode.JBE)
+    expect(mem.readByte(0x002F)).toBe(0x20)
+  })
+
+  it('should encode TEST with register and immediate operands', () => {
+    const bytecode = assemble(`
+  TEST AX, BX
+  TEST CX, 0x8000
+    `)
+    const mem = new Memory(1024)
+    mem.load(bytecode)
+
+    expect(mem.readByte(0x0020)).toBe(Opcode.TEST_REG_REG)
+    expect(mem.readByte(0x0021)).toBe(0)
+    expect(mem.readByte(0x0022)).toBe(1)
+    expect(mem.readByte(0x0024)).toBe(Opcode.TEST_REG_IMM)
+    expect(mem.readByte(0x0025)).toBe(2)
+    expect(mem.readByte(0x0026)).toBe(0x80)
+    expect(mem.readByte(0x0027)).toBe(0x00)
+  })
+
+  it('should reject TEST with a memory operand', () => {
+    expect(() => assemble('TEST AX, [0x200]')).toThrow(/Invalid TEST operands/)
+  })
 })
 
 describe('Data Directives', () => {
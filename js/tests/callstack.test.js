@@ -0,0 +1,170 @@
+import { describe, it, expect } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { buildCallStack, formatCallStack, stepOverTarget, stepOutTarget, atStepTarget } from '../callstack.js'
+import { createMachine } from './helpers.js'
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..')
+
+// Step until PC reaches the address `times` times
+function runTo(cpu, address, times = 1) {
+  let hits = 0
+  while (cpu.step()) {
+    if (cpu.registers.PC === address && ++hits === times) return
+  }
+  throw new Error('Address never reached')
+}
+
+describe('Call Stack', () => {
+  it('should list every recursive frame with its call-site line', () => {
+    const source = fs.readFileSync(path.join(root, 'disk/examples/count_down_recursive.asm'), 'utf-8')
+    const { cpu, debugInfo } = createMachine(source)
+    cpu.registers.AX = 0  // No command line - counts down from 5
+    runTo(cpu, debugInfo.symbols.done)
+
+    const frames = buildCallStack(cpu, debugInfo)
+    expect(frames.map(frame => frame.name)).toEqual([...Array(6).fill('count_down'), 'main'])
+    expect(frames[0].line).toBe(30)
+    expect(frames.slice(1, 6).every(frame => frame.line === 27)).toBe(true)
+    expect(frames[6].line).toBe(47)
+
+    // Each frame's FP holds the caller's FP
+    for (let i = 0; i < 5; i++) {
+      expect(frames[i + 1].fp).toBe(frames[i].fp + 4)
+    }
+  })
+
+  it('should show locals and stack arguments as FP offsets', () => {
+    const { cpu, debugInfo } = createMachine(`
+    main:
+      MOV AX, 7
+      PUSH AX
+      CALL square
+      HLT
+    square:
+      PUSH FP
+      MOV FP, SP
+      SUB SP, 2
+      MOV BX, [FP+4]
+      MUL BX
+      MOV [FP-2], AX
+    inside:
+      MOV SP, FP
+      POP FP
+      RET
+    `)
+    runTo(cpu, debugInfo.symbols.inside)
+
+    const [square, main] = buildCallStack(cpu, debugInfo)
+    expect(square.name).toBe('square')
+    expect(square.locals).toEqual([{ offset: -2, address: square.fp - 2, value: 49 }])
+    expect(square.args[0]).toEqual({ offset: 4, address: square.fp + 4, value: 7 })
+    expect(main.name).toBe('main')
+    expect(main.line).toBe(5)
+
+    const text = formatCallStack([square, main])
+    expect(text[0]).toMatch(/^#0 {2}square at line 15 {2}FP=0x[0-9A-F]{4}$/)
+    expect(text[1]).toContain('args:   [FP+4]=0x0007 (7)')
+    expect(text[2]).toContain('locals: [FP-2]=0x0031 (49)')
+    expect(text[3]).toBe('#1  main at line 5')
+  })
+
+  it('should find the caller before the prologue runs and in frameless functions', () => {
+    const { cpu, debugInfo } = createMachine(`
+    main:
+      CALL outer
+      HLT
+    outer:
+      PUSH FP
+      MOV FP, SP
+      CALL leaf
+      POP FP
+      RET
+    leaf:
+      MOV AX, 1
+      RET
+    `)
+    runTo(cpu, debugInfo.symbols.outer)
+    expect(buildCallStack(cpu, debugInfo).map(frame => frame.name)).toEqual(['outer', 'main'])
+
+    runTo(cpu, debugInfo.symbols.leaf + 4)
+    const frames = buildCallStack(cpu, debugInfo)
+    expect(frames.map(frame => [frame.name, frame.line])).toEqual([['leaf', 13], ['outer', 8], ['main', 3]])
+    expect(frames[0].fp).toBeNull()
+  })
+
+  it('should return no frames without debug info', () => {
+    const { cpu } = createMachine('HLT\n')
+    expect(buildCallStack(cpu, null)).toEqual([])
+    expect(formatCallStack([])[0]).toContain('No call stack')
+  })
+})
+
+describe('Step Over and Step Out', () => {
+  const recursive = `
+  main:
+    MOV AX, 3
+    CALL down
+  after:
+    HLT
+  down:
+    PUSH FP
+    MOV FP, SP
+    CMP AX, 0
+    JE down_done
+    DEC AX
+    CALL down
+  back:
+    INC BX
+  down_done:
+    POP FP
+    RET
+  `
+
+  // Run until the target like the UI does, returning the PC it stopped at
+  function runToTarget(cpu, target) {
+    while (cpu.step()) {
+      if (atStepTarget(cpu, target)) return cpu.registers.PC
+    }
+    return null
+  }
+
+  it('should step over a whole call, including its recursion', () => {
+    const { cpu, debugInfo } = createMachine(recursive)
+    cpu.step()
+    expect(stepOverTarget(cpu)).toEqual({ pc: debugInfo.symbols.after, sp: cpu.registers.SP })
+    expect(runToTarget(cpu, stepOverTarget(cpu))).toBe(debugInfo.symbols.after)
+    expect(cpu.registers.BX).toBe(3)
+  })
+
+  it('should not stop a recursive Step Over at a deeper return', () => {
+    const { cpu, debugInfo } = createMachine(recursive)
+    runTo(cpu, debugInfo.symbols.back - 4)  // First recursive CALL
+    const target = stepOverTarget(cpu)
+    expect(target.pc).toBe(debugInfo.symbols.back)
+    expect(runToTarget(cpu, target)).toBe(debugInfo.symbols.back)
+    expect(cpu.registers.BX).toBe(2)  // The two inner calls returned, this one has not
+  })
+
+  it('should not have a Step Over target for other instructions', () => {
+    const { cpu } = createMachine(recursive)
+    expect(stepOverTarget(cpu)).toBeNull()
+  })
+
+  it('should step out to the caller of the current frame', () => {
+    const { cpu, debugInfo } = createMachine(recursive)
+    runTo(cpu, debugInfo.symbols.down, 3)  // Third level of recursion
+    const target = stepOutTarget(cpu, debugInfo)
+    expect(target.pc).toBe(debugInfo.symbols.back)
+    expect(runToTarget(cpu, target)).toBe(debugInfo.symbols.back)
+    expect(cpu.registers.BX).toBe(1)  // Only the current call's INC ran
+    expect(buildCallStack(cpu, debugInfo)).toHaveLength(3)
+  })
+
+  it('should not step out of the outermost function', () => {
+    const { cpu, debugInfo } = createMachine(recursive)
+    cpu.step()
+    expect(stepOutTarget(cpu, debugInfo)).toBeNull()
+  })
+})
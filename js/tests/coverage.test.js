@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest'
+import { Coverage } from '../coverage.js'
+import { createMachine } from './helpers.js'
+
+// Sign check with one path per input - the kind of branching a test suite
+// should cover
+const program = `SYSCALL READ_INT
+CMP AX, 0
+JL negative
+MOV AX, 1
+HLT
+negative:
+MOV AX, -1
+HLT
+`
+
+function run(coverage, input) {
+  const machine = createMachine(program)
+  machine.cpu.coverage = coverage
+  machine.os.provideInput(input)
+  while (machine.step()) { }
+  return machine.debugInfo.lineMap
+}
+
+describe('Coverage', () => {
+  it('should mark the lines that ran and leave the others uncovered', () => {
+    const coverage = new Coverage()
+    const lineMap = run(coverage, '5\n')
+    const counts = Object.fromEntries(coverage.lines(lineMap).map(row => [row.line, row.count]))
+    expect(counts).toEqual({ 1: 1, 2: 1, 3: 1, 4: 1, 5: 1, 7: 0, 8: 0 })
+    expect(coverage.summary(lineMap).uncovered).toEqual([7, 8])
+  })
+
+  it('should record which way each conditional jump went', () => {
+    const coverage = new Coverage()
+    const lineMap = run(coverage, '5\n')
+    const jump = coverage.lines(lineMap).find(row => row.line === 3)
+    expect(jump.branches).toEqual([1, 0])
+    expect(coverage.summaryText(lineMap)).toBe('Lines: 5/7 (71.4%)  Branches: 1/2 (50.0%)')
+  })
+
+  it('should add up coverage over several runs', () => {
+    const coverage = new Coverage()
+    run(coverage, '5\n')
+    const lineMap = run(coverage, '-5\n')
+    const summary = coverage.summary(lineMap)
+    expect(summary.linesHit).toBe(summary.lines)
+    expect(summary.branchesHit).toBe(2)
+    expect(coverage.lines(lineMap)[0].count).toBe(2)
+
+    coverage.clear()
+    expect(coverage.summary(lineMap).linesHit).toBe(0)
+  })
+
+  it('should export an LCOV record', () => {
+    const coverage = new Coverage()
+    const lineMap = run(coverage, '5\n')
+    expect(coverage.toLCOV(lineMap, 'sign.asm', 'positive')).toBe([
+      'TN:positive',
+      'SF:sign.asm',
+      'BRDA:3,0,0,0',
+      'BRDA:3,0,1,1',
+      'BRF:2',
+      'BRH:1',
+      'DA:1,1', 'DA:2,1', 'DA:3,1', 'DA:4,1', 'DA:5,1', 'DA:7,0', 'DA:8,0',
+      'LF:7',
+      'LH:5',
+      'end_of_record'
+    ].join('\n') + '\n')
+  })
+})
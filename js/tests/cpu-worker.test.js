@@ -0,0 +1,216 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { FaultKind } from '../emulator.js'
+import { Machine } from '../machine.js'
+import { captureState, restoreState } from '../snapshot.js'
+import { CPUWorker } from '../cpu-worker.js'
+import { CPUClient } from '../cpu-client.js'
+
+// The UI's copy of the machine, without a canvas
+function createMachine(source) {
+  const machine = new Machine()
+  machine.loadSource(source)
+  return machine
+}
+
+// A worker and its client joined by a real message channel
+let channel = null
+function connect() {
+  channel = new MessageChannel()
+  const worker = new CPUWorker(message => channel.port2.postMessage(message))
+  channel.port2.onmessage = event => worker.handle(event.data)
+
+  const events = { output: '', logs: [], inputWaits: [], frames: [] }
+  let stopped = null
+  const client = new CPUClient(channel.port1, {
+    onOutput: text => { events.output += text },
+    onLog: text => events.logs.push(text),
+    onInputWait: kind => events.inputWaits.push(kind),
+    onFrame: frame => events.frames.push(frame),
+    onStop: message => stopped(message)
+  })
+  // The next machine the worker hands back
+  const nextStop = () => new Promise(resolve => { stopped = resolve })
+  return { client, events, nextStop, worker }
+}
+
+afterEach(() => {
+  channel.port1.close()
+  channel.port2.close()
+})
+
+const countdown = `
+  MOV CX, 5
+again:
+  MOV AX, CX
+  SYSCALL PRINT_INT
+  LOOP again
+  HLT
+`
+
+describe('CPU worker', () => {
+  it('should run a program to the end and hand the machine back', async () => {
+    const machine = createMachine(countdown)
+    const { client, events, nextStop } = connect()
+    const stop = nextStop()
+    client.run(captureState(machine))
+    expect(client.busy).toBe(true)
+
+    const { reason, state } = await stop
+    expect(reason).toBe('halt')
+    expect(client.busy).toBe(false)
+    expect(events.output).toBe('54321')
+
+    restoreState(state, machine)
+    const local = createMachine(countdown)
+    while (local.cpu.step()) { }
+    expect(machine.cpu.registers).toEqual(local.cpu.registers)
+    expect(machine.cpu.instructionCount).toBe(local.cpu.instructionCount)
+    expect(machine.cpu.halted).toBe(true)
+  })
+
+  it('should stop at breakpoints with conditions and count their hits', async () => {
+    const machine = createMachine(countdown)
+    const { client, events, nextStop } = connect()
+    const pc = machine.debugInfo.symbols.again
+    const breakpoints = [
+      { pc, line: 4, options: { condition: 'CX == 2', hitCount: 0, logMessage: null } },
+      { pc: pc + 4, line: 5, options: { condition: null, hitCount: 0, logMessage: 'AX={AX}' } }
+    ]
+
+    let stop = nextStop()
+    client.run(captureState(machine), { breakpoints })
+    const first = await stop
+    expect(first.reason).toBe('breakpoint')
+    expect(first.state.registers.CX).toBe(2)
+    expect(first.state.registers.PC).toBe(pc)
+    expect(events.logs).toEqual(['AX=5', 'AX=4', 'AX=3'])
+    expect(new Map(first.hits).get(4)).toBe(1)
+
+    stop = nextStop()
+    client.run(first.state, { breakpoints: [], hits: first.hits })
+    expect((await stop).reason).toBe('halt')
+    expect(events.output).toBe('54321')
+  })
+
+  it('should wait for input and resume when it arrives', async () => {
+    const machine = createMachine(`
+      SYSCALL READ_INT
+      SYSCALL PRINT_INT
+      HLT
+    `)
+    const { client, events, nextStop } = connect()
+    const stop = nextStop()
+    client.run(captureState(machine))
+    await new Promise(resolve => setTimeout(resolve, 20))
+    expect(events.inputWaits).toEqual(['int'])
+    expect(client.busy).toBe(true)
+
+    client.provideInput('42\n')
+    expect((await stop).reason).toBe('halt')
+    expect(events.output).toBe('42')
+  })
+
+  it('should pause a run, stream frames and take the buttons', async () => {
+    const machine = createMachine(`
+    spin:
+      MOV AL, [0x0010]
+      INC BX
+      JMP spin
+    `)
+    const { client, events, nextStop } = connect()
+    const stop = nextStop()
+    client.run(captureState(machine), { turbo: true })
+    client.setButtons(0x10)
+    await new Promise(resolve => setTimeout(resolve, 50))
+    client.pause()
+
+    const { reason, state } = await stop
+    expect(reason).toBe('pause')
+    expect(state.registers.AX).toBe(0x10)
+    expect(state.instructionCount).toBeGreaterThan(1000)
+    expect(events.frames.length).toBeGreaterThan(0)
+    expect(events.frames[0].registers.PC).toBeGreaterThanOrEqual(0x20)
+  })
+
+  it('should step, send VRAM back and report faults', async () => {
+    const source = `
+      MOV BX, 0x4000
+      MOV AX, 0xABCD
+      MOV [BX], AX
+      MOV BX, 0
+      DIV BX
+    `
+    const machine = createMachine(source)
+    const { client, nextStop } = connect()
+    let stop = nextStop()
+    client.step(captureState(machine), 3)
+    const stepped = await stop
+    expect(stepped.reason).toBe('step')
+    expect(stepped.state.instructionCount).toBe(3)
+    restoreState(stepped.state, machine)
+    expect([machine.display.vram[0], machine.display.vram[1]]).toEqual([0xAB, 0xCD])
+
+    stop = nextStop()
+    client.run(captureState(machine))
+    const faulted = await stop
+    expect(faulted.reason).toBe('fault')
+    restoreState(faulted.state, machine)
+    expect(machine.cpu.fault.kind).toBe(FaultKind.DIVIDE_BY_ZERO)
+    const local = createMachine(source)
+    while (local.cpu.step()) { }
+    expect(machine.cpu.fault.pc).toBe(local.cpu.fault.pc)
+  })
+
+  it('should read files from the cache sent with the run', async () => {
+    const machine = createMachine(`
+      MOV AX, name
+      MOV BX, buffer
+      MOV CX, 16
+      SYSCALL READ_FILE
+      MOV AX, buffer
+      SYSCALL PRINT_STRING
+      HLT
+    name: DB "data/hello.txt", 0
+    buffer: DB 16 DUP(0)
+    `)
+    const { client, events, nextStop } = connect()
+    const stop = nextStop()
+    client.run(captureState(machine), { files: new Map([['/data/hello.txt', 'hi there']]) })
+    expect((await stop).reason).toBe('halt')
+    expect(events.output).toBe('hi there')
+  })
+
+  it('should drop what a cancelled run sends', async () => {
+    const machine = createMachine('spin:\n JMP spin\n')
+    const { client, nextStop } = connect()
+    let handedBack = false
+    nextStop().then(() => { handedBack = true })
+    client.run(captureState(machine))
+    client.cancel()
+    await new Promise(resolve => setTimeout(resolve, 30))
+    expect(handedBack).toBe(false)
+    expect(client.busy).toBe(false)
+  })
+})
+
+describe('Live machine state', () => {
+  it('should carry the run-time state a snapshot leaves out', () => {
+    const machine = createMachine(`
+      MOV AX, 7
+      MOV [0x0012], AX
+      MOV BX, 0
+      DIV BX
+    `)
+    while (machine.cpu.step()) { }
+    machine.memory.getDevice('buttons').press(0x01)
+    const state = structuredClone(captureState(machine))
+
+    const copy = createMachine('HLT\n')
+    restoreState(state, copy)
+    expect(copy.cpu.instructionCount).toBe(machine.cpu.instructionCount)
+    expect(copy.cpu.fault).toMatchObject({ kind: FaultKind.DIVIDE_BY_ZERO, pc: machine.cpu.fault.pc })
+    expect(copy.memory.getDevice('timer').period).toBe(7)
+    expect(copy.memory.getDevice('buttons').state).toBe(0x01)
+    expect(copy.memory.data).toEqual(machine.memory.data)
+  })
+})
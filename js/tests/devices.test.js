@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest'
+import { ButtonDevice, DisplayDevice, createDevices, BUTTON_ADDRESS, VRAM_START } from '../devices.js'
+import { Memory, Journal } from '../emulator.js'
+import { createMachine } from './helpers.js'
+
+// A display without a canvas: VRAM and a refresh counter
+function fakeDisplay() {
+  const vram = new Uint8Array(5760)
+  return { vram, refreshes: 0, getVRAM() { return vram }, refresh() { this.refreshes++ } }
+}
+
+describe('Device bus', () => {
+  it('should route a device range to the device instead of RAM', () => {
+    const reads = []
+    const writes = []
+    const device = {
+      name: 'test',
+      start: 0x100,
+      end: 0x103,
+      read(offset) { reads.push(offset); return 0xA0 + offset },
+      write(offset, value) { writes.push([offset, value]) }
+    }
+    const memory = new Memory(1024, [device])
+    expect(memory.getDevice('test')).toBe(device)
+
+    expect(memory.readWord(0x101)).toBe(0xA1A2)
+    memory.writeWord(0x0FF, 0x1234)
+    expect(writes).toEqual([[0, 0x34]])
+    expect(memory.data[0x0FF]).toBe(0x12)
+    expect(memory.data[0x100]).toBe(0)
+    expect(reads).toEqual([1, 2])
+
+    expect(memory.detach(device)).toBe(true)
+    expect(memory.readByte(0x100)).toBe(0)
+    expect(memory.getDevice('test')).toBe(null)
+  })
+
+  it('should reject overlapping and invalid ranges', () => {
+    const memory = new Memory(1024, [new ButtonDevice()])
+    const clash = { name: 'clash', start: 0x0008, end: 0x0010, read: () => 0, write: () => {} }
+    expect(() => memory.attach(clash)).toThrow('Device clash overlaps buttons at 0x10')
+    expect(() => memory.attach({ ...clash, start: 0x20, end: 0x1F })).toThrow('invalid address range')
+  })
+
+  it('should allow device addresses beyond physical memory only', () => {
+    const display = fakeDisplay()
+    const memory = new Memory(1024, [new DisplayDevice(display)])
+    memory.writeByte(VRAM_START + 5, 0x1B)
+    expect(display.vram[5]).toBe(0x1B)
+    expect(display.refreshes).toBe(1)
+    expect(memory.readByte(VRAM_START + display.vram.length - 1)).toBe(0)
+    expect(() => memory.readByte(VRAM_START + display.vram.length)).toThrow('out of bounds')
+    expect(() => new Memory(1024).readByte(VRAM_START)).toThrow('out of bounds')
+  })
+
+  it('should let programs poll the buttons and ignore writes to them', () => {
+    const { cpu, buttons } = createMachine(`
+      MOV AL, [0x0010]
+      MOV BL, 0xFF
+      MOV [0x0010], BL
+      MOV CL, [0x0010]
+      HLT
+    `, { devices: ['buttons'] })
+    buttons.press(0x10)
+    buttons.press(0x01)
+    buttons.release(0x10)
+    while (cpu.step()) { }
+    expect(cpu.fault).toBe(null)
+    expect(cpu.registers.AX).toBe(0x01)
+    expect(cpu.registers.CX).toBe(0x01)
+    expect(buttons.state).toBe(0x01)
+    expect(cpu.memory.data[BUTTON_ADDRESS]).toBe(0)
+  })
+
+  it('should watch and journal device writes like RAM', () => {
+    const { cpu, display } = createMachine(`
+      MOV BX, 0x4000
+      MOV AX, 0xABCD
+      MOV [BX], AX
+      HLT
+    `, { display: true, devices: ['display'] })
+    cpu.journal = new Journal()
+    cpu.watchpoints.add(0x4001, 0x4001, 'write')
+    while (cpu.step()) {
+      if (cpu.watchpoints.hit) break
+    }
+    expect(cpu.watchpoints.hit).toMatchObject({ address: 0x4001, value: 0xCD, oldValue: 0 })
+    expect([display.vram[0], display.vram[1]]).toEqual([0xAB, 0xCD])
+
+    cpu.stepBack()
+    expect([display.vram[0], display.vram[1]]).toEqual([0, 0])
+  })
+
+  it('should build the devices a machine configuration names', () => {
+    const display = fakeDisplay()
+    expect(createDevices(['display', 'buttons'], { display }).map(device => device.name)).toEqual(['display', 'buttons'])
+    expect(createDevices(['display', 'buttons']).map(device => device.name)).toEqual(['buttons'])
+    expect(() => createDevices(['floppy'])).toThrow('Unknown device: floppy')
+  })
+})
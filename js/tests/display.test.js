@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { Display, DISPLAY_WIDTH, DISPLAY_HEIGHT, FONT_WIDTH } from '../display.js'
+import { createMachine } from './helpers.js'
+
+// Minimal canvas so Display can be constructed outside the browser
+function stubDocument() {
+  globalThis.document = {
+    getElementById: () => ({
+      getContext: () => ({
+        createImageData: (w, h) => ({ data: new Uint8ClampedArray(w * h * 4) }),
+        putImageData: () => {}
+      })
+    })
+  }
+}
+
+function pixelAt(display, x, y) {
+  const i = y * DISPLAY_WIDTH + x
+  return (display.vram[Math.floor(i / 4)] >> ((i % 4) * 2)) & 0x03
+}
+
+function litPixels(display) {
+  let count = 0
+  for (let y = 0; y < 144; y++) {
+    for (let x = 0; x < DISPLAY_WIDTH; x++) {
+      if (pixelAt(display, x, y) !== 0) count++
+    }
+  }
+  return count
+}
+
+describe('Display', () => {
+  let display
+
+  beforeEach(() => {
+    stubDocument()
+    display = new Display('display-canvas')
+  })
+
+  afterEach(() => {
+    delete globalThis.document
+  })
+
+  describe('drawText', () => {
+    it('should draw glyphs in the current color', () => {
+      display.setColor(2)
+      display.drawText(0, 0, 'I')
+      // 'I' is a vertical bar in column 2 with serifs on the top and bottom rows
+      for (let row = 0; row < 7; row++) {
+        expect(pixelAt(display, 2, row)).toBe(2)
+      }
+      expect(pixelAt(display, 0, 3)).toBe(0)
+    })
+
+    it('should advance one cell per character', () => {
+      display.drawText(0, 0, 'II')
+      expect(pixelAt(display, 2 + FONT_WIDTH, 3)).toBe(3)
+    })
+
+    it('should clip text at the screen edges', () => {
+      // The glyph as drawn where it fits
+      const reference = new Display('display-canvas')
+      reference.drawText(0, 0, 'H')
+      const glyph = (col, row) => col < 5 && row < 7 ? pixelAt(reference, col, row) : 0
+
+      display.drawText(DISPLAY_WIDTH - 3, DISPLAY_HEIGHT - 4, 'HH')
+      display.drawText(-3, -3, 'H')
+
+      // Only the on-screen parts are drawn, nothing wraps to the other edge
+      let lit = 0
+      for (let y = 0; y < DISPLAY_HEIGHT; y++) {
+        for (let x = 0; x < DISPLAY_WIDTH; x++) {
+          let expected = 0
+          if (x >= DISPLAY_WIDTH - 3 && y >= DISPLAY_HEIGHT - 4) {
+            expected = glyph(x - (DISPLAY_WIDTH - 3), y - (DISPLAY_HEIGHT - 4))
+          } else if (x < 2 && y < 4) {
+            expected = glyph(x + 3, y + 3)
+          }
+          expect(pixelAt(display, x, y), `(${x}, ${y})`).toBe(expected)
+          if (expected) lit++
+        }
+      }
+      expect(lit).toBe(litPixels(display))
+      expect(lit).toBe(6 + 5)  // The corners of the two H's, crossbar included
+    })
+
+    it('should start a new line on newline', () => {
+      display.drawText(10, 0, 'I\nI')
+      expect(pixelAt(display, 12, 8 + 3)).toBe(3)
+    })
+  })
+
+  describe('DRAW_TEXT syscall', () => {
+    it('should render a string from memory at (AX, BX)', () => {
+      const machine = createMachine(`
+        msg: DB "1", 0
+        MOV AX, 20
+        MOV BX, 30
+        MOV CX, msg
+        SYSCALL DRAW_TEXT
+        HLT
+      `, { display: true })
+      while (machine.step()) { }
+
+      // '1' has its stem in column 2
+      expect(pixelAt(machine.display, 22, 33)).toBe(3)
+      expect(pixelAt(machine.display, 20, 33)).toBe(0)
+    })
+  })
+})
@@ -1,7 +1,8 @@
 import { describe, it, expect, beforeEach } from 'vitest'
-import { Registers, Memory, Opcode, decodeInstruction, getInstructionName, CPU } from '../emulator.js'
+import { Registers, Memory, Opcode, decodeInstruction, getInstructionName, CPU, CPUFault, FaultKind, formatFault, Watchpoints, Journal } from '../emulator.js'
 import { assemble } from '../assembler.js'
 import { OS } from '../os.js'
+import { createMachine } from './helpers.js'
 
 // ============================================================================
 // Registers Tests
@@ -768,6 +769,608 @@ describe('CPU Execution', () => {
     })
   })
 
+  describe('Carry and Overflow Flags', () => {
+    function run(source) {
+      const { cpu } = createMachine(source)
+      while (cpu.step()) { }
+      return cpu.registers
+    }
+
+    it('should set OF on signed overflow in ADD', () => {
+      const regs = run(`
+        MOV AX, 0x7FFF
+        ADD AX, 1
+        HLT
+      `)
+      expect(regs.AX).toBe(0x8000)
+      expect(regs.OF).toBe(1)
+      expect(regs.CF).toBe(0)
+      expect(regs.SF).toBe(1)
+    })
+
+    it('should set CF but not OF when an unsigned ADD wraps', () => {
+      const regs = run(`
+        MOV AX, 0xFFFF
+        MOV BX, 2
+        ADD AX, BX
+        HLT
+      `)
+      expect(regs.AX).toBe(1)
+      expect(regs.CF).toBe(1)
+      expect(regs.OF).toBe(0)
+    })
+
+    it('should set OF on signed overflow in SUB and CMP', () => {
+      const sub = run(`
+        MOV AX, 0x8000
+        SUB AX, 1
+        HLT
+      `)
+      expect(sub.AX).toBe(0x7FFF)
+      expect(sub.OF).toBe(1)
+      expect(sub.CF).toBe(0)
+
+      const cmp = run(`
+        MOV AX, 0x8000
+        CMP AX, 1
+        HLT
+      `)
+      expect(cmp.OF).toBe(1)
+      expect(cmp.AX).toBe(0x8000)
+    })
+
+    it('should make JL correct when the subtraction overflows', () => {
+      // -32768 < 1, but SF alone says the result (0x7FFF) is positive
+      const regs = run(`
+        MOV AX, 0x8000
+        MOV BX, 0
+        CMP AX, 1
+        JL less
+        HLT
+      less:
+        MOV BX, 1
+        HLT
+      `)
+      expect(regs.BX).toBe(1)
+    })
+
+    it('should set OF for INC/DEC and leave CF alone', () => {
+      const regs = run(`
+        MOV AX, 0xFFFF
+        ADD AX, 1
+        MOV BX, 0x7FFF
+        INC BX
+        HLT
+      `)
+      expect(regs.BX).toBe(0x8000)
+      expect(regs.OF).toBe(1)
+      expect(regs.CF).toBe(1)
+    })
+
+    it('should put the last bit shifted out in CF', () => {
+      const shl = run(`
+        MOV AX, 0x8001
+        SHL AX, 1
+        HLT
+      `)
+      expect(shl.AX).toBe(0x0002)
+      expect(shl.CF).toBe(1)
+      expect(shl.OF).toBe(1)
+
+      const shr = run(`
+        MOV AX, 0x0005
+        SHR AX, 1
+        HLT
+      `)
+      expect(shr.AX).toBe(0x0002)
+      expect(shr.CF).toBe(1)
+      expect(shr.OF).toBe(0)
+    })
+
+    it('should set CF and OF when MUL overflows 16 bits', () => {
+      const regs = run(`
+        MOV AX, 0x100
+        MOV BX, 0x100
+        MUL BX
+        HLT
+      `)
+      expect(regs.AX).toBe(0)
+      expect(regs.CF).toBe(1)
+      expect(regs.OF).toBe(1)
+    })
+
+    it('should clear CF and OF for logical operations', () => {
+      const regs = run(`
+        MOV AX, 0xFFFF
+        ADD AX, 1
+        MOV AX, 0xF0
+        AND AX, 0x0F
+        HLT
+      `)
+      expect(regs.ZF).toBe(1)
+      expect(regs.CF).toBe(0)
+      expect(regs.OF).toBe(0)
+    })
+  })
+
+  describe('TEST and Unsigned Jumps', () => {
+    function run(source) {
+      const { cpu } = createMachine(source)
+      while (cpu.step()) { }
+      return cpu.registers
+    }
+
+    it('should set flags from TEST without changing the register', () => {
+      const regs = run(`
+        MOV AX, 0x00F0
+        TEST AX, 0x000F
+        HLT
+      `)
+      expect(regs.AX).toBe(0x00F0)
+      expect(regs.ZF).toBe(1)
+
+      const regReg = run(`
+        MOV AX, 0x8001
+        MOV BX, 0x8000
+        TEST AX, BX
+        HLT
+      `)
+      expect(regReg.ZF).toBe(0)
+      expect(regReg.SF).toBe(1)
+    })
+
+    it('should treat 0xFFFF as above 1 for JA but not for JG', () => {
+      const regs = run(`
+        MOV BX, 0
+        MOV CX, 0
+        MOV AX, 0xFFFF
+        CMP AX, 1
+        JG signed_greater
+        JMP check_unsigned
+      signed_greater:
+        MOV BX, 1
+      check_unsigned:
+        CMP AX, 1
+        JA unsigned_above
+        HLT
+      unsigned_above:
+        MOV CX, 1
+        HLT
+      `)
+      expect(regs.BX).toBe(0)
+      expect(regs.CX).toBe(1)
+    })
+
+    it('should take JAE, JB and JBE based on CF and ZF', () => {
+      const regs = run(`
+        MOV DX, 0
+        MOV AX, 5
+        CMP AX, 5
+        JAE ae_ok
+        HLT
+      ae_ok:
+        OR DX, 1
+        CMP AX, 6
+        JB b_ok
+        HLT
+      b_ok:
+        OR DX, 2
+        CMP AX, 5
+        JBE be_ok
+        HLT
+      be_ok:
+        OR DX, 4
+        CMP AX, 4
+        JBE done
+        OR DX, 8
+      done:
+        HLT
+      `)
+      expect(regs.DX).toBe(15)
+    })
+  })
+
+  describe('CPU Faults', () => {
+    function run(source) {
+      const machine = createMachine(source)
+      while (machine.step()) { }
+      return machine
+    }
+
+    it('should halt on division by zero with the faulting PC and instruction', () => {
+      const { cpu } = run(`
+        MOV AX, 10
+        MOV BX, 0
+        DIV BX
+        HLT
+      `)
+      expect(cpu.halted).toBe(true)
+      expect(cpu.fault).toBeInstanceOf(CPUFault)
+      expect(cpu.fault.kind).toBe(FaultKind.DIVIDE_BY_ZERO)
+      expect(cpu.fault.pc).toBe(0x0028)
+      expect(cpu.fault.instruction.opcode).toBe(Opcode.DIV)
+      expect(cpu.registers.PC).toBe(cpu.fault.pc)
+      expect(cpu.step()).toBe(false)
+    })
+
+    it('should report the address of an out-of-bounds access', () => {
+      const { cpu } = run(`
+        MOV BX, 0x7FF0
+        MOV AX, [BX]
+        HLT
+      `)
+      expect(cpu.fault.kind).toBe(FaultKind.MEMORY_READ)
+      expect(cpu.fault.address).toBe(0x7FF0)
+
+      const write = run(`
+        MOV BX, 0x7FF0
+        MOV [BX], AX
+        HLT
+      `)
+      expect(write.cpu.fault.kind).toBe(FaultKind.MEMORY_WRITE)
+    })
+
+    it('should fault on an unknown opcode', () => {
+      const { cpu } = run('DB 0xFF, 0xFF')
+      expect(cpu.fault.kind).toBe(FaultKind.INVALID_OPCODE)
+      expect(cpu.fault.pc).toBe(0x0020)
+    })
+
+    it('should map the faulting PC to its source line', () => {
+      const { cpu, debugInfo } = run('MOV BX, 0\nDIV BX\nHLT\n')
+      const entry = debugInfo.lineMap.find(e => e.pc === cpu.fault.pc)
+      expect(entry.line).toBe(2)
+    })
+
+    it('should clear the fault on reset', () => {
+      const { cpu } = run('DB 0xFF, 0xFF')
+      cpu.reset()
+      expect(cpu.fault).toBe(null)
+      expect(cpu.halted).toBe(false)
+    })
+
+    it('should format a report with the fault and registers', () => {
+      const { cpu } = run(`
+        MOV AX, 0x1234
+        MOV BX, 0
+        DIV BX
+      `)
+      const report = formatFault(cpu.fault, cpu.registers, { line: 4 }).join('\n')
+      expect(report).toContain('divide-by-zero')
+      expect(report).toContain('(line 4)')
+      expect(report).toContain('instruction: DIV')
+      expect(report).toContain('AX=0x1234')
+    })
+  })
+
+  describe('Watchpoints', () => {
+    function load(source) {
+      return createMachine(source).cpu
+    }
+
+    // Step until a watchpoint fires; returns the hit or null at halt
+    function runToHit(cpu) {
+      while (cpu.step()) {
+        if (cpu.watchpoints.hit) return cpu.watchpoints.hit
+      }
+      return cpu.watchpoints.hit
+    }
+
+    const program = `
+      counter: DW 0
+      MOV AX, [counter]
+      MOV BX, 5
+      MOV [counter], BX
+      MOV [counter], BX
+      MOV CX, 7
+      MOV [counter], CX
+      HLT
+    `
+    const COUNTER = 0x003A  // counter is placed after the 26 bytes of code
+
+    it('should fire on a write with the PC, old and new value', () => {
+      const cpu = load(program)
+      cpu.watchpoints.add(COUNTER, COUNTER, 'write')
+      const hit = runToHit(cpu)
+      expect(hit.access).toBe('write')
+      expect(hit.value).toBe(5)
+      expect(hit.oldValue).toBe(0)
+      expect(hit.pc).toBe(0x0028)
+    })
+
+    it('should fire on reads but not on instruction fetches', () => {
+      const cpu = load(program)
+      cpu.watchpoints.add(0x0020, 0x002F, 'read')
+      expect(runToHit(cpu)).toBe(null)
+
+      const data = load(program)
+      data.watchpoints.add(COUNTER, COUNTER + 1, 'read')
+      const hit = runToHit(data)
+      expect(hit.access).toBe('read')
+      expect(hit.pc).toBe(0x0020)
+    })
+
+    it('should only fire on change when the value actually changes', () => {
+      const cpu = load(program)
+      cpu.watchpoints.add(COUNTER, COUNTER, 'change')
+      expect(runToHit(cpu).pc).toBe(0x0028)
+      cpu.watchpoints.hit = null
+      // The second store of 5 is not a change; the store of 7 is
+      expect(runToHit(cpu).pc).toBe(0x0034)
+    })
+
+    it('should fire only when the given value is written', () => {
+      const cpu = load(program)
+      cpu.watchpoints.add(COUNTER, COUNTER + 1, 'write', 7)
+      const hit = runToHit(cpu)
+      expect(hit.value).toBe(7)
+      expect(hit.pc).toBe(0x0034)
+    })
+
+    it('should catch a stack slot being overwritten by a PUSH', () => {
+      const cpu = load(`
+        MOV AX, 1
+        PUSH AX
+        HLT
+      `)
+      const sp = cpu.registers.SP
+      cpu.watchpoints.add(sp - 2, sp - 1, 'access')
+      const hit = runToHit(cpu)
+      expect(hit.address).toBe(sp - 2)
+      expect(hit.value).toBe(1)
+    })
+
+    it('should not fire while recording undo history', () => {
+      const cpu = load(program)
+      cpu.watchpoints.add(COUNTER, COUNTER + 1, 'read')
+      cpu.journal = new Journal()
+      cpu.step()  // MOV AX, [counter] is a real read
+      cpu.watchpoints.hit = null
+      cpu.step()
+      cpu.step()  // MOV [counter], BX reads the old value for undo only
+      expect(cpu.watchpoints.hit).toBe(null)
+    })
+
+    it('should manage the watchpoint list', () => {
+      const watchpoints = new Watchpoints()
+      const first = watchpoints.add(0x100, 0x10F, 'access')
+      watchpoints.add(0x200)
+      expect(watchpoints.find(0x10E, 4)).toBe(first)
+      expect(watchpoints.find(0x110)).toBe(null)
+      expect(watchpoints.remove(first.id)).toBe(true)
+      expect(watchpoints.remove(first.id)).toBe(false)
+      expect(() => watchpoints.add(0x10, 0x10, 'execute')).toThrow('Unknown watchpoint kind')
+      expect(() => watchpoints.add(0x10, 0x10, 'read', 5)).toThrow('only be watched on writes')
+    })
+  })
+
+  describe('Reverse Execution Journal', () => {
+    function load(source, options) {
+      const { cpu, os, display, debugInfo } = createMachine(source, { display: true })
+      cpu.journal = new Journal(options)
+      return { cpu, os, display, symbols: debugInfo.symbols }
+    }
+
+    function state(cpu) {
+      return {
+        registers: { ...cpu.registers },
+        memory: Array.from(cpu.memory.data),
+        count: cpu.instructionCount,
+        halted: cpu.halted
+      }
+    }
+
+    const program = `
+      total: DW 0
+      main:
+        MOV CX, 3
+        MOV AX, 0
+      again:
+        CALL bump
+        LOOP again
+        CMP AX, 6
+        MOV [total], AX
+        HLT
+      bump:
+        PUSH FP
+        MOV FP, SP
+        ADD AX, 2
+        POP FP
+        RET
+    `
+
+    it('should restore every earlier state when stepping back', () => {
+      const { cpu } = load(program)
+      const states = [state(cpu)]
+      while (cpu.step()) states.push(state(cpu))
+      states.push(state(cpu))
+      expect(cpu.journal.length).toBe(states.length - 1)
+
+      for (let i = states.length - 2; i >= 0; i--) {
+        expect(cpu.stepBack()).toBe(true)
+        const { registers, ...rest } = state(cpu)
+        const expected = states[i]
+        // IR and DR are prefetched again, so they match the restored PC
+        expect({ ...registers, IR: 0, DR: 0 }).toEqual({ ...expected.registers, IR: 0, DR: 0 })
+        expect(rest).toEqual({ memory: expected.memory, count: expected.count, halted: expected.halted })
+      }
+      expect(cpu.stepBack()).toBe(false)
+    })
+
+    it('should run the same way again after stepping back', () => {
+      const { cpu, symbols } = load(program)
+      while (cpu.step()) { }
+      for (let i = 0; i < 10; i++) cpu.stepBack()
+      while (cpu.step()) { }
+      expect(cpu.registers.AX).toBe(6)
+      expect(cpu.registers.ZF).toBe(1)
+      expect(cpu.memory.readWord(symbols.total)).toBe(6)
+    })
+
+    it('should undo a fault', () => {
+      const { cpu } = load(`
+        MOV BX, 0x7FF0
+        MOV [BX], AX
+      `)
+      cpu.step()
+      expect(cpu.step()).toBe(false)
+      expect(cpu.fault).not.toBe(null)
+      expect(cpu.stepBack()).toBe(true)
+      expect(cpu.halted).toBe(false)
+      expect(cpu.fault).toBe(null)
+      expect(cpu.registers.PC).toBe(0x0024)
+      expect(cpu.stepBack()).toBe(true)
+      expect(cpu.registers.BX).toBe(0)
+    })
+
+    it('should give the allocator back its blocks', () => {
+      const { cpu, os } = load(`
+        MOV AX, 4
+        SYSCALL MALLOC
+        HLT
+      `)
+      cpu.step()
+      cpu.step()
+      expect(os.heapBlocks.length).toBe(1)
+      cpu.stepBack()
+      expect(os.heapBlocks).toEqual([])
+      expect(cpu.registers.AX).toBe(4)
+    })
+
+    it('should erase drawing and restore the color', () => {
+      const { cpu, display } = load(`
+        MOV AX, 1
+        SYSCALL SET_COLOR
+        MOV AX, 2
+        MOV BX, 3
+        MOV CX, 10
+        MOV DX, 4
+        MOV EX, 1
+        SYSCALL DRAW_RECT
+        HLT
+      `)
+      for (let i = 0; i < 8; i++) cpu.step()
+      expect(display.currentColor).toBe(1)
+      expect(display.vram.some(byte => byte !== 0)).toBe(true)
+
+      cpu.stepBack()
+      expect(display.vram.every(byte => byte === 0)).toBe(true)
+      expect(display.currentColor).toBe(1)
+      while (cpu.stepBack()) { }
+      expect(display.currentColor).toBe(3)
+    })
+
+    it('should not record a read that is waiting for input', () => {
+      const { cpu, os } = load(`
+        SYSCALL READ_CHAR
+        HLT
+      `)
+      cpu.step()
+      expect(cpu.waiting).toBe('input')
+      expect(cpu.journal.length).toBe(0)
+      os.provideInput('x')
+      cpu.step()
+      expect(cpu.journal.length).toBe(1)
+      cpu.stepBack()
+      expect(os.stdin).toBe('x')
+      expect(cpu.instructionCount).toBe(0)
+    })
+
+    it('should report the addresses the last step wrote', () => {
+      const { cpu, symbols } = load(program)
+      while (cpu.peekMemory(symbols.total, 2) !== 6) cpu.step()
+      expect(cpu.journal.lastWrites()).toEqual([symbols.total, symbols.total + 1])
+    })
+
+    it('should drop the oldest steps beyond its limit', () => {
+      const { cpu } = load(`
+        MOV CX, 1000
+      again:
+        INC AX
+        LOOP again
+        HLT
+      `, { limit: 500 })
+      while (cpu.step()) { }
+      expect(cpu.journal.changes).toBeLessThanOrEqual(500)
+      const first = cpu.journal.firstCount
+      expect(first).toBeGreaterThan(0)
+
+      while (cpu.stepBack()) { }
+      expect(cpu.instructionCount).toBe(first)
+      expect(cpu.registers.AX).toBe(Math.ceil((first - 1) / 2))
+    })
+
+    it('should be cleared by a reset', () => {
+      const { cpu } = load(program)
+      cpu.step()
+      cpu.reset()
+      expect(cpu.journal.length).toBe(0)
+      expect(cpu.stepBack()).toBe(false)
+    })
+  })
+
+  describe('Instruction Cache', () => {
+    function load(source) {
+      const { cpu, debugInfo } = createMachine(source)
+      return { cpu, symbols: debugInfo.symbols }
+    }
+
+    // Adds 1, then patches its own MOV to add 2 on the second pass
+    const selfModifying = `
+        MOV CX, 2
+        MOV EX, patch
+      patch:
+        MOV AX, 1
+        ADD BX, AX
+        MOV DL, 2
+        MOV [EX+3], DL
+        MOV [total], BX
+        LOOP patch
+        HLT
+      total: DW 0
+    `
+
+    it('should decode code segment instructions once', () => {
+      const { cpu, symbols } = load(selfModifying)
+      cpu.step()
+      cpu.step()
+      const instr = cpu.memory.instructions.get(symbols.patch)
+      expect(instr).toMatchObject({ opcode: Opcode.MOV_REG_IMM, imm: 1 })
+      expect(cpu.fetch(symbols.patch)).toBe(instr)
+      expect(cpu.memory.instructions.get(symbols.total)).toBe(undefined)
+    })
+
+    it('should run code as it is after a program overwrites it', () => {
+      const { cpu } = load(selfModifying)
+      while (cpu.step()) { }
+      expect(cpu.fault).toBe(null)
+      expect(cpu.registers.BX).toBe(3)
+    })
+
+    it('should report writes below CB only while a program runs', () => {
+      const { cpu, symbols } = load(selfModifying)
+      const writes = []
+      cpu.onCodeWrite = address => writes.push(address)
+      cpu.journal = new Journal()
+      while (cpu.step()) { }
+      expect(writes).toEqual([symbols.patch + 3, symbols.patch + 3])
+
+      // Undoing the patch restores the original instruction
+      while (cpu.stepBack()) { }
+      expect(cpu.fetch(symbols.patch).imm).toBe(1)
+      expect(writes.length).toBe(2)
+    })
+
+    it('should be emptied when a new program is loaded', () => {
+      const { cpu } = load(selfModifying)
+      cpu.step()
+      expect(cpu.memory.instructions.get(0x0020)).not.toBe(undefined)
+      cpu.memory.loadBinary(assemble('NOP\nHLT\n'))
+      expect(cpu.memory.instructions.get(0x0020)).toBe(undefined)
+      expect(cpu.memory.instructions.limit).toBe(0)
+    })
+  })
+
   describe('Stack Operations', () => {
     it('should PUSH and POP values', () => {
       // Write instructions first
@@ -1359,6 +1962,268 @@ describe('CPU Execution', () => {
     })
   })
 
+  describe('MALLOC and FREE Syscalls', () => {
+    function runProgram(source) {
+      const { cpu, os } = createMachine(source)
+      const initialBK = cpu.registers.BK
+      while (cpu.step()) { }
+      return { cpu, os, initialBK }
+    }
+
+    it('should allocate word-aligned blocks by growing BK', () => {
+      const { cpu, initialBK } = runProgram(`
+        MOV AX, 5
+        SYSCALL MALLOC
+        MOV BX, AX
+        MOV AX, 4
+        SYSCALL MALLOC
+        MOV CX, AX
+        SYSCALL EXIT
+      `)
+      const base = (initialBK + 1) & ~1
+      expect(cpu.registers.BX).toBe(base)
+      expect(cpu.registers.CX).toBe(base + 6)
+      expect(cpu.registers.BK).toBe(base + 10)
+    })
+
+    it('should reuse freed blocks', () => {
+      const { cpu } = runProgram(`
+        MOV AX, 8
+        SYSCALL MALLOC
+        MOV BX, AX
+        MOV AX, 8
+        SYSCALL MALLOC
+        MOV AX, BX
+        SYSCALL FREE
+        MOV DX, AX
+        MOV AX, 4
+        SYSCALL MALLOC
+        MOV CX, AX
+        SYSCALL EXIT
+      `)
+      expect(cpu.registers.DX).toBe(0)
+      expect(cpu.registers.CX).toBe(cpu.registers.BX)
+    })
+
+    it('should coalesce adjacent free blocks', () => {
+      const { cpu, os } = runProgram(`
+        MOV AX, 4
+        SYSCALL MALLOC
+        MOV BX, AX
+        MOV AX, 4
+        SYSCALL MALLOC
+        MOV CX, AX
+        MOV AX, 4
+        SYSCALL MALLOC
+        MOV AX, BX
+        SYSCALL FREE
+        MOV AX, CX
+        SYSCALL FREE
+        MOV AX, 8
+        SYSCALL MALLOC
+        MOV DX, AX
+        SYSCALL EXIT
+      `)
+      expect(cpu.registers.DX).toBe(cpu.registers.BX)
+      expect(os.heapBlocks.length).toBe(2)
+    })
+
+    it('should lower BK when the top block is freed', () => {
+      const { cpu, initialBK } = runProgram(`
+        MOV AX, 16
+        SYSCALL MALLOC
+        SYSCALL FREE
+        SYSCALL EXIT
+      `)
+      expect(cpu.registers.BK).toBe((initialBK + 1) & ~1)
+    })
+
+    it('should reject double free and unknown pointers', () => {
+      const { cpu } = runProgram(`
+        MOV AX, 4
+        SYSCALL MALLOC
+        MOV BX, AX
+        MOV AX, 4
+        SYSCALL MALLOC
+        MOV AX, BX
+        SYSCALL FREE
+        MOV AX, BX
+        SYSCALL FREE
+        MOV CX, AX
+        MOV AX, 3
+        SYSCALL FREE
+        MOV DX, AX
+        SYSCALL EXIT
+      `)
+      expect(cpu.registers.CX).toBe(0xFFFF)
+      expect(cpu.registers.DX).toBe(0xFFFF)
+    })
+
+    it('should fail when the heap would collide with the stack', () => {
+      const { cpu, initialBK } = runProgram(`
+        MOV AX, 0x7000
+        SYSCALL MALLOC
+        SYSCALL EXIT
+      `)
+      expect(cpu.registers.AX).toBe(0xFFFF)
+      expect(cpu.registers.BK).toBe(initialBK)
+    })
+
+    it('should place new blocks after memory taken with SBRK', () => {
+      const { cpu } = runProgram(`
+        MOV AX, 4
+        SYSCALL MALLOC
+        MOV BX, AX
+        MOV AX, 6
+        SYSCALL SBRK
+        MOV CX, AX
+        MOV AX, 4
+        SYSCALL MALLOC
+        MOV DX, AX
+        SYSCALL EXIT
+      `)
+      expect(cpu.registers.CX).toBe(cpu.registers.BX + 4)
+      expect(cpu.registers.DX).toBe(cpu.registers.CX + 6)
+    })
+
+    it('should make SBRK fail when BK would pass SP', () => {
+      const { cpu, initialBK } = runProgram(`
+        MOV AX, 0x7000
+        SYSCALL SBRK
+        SYSCALL EXIT
+      `)
+      expect(cpu.registers.AX).toBe(0xFFFF)
+      expect(cpu.registers.BK).toBe(initialBK)
+    })
+  })
+
+  describe('SLEEP and WAIT_FRAME Syscalls', () => {
+    it('should suspend the CPU instead of busy-waiting', () => {
+      const { cpu, os } = createMachine(`
+        MOV AX, 5000
+        SYSCALL SLEEP
+        MOV BX, 1
+        HLT
+      `)
+      cpu.step()
+      const before = performance.now()
+      cpu.step()
+      expect(performance.now() - before).toBeLessThan(1000)
+      expect(cpu.waiting).toBe('sleep')
+      expect(os.sleepRemaining(performance.now())).toBeGreaterThan(4000)
+      expect(cpu.registers.BX).toBe(0)
+    })
+
+    it('should resume on the next step', () => {
+      const { cpu } = createMachine(`
+        MOV AX, 5000
+        SYSCALL SLEEP
+        MOV BX, 1
+        HLT
+      `)
+      while (cpu.step()) { }
+      expect(cpu.waiting).toBe(false)
+      expect(cpu.registers.BX).toBe(1)
+    })
+
+    it('should wait until the next 60 Hz frame boundary', () => {
+      const { cpu, os } = createMachine(`
+        SYSCALL WAIT_FRAME
+        HLT
+      `)
+      cpu.step()
+      expect(cpu.waiting).toBe('sleep')
+      const frame = 1000 / 60
+      expect(os.wakeAt).toBeCloseTo(Math.round(os.wakeAt / frame) * frame)
+      expect(os.sleepRemaining(performance.now())).toBeLessThanOrEqual(frame)
+    })
+
+    it('should clear a pending sleep on reset', () => {
+      const { cpu, os } = createMachine(`
+        MOV AX, 100
+        SYSCALL SLEEP
+        HLT
+      `)
+      cpu.step()
+      cpu.step()
+      cpu.reset()
+      expect(cpu.waiting).toBe(false)
+      expect(os.sleepRemaining(performance.now())).toBe(0)
+    })
+  })
+
+  describe('Console Input', () => {
+    it('should block READ_INT until a line is provided and rerun the same SYSCALL', () => {
+      const { cpu, os } = createMachine(`
+        SYSCALL READ_INT
+        MOV BX, AX
+        HLT
+      `)
+      const waits = []
+      os.setInputWaitCallback(kind => waits.push(kind))
+
+      cpu.step()
+      expect(cpu.waiting).toBe('input')
+      expect(cpu.registers.PC).toBe(0x0020)
+      expect(waits).toEqual(['int'])
+
+      os.provideInput('12')
+      cpu.step()
+      expect(cpu.waiting).toBe('input')
+
+      os.provideInput('3\n')
+      while (cpu.step()) { }
+      expect(cpu.registers.BX).toBe(123)
+    })
+
+    it('should read characters and lines from a pre-filled buffer', () => {
+      const { cpu, os } = createMachine(`
+        buf: DB 16 DUP(0)
+        SYSCALL READ_CHAR
+        MOV CX, AX
+        MOV AX, buf
+        MOV BX, 15
+        SYSCALL READ_STRING
+        MOV DX, AX
+        HLT
+      `)
+      os.provideInput('xhello\nrest\n')
+      while (cpu.step()) { }
+
+      expect(cpu.registers.CX).toBe('x'.charCodeAt(0))
+      expect(cpu.registers.DX).toBe(5)
+      expect(os.stdin).toBe('rest\n')
+    })
+
+    it('should stop waiting once input is closed', () => {
+      const { cpu, os } = createMachine(`
+        SYSCALL READ_CHAR
+        MOV BX, AX
+        SYSCALL READ_INT
+        HLT
+      `)
+      os.closeInput()
+      while (cpu.step()) { }
+      expect(cpu.registers.BX).toBe(0)
+      expect(cpu.registers.AX).toBe(0)
+    })
+
+    it('should give consumed input back when stepping backwards', () => {
+      const { cpu, os } = createMachine(`
+        SYSCALL READ_CHAR
+        HLT
+      `)
+      os.provideInput('ab')
+      cpu.journal = new Journal()
+      cpu.step()
+      expect(os.stdin).toBe('b')
+
+      expect(cpu.stepBack()).toBe(true)
+      expect(os.stdin).toBe('ab')
+      expect(cpu.registers.PC).toBe(0x0020)
+    })
+  })
+
   describe('ATOI Syscall', () => {
     it('should parse basic integer', () => {
       const source = `
@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { compileExpression, compileTemplate } from '../expression.js'
+import { Registers, Memory } from '../emulator.js'
+
+describe('Debugger Expressions', () => {
+  let context
+
+  beforeEach(() => {
+    const registers = new Registers()
+    registers.reset(1024)
+    const memory = new Memory(1024)
+    context = { registers, memory, symbols: { counter: 0x100, flag: 0x102 } }
+  })
+
+  const evaluate = (text) => compileExpression(text)(context)
+
+  describe('compileExpression', () => {
+    it('should read registers, flags and byte registers case-insensitively', () => {
+      context.registers.CX = 0x1234
+      context.registers.ZF = 1
+      expect(evaluate('CX')).toBe(0x1234)
+      expect(evaluate('cl')).toBe(0x34)
+      expect(evaluate('ZF')).toBe(1)
+    })
+
+    it('should parse number and character literals', () => {
+      expect(evaluate('0x2A + 0b10 + 10')).toBe(54)
+      expect(evaluate("'A'")).toBe(65)
+      expect(evaluate("'\\n'")).toBe(10)
+    })
+
+    it('should follow C precedence', () => {
+      expect(evaluate('2 + 3 * 4')).toBe(14)
+      expect(evaluate('(2 + 3) * 4')).toBe(20)
+      expect(evaluate('1 + 1 == 2 && 3 > 2')).toBe(1)
+      expect(evaluate('0 || !0')).toBe(1)
+      expect(evaluate('6 & 3 | 8')).toBe(10)
+    })
+
+    it('should read memory words and bytes through labels', () => {
+      context.memory.writeWord(0x100, 42)
+      context.memory.writeByte(0x102, 7)
+      expect(evaluate('[counter]')).toBe(42)
+      expect(evaluate('byte [flag]')).toBe(7)
+      expect(evaluate('[counter] > 5')).toBe(1)
+      context.registers.BX = 0x0FE
+      expect(evaluate('[BX+2]')).toBe(42)
+    })
+
+    it('should evaluate the loop condition from the docs', () => {
+      context.memory.writeWord(0x100, 6)
+      expect(evaluate('CX == 0 && [counter] > 5')).toBe(1)
+      context.registers.CX = 1
+      expect(evaluate('CX == 0 && [counter] > 5')).toBe(0)
+    })
+
+    it('should compare equality on 16 bits', () => {
+      context.registers.AX = 0xFFFF
+      expect(evaluate('AX == -1')).toBe(1)
+      expect(evaluate('AX != 0xFFFF')).toBe(0)
+    })
+
+    it('should wrap arithmetic to 16 bits and compare unsigned', () => {
+      context.registers.CX = 0
+      expect(evaluate('CX - 1')).toBe(0xFFFF)
+      expect(evaluate('CX - 1 == 0xFFFF')).toBe(1)
+      expect(evaluate('CX - 1 < 0')).toBe(0)
+      expect(evaluate('-1 > 0x7FFF')).toBe(1)
+      expect(evaluate('0xFFFF + 2')).toBe(1)
+      expect(evaluate('0x100 * 0x100')).toBe(0)
+      expect(evaluate('0x10000')).toBe(0)
+
+      context.memory.writeWord(0x100, 0xFFFE)  // -2 as a word
+      expect(evaluate('[counter] > 5')).toBe(1)
+      expect(evaluate('[counter] == -2')).toBe(1)
+      expect(evaluate('[counter] + 2 == 0')).toBe(1)
+    })
+
+    it('should reject syntax errors at compile time', () => {
+      expect(() => compileExpression('CX ==')).toThrow('Unexpected end')
+      expect(() => compileExpression('(CX')).toThrow("Expected ')'")
+      expect(() => compileExpression('CX 1')).toThrow("Unexpected '1'")
+      expect(() => compileExpression('CX # 1')).toThrow('Unexpected character')
+      expect(() => compileExpression('')).toThrow('Empty expression')
+    })
+
+    it('should report unknown labels when evaluated', () => {
+      const expression = compileExpression('missing + 1')
+      expect(() => expression(context)).toThrow('Unknown name: missing')
+    })
+  })
+
+  describe('compileTemplate', () => {
+    it('should substitute expressions in braces', () => {
+      context.registers.CX = 40
+      context.memory.writeWord(0x100, 255)
+      const template = compileTemplate('i={CX} counter={[counter]:x} done')
+      expect(template(context)).toBe('i=40 counter=0x00FF done')
+    })
+
+    it('should print characters with :c', () => {
+      context.registers.AX = 0x41
+      expect(compileTemplate('key={AL:c}')(context)).toBe('key=A')
+    })
+
+    it('should reject unclosed braces', () => {
+      expect(() => compileTemplate('i={CX')).toThrow('Unclosed')
+    })
+  })
+})
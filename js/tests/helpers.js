@@ -0,0 +1,17 @@
+// Test Helpers
+// Machines for the tests that step the CPU themselves
+
+import { Machine } from '../machine.js'
+
+/**
+ * A Machine with `source` assembled and loaded, collecting its output in
+ * machine.output. It has no display or devices unless the options (as for
+ * Machine) name them; `filename` is the source's name in the debug info.
+ */
+export function createMachine(source, { filename = null, ...options } = {}) {
+  const machine = new Machine({ display: false, devices: [], ...options })
+  machine.output = ''
+  machine.on('output', text => { machine.output += text })
+  machine.loadSource(source, filename)
+  return machine
+}
@@ -0,0 +1,314 @@
+import { describe, it, expect } from 'vitest'
+import { Memory, Journal, Opcode, Interrupt, FlagBit, FaultKind, InterruptController, decodeInstruction, getInstructionName } from '../emulator.js'
+import { assemble } from '../assembler.js'
+import { createMachine } from './helpers.js'
+
+// Starts a 10-instruction timer and counts its interrupts in BX
+const timerProgram = `
+  main:
+    MOV AX, on_timer
+    MOV [0x0000], AX
+    MOV AX, 10
+    MOV [0x0012], AX
+    EI
+    MOV CX, 100
+  spin:
+    LOOP spin
+    DI
+    HLT
+  on_timer:
+    INC BX
+    IRET
+`
+
+describe('Interrupts', () => {
+  it('should assemble and decode EI, DI and IRET as 2-byte instructions', () => {
+    const bytecode = assemble('EI\nDI\nIRET\nHLT\n')
+    const memory = new Memory(1024)
+    memory.loadBinary(bytecode)
+    expect([memory.readByte(0x20), memory.readByte(0x22), memory.readByte(0x24)]).toEqual([Opcode.EI, Opcode.DI, Opcode.IRET])
+    expect(decodeInstruction(memory, 0x24).size).toBe(2)
+    expect(getInstructionName(Opcode.IRET)).toBe('IRET')
+  })
+
+  it('should run the timer handler every period instructions while enabled', () => {
+    const { cpu } = createMachine(timerProgram, { devices: ['timer'] })
+    while (cpu.step()) { }
+    expect(cpu.fault).toBe(null)
+    expect(cpu.registers.BX).toBeGreaterThan(8)
+    expect(cpu.registers.CX).toBe(0)
+    expect(cpu.registers.SP).toBe(cpu.memory.size)
+  })
+
+  it('should push FLAGS and the return address, and restore both with IRET', () => {
+    const { cpu } = createMachine(`
+      MOV AX, handler
+      MOV [0x0002], AX
+      MOV AX, 0
+      CMP AX, 0
+      EI
+      NOP
+      HLT
+    handler:
+      CMP AX, 1
+      IRET
+    `)
+    for (let i = 0; i < 5; i++) cpu.step()  // Up to NOP, with ZF set
+    cpu.raiseInterrupt(Interrupt.BUTTON)
+    const returnAddress = cpu.registers.PC
+
+    cpu.step()  // Enters the handler and runs CMP AX, 1
+    const sp = cpu.registers.SP
+    expect(cpu.memory.readWord(sp)).toBe(returnAddress)
+    expect(cpu.memory.readWord(sp + 2)).toBe(FlagBit.ZF | FlagBit.IF)
+    expect(cpu.registers.IF).toBe(0)
+    expect(cpu.registers.ZF).toBe(0)
+
+    cpu.step()  // IRET
+    expect(cpu.registers.PC).toBe(returnAddress)
+    expect(cpu.registers.ZF).toBe(1)
+    expect(cpu.registers.IF).toBe(1)
+    expect(cpu.registers.SP).toBe(sp + 4)
+  })
+
+  it('should hold an interrupt while disabled and drop one without a handler', () => {
+    const { cpu } = createMachine(`
+      MOV AX, handler
+      MOV [0x0004], AX
+      NOP
+      EI
+      NOP
+      HLT
+    handler:
+      INC BX
+      IRET
+    `)
+    cpu.raiseInterrupt(Interrupt.VBLANK)  // No handler yet
+    expect(cpu.interrupts.pending).toBe(0)
+
+    cpu.step()
+    cpu.step()
+    cpu.raiseInterrupt(Interrupt.VBLANK)
+    cpu.step()  // NOP with IF clear
+    expect(cpu.registers.BX).toBe(0)
+    expect(cpu.interrupts.pending).toBe(1 << Interrupt.VBLANK)
+
+    while (cpu.step()) { }
+    expect(cpu.registers.BX).toBe(1)
+    expect(cpu.interrupts.pending).toBe(0)
+  })
+
+  it('should raise a button interrupt when a button changes', () => {
+    const { cpu, buttons } = createMachine(`
+      MOV AX, on_button
+      MOV [0x0002], AX
+      EI
+    wait:
+      CMP BX, 2
+      JNE wait
+      HLT
+    on_button:
+      INC BX
+      MOV DL, [0x0010]
+      IRET
+    `, { devices: ['buttons'] })
+    for (let i = 0; i < 10; i++) cpu.step()
+    buttons.press(0x10)
+    for (let i = 0; i < 10; i++) cpu.step()
+    expect(cpu.registers.DX).toBe(0x10)
+    buttons.press(0x10)  // No change, no interrupt
+    buttons.release(0x10)
+    while (cpu.step()) { }
+    expect(cpu.registers.BX).toBe(2)
+    expect(cpu.registers.DX).toBe(0)
+  })
+
+  it('should take the lowest pending vector first', () => {
+    const controller = new InterruptController()
+    controller.raise(Interrupt.VBLANK)
+    controller.raise(Interrupt.BUTTON)
+    expect(controller.next()).toBe(Interrupt.BUTTON)
+    controller.acknowledge(Interrupt.BUTTON)
+    expect(controller.next()).toBe(Interrupt.VBLANK)
+    controller.acknowledge(Interrupt.VBLANK)
+    expect(controller.next()).toBe(-1)
+  })
+
+  it('should step back out of an interrupt and take it again', () => {
+    const { cpu } = createMachine(timerProgram, { devices: ['timer'] })
+    cpu.journal = new Journal()
+    while (cpu.registers.BX === 0) cpu.step()
+    const sp = cpu.registers.SP
+    cpu.stepBack()
+    expect(cpu.registers.IF).toBe(1)
+    expect(cpu.registers.SP).toBe(sp + 4)
+    expect(cpu.interrupts.pending).toBe(1 << Interrupt.TIMER)
+
+    cpu.step()
+    expect(cpu.registers.BX).toBe(1)
+    expect(cpu.registers.SP).toBe(sp)
+  })
+
+  it('should step back over the timer without losing its phase', () => {
+    const { cpu, memory } = createMachine(`
+      MOV AX, on_timer
+      MOV [0x0000], AX
+      MOV AX, 10
+      MOV [0x0012], AX
+      MOV AX, 20
+      MOV [0x0012], AX
+      EI
+    spin:
+      JMP spin
+    on_timer:
+      HLT
+    `, { devices: ['timer'] })
+    const timer = memory.getDevice('timer')
+    cpu.journal = new Journal()
+    for (let i = 0; i < 5; i++) cpu.step()
+    expect(timer.startCount).toBe(4)
+
+    cpu.step()  // A new period counts from the write
+    expect(timer.startCount).toBe(6)
+    cpu.stepBack()
+    expect(timer.period).toBe(10)
+    expect(timer.startCount).toBe(4)
+
+    while (cpu.interrupts.pending === 0) cpu.step()
+    expect(cpu.instructionCount).toBe(26)
+    cpu.stepBack()
+    expect(cpu.interrupts.pending).toBe(0)
+    expect(timer.startCount).toBe(6)
+    cpu.step()
+    expect(cpu.interrupts.pending).toBe(1 << Interrupt.TIMER)
+
+    while (cpu.instructionCount > 3) cpu.stepBack()
+    expect(timer.period).toBe(0)
+    expect(timer.startCount).toBe(null)
+  })
+
+  it('should stop the timer and clear pending interrupts on reset', () => {
+    const { cpu, memory } = createMachine(timerProgram, { devices: ['timer'] })
+    const timer = memory.getDevice('timer')
+    for (let i = 0; i < 20; i++) cpu.step()
+    cpu.interrupts.raise(Interrupt.TIMER)
+    cpu.reset()
+    expect(timer.period).toBe(0)
+    expect(cpu.interrupts.pending).toBe(0)
+    expect(cpu.registers.IF).toBe(0)
+  })
+})
+
+// Installs a 2-entry syscall table with a PRINT_CHAR handler, then drops to
+// user mode. The handler counts calls in BX and prints AX with MTOS instead.
+function trapProgram(user) {
+  return `
+    main:
+      MOV AX, sys_print_char
+      MOV BX, table
+      MOV [BX+2], AX
+      MOV [0x0014], BX
+      MOV AX, 2
+      MOV [0x0016], AX
+      MOV AX, 0x1000      ; FLAGS with UF set
+      PUSH AX
+      MOV AX, user
+      PUSH AX
+      MOV BX, 0
+      IRET
+    user:
+      ${user}
+    sys_print_char:
+      INC BX
+      SYSCALL PRINT_INT
+      IRET
+    table:
+      DW 0, 0
+  `
+}
+
+describe('Syscall traps', () => {
+  it('should trap user syscalls with a handler and fall back to MTOS for the rest', () => {
+    const machine = createMachine(trapProgram(`
+      MOV AX, 65
+      SYSCALL PRINT_CHAR    ; Entry 1 - the handler
+      SYSCALL PRINT_CHAR
+      MOV AX, 9
+      SYSCALL PRINT_INT     ; Beyond the table - MTOS
+      SYSCALL EXIT          ; Entry 0 - MTOS
+    `))
+    const cpu = machine.cpu
+    while (cpu.step()) { }
+    expect(cpu.fault).toBe(null)
+    expect(machine.output).toBe('65659')
+    expect(cpu.registers.BX).toBe(2)
+    expect(cpu.registers.UF).toBe(1)
+    expect(cpu.registers.SP).toBe(cpu.memory.size)
+  })
+
+  it('should enter privileged mode in the handler and return to user mode with IRET', () => {
+    const { cpu } = createMachine(trapProgram(`
+      MOV AX, 1
+      SYSCALL PRINT_CHAR
+      HLT
+    `))
+    while (cpu.registers.UF === 0) cpu.step()
+    cpu.step()
+    const returnAddress = cpu.registers.PC + 2
+    cpu.step()  // SYSCALL enters the handler
+    expect(cpu.registers.UF).toBe(0)
+    expect(cpu.memory.readWord(cpu.registers.SP)).toBe(returnAddress)
+    expect(cpu.memory.readWord(cpu.registers.SP + 2)).toBe(FlagBit.UF)
+    while (cpu.step()) { }
+    expect(cpu.registers.UF).toBe(1)
+  })
+
+  it('should leave SYSCALL to MTOS in privileged mode', () => {
+    const machine = createMachine(`
+      MOV AX, 0x0100
+      MOV [0x0014], AX
+      MOV AX, 8
+      MOV [0x0016], AX
+      MOV AX, 42
+      SYSCALL PRINT_INT
+      HLT
+    `)
+    while (machine.step()) { }
+    expect(machine.output).toBe('42')
+  })
+
+  it('should fault when user mode writes the system tables', () => {
+    // The faulting address and the syscall table's address
+    const fault = user => {
+      const { cpu } = createMachine(trapProgram(user))
+      while (cpu.step()) { }
+      expect(cpu.fault?.kind).toBe(FaultKind.PROTECTION)
+      return [cpu.fault.address, cpu.memory.readWord(0x0014)]
+    }
+    expect(fault('MOV [0x0000], AX')[0]).toBe(0x0000)
+    expect(fault('MOV [0x0016], AL')[0]).toBe(0x0016)
+    const [address, table] = fault('MOV CX, table\n      MOV [CX+3], AL')
+    expect(address).toBe(table + 3)
+  })
+
+  it('should fault on EI and DI in user mode and keep IRET from leaving it', () => {
+    const { cpu } = createMachine(trapProgram('DI\n      HLT'))
+    while (cpu.step()) { }
+    expect(cpu.fault?.kind).toBe(FaultKind.PROTECTION)
+    expect(cpu.fault.message).toBe('DI is privileged')
+
+    const escape = createMachine(trapProgram(`
+      MOV AX, 0x0200      ; IF set, UF clear
+      PUSH AX
+      MOV AX, done
+      PUSH AX
+      IRET
+    done:
+      HLT
+    `)).cpu
+    while (escape.step()) { }
+    expect(escape.fault).toBe(null)
+    expect(escape.registers.UF).toBe(1)
+    expect(escape.registers.IF).toBe(0)
+  })
+})
@@ -0,0 +1,174 @@
+import { describe, it, expect } from 'vitest'
+import { FaultKind } from '../emulator.js'
+import { Machine } from '../machine.js'
+
+const countdown = `
+  MOV CX, 5
+again:
+  MOV AX, CX
+  SYSCALL PRINT_INT
+  LOOP again
+  HLT
+`
+
+// A machine with its output collected
+function createMachine(options) {
+  const machine = new Machine(options)
+  machine.output = ''
+  machine.on('output', text => { machine.output += text })
+  return machine
+}
+
+describe('Machine', () => {
+  it('should load and run a program to the end', async () => {
+    const machine = createMachine()
+    let stopped = null
+    machine.on('stop', reason => { stopped = reason })
+    machine.loadSource(countdown)
+
+    expect(await machine.run()).toBe('halt')
+    expect(stopped).toBe('halt')
+    expect(machine.running).toBe(false)
+    expect(machine.output).toBe('54321')
+    expect(machine.cpu.halted).toBe(true)
+  })
+
+  it('should run machines side by side without sharing state', async () => {
+    const reference = createMachine()
+    const student = createMachine()
+    reference.loadSource(countdown)
+    student.loadSource(countdown.replace('MOV CX, 5', 'MOV CX, 3'))
+
+    expect(await Promise.all([reference.run(), student.run()])).toEqual(['halt', 'halt'])
+    expect(reference.output).toBe('54321')
+    expect(student.output).toBe('321')
+    expect(reference.memory).not.toBe(student.memory)
+  })
+
+  it('should write the command line at BK with AX pointing to it', () => {
+    const machine = createMachine()
+    const result = machine.loadSource('HLT\n', null, 'hi')
+    const { AX, BK } = machine.cpu.registers
+    expect(AX).toBe(result.breakPointer)
+    expect([0, 1, 2].map(i => machine.memory.readByte(AX + i))).toEqual([0x68, 0x69, 0])
+    expect(BK).toBe(AX + 3)
+
+    machine.loadSource('HLT\n')
+    expect(machine.cpu.registers.AX).toBe(0)
+    expect(machine.cpu.registers.BK).toBe(result.breakPointer)
+  })
+
+  it('should stop at breakpoints and reach step targets', async () => {
+    const machine = createMachine()
+    const logs = []
+    machine.on('log', text => logs.push(text))
+    machine.loadSource(countdown)
+    const pc = machine.debugInfo.symbols.again
+    machine.setBreakpoints([
+      { pc, line: 4, options: { condition: 'CX == 4', hitCount: 0, logMessage: null } },
+      { pc: pc + 4, line: 5, options: { condition: null, hitCount: 0, logMessage: 'CX={CX}' } }
+    ])
+
+    expect(await machine.run()).toBe('breakpoint')
+    expect(machine.cpu.registers.CX).toBe(4)
+    expect(logs).toEqual(['CX=5'])
+
+    machine.setBreakpoints([])
+    const loop = machine.debugInfo.lineMap.find(entry => entry.line === 6).pc
+    machine.stepTarget = { pc: loop, sp: machine.cpu.registers.SP }
+    expect(await machine.run()).toBe('target')
+    expect(machine.stepTarget).toBe(null)
+    expect(machine.output).toBe('54')
+  })
+
+  it('should stop at watchpoints', async () => {
+    const machine = createMachine()
+    machine.loadSource('value: DW 0\n MOV AX, 1\n MOV [value], AX\n HLT\n')
+    const value = machine.debugInfo.symbols.value
+    machine.cpu.watchpoints.add(value, value + 1, 'write')
+
+    expect(await machine.run()).toBe('watchpoint')
+    expect(machine.cpu.watchpoints.hit.address).toBe(value)
+    expect(machine.cpu.instructionCount).toBe(2)
+  })
+
+  it('should report faults', async () => {
+    const machine = createMachine()
+    machine.loadSource('MOV BX, 0\n DIV BX\n')
+    expect(await machine.run()).toBe('fault')
+    expect(machine.cpu.fault.kind).toBe(FaultKind.DIVIDE_BY_ZERO)
+  })
+
+  it('should wait for input and go on when it is provided', async () => {
+    const machine = createMachine()
+    const waits = []
+    machine.on('inputWait', kind => waits.push(kind))
+    machine.loadSource('SYSCALL READ_INT\n SYSCALL PRINT_INT\n HLT\n')
+
+    const stopped = machine.run()
+    expect(waits).toEqual(['int'])
+    expect(machine.running).toBe(true)
+    machine.provideInput('42\n')
+    expect(await stopped).toBe('halt')
+    expect(machine.output).toBe('42')
+  })
+
+  it('should pause, sending frames while it runs', async () => {
+    const machine = createMachine({ display: false, devices: ['timer'] })
+    let frames = 0
+    machine.on('frame', () => frames++)
+    machine.loadSource('spin:\n INC BX\n JMP spin\n')
+
+    const stopped = machine.run()
+    await new Promise(resolve => setTimeout(resolve, 50))
+    machine.pause()
+    expect(await stopped).toBe('pause')
+    expect(frames).toBeGreaterThan(0)
+    expect(machine.cpu.registers.BX).toBeGreaterThan(0)
+    expect(machine.memory.getDevice('display')).toBe(null)
+  })
+
+  it('should run no faster than its speed', async () => {
+    const machine = createMachine()
+    machine.speed = 1000  // One instruction a millisecond
+    machine.loadSource('spin:\n JMP spin\n')
+    const start = performance.now()
+    const stopped = machine.run()
+    await new Promise(resolve => setTimeout(resolve, 100))
+    machine.pause()
+    await stopped
+    expect(machine.cpu.instructionCount).toBeGreaterThan(0)
+    expect(machine.cpu.instructionCount).toBeLessThanOrEqual(Math.ceil(performance.now() - start))
+  })
+
+  it('should change speed while running and wait for the next instruction when slow', async () => {
+    const machine = createMachine()
+    let frames = 0
+    machine.on('frame', () => frames++)
+    machine.loadSource('spin:\n JMP spin\n')
+    const stopped = machine.run()
+    await new Promise(resolve => setTimeout(resolve, 20))
+
+    machine.setSpeed(20)  // One instruction every 50 ms
+    const count = machine.cpu.instructionCount
+    frames = 0
+    await new Promise(resolve => setTimeout(resolve, 120))
+    machine.pause()
+    await stopped
+    expect(machine.cpu.instructionCount - count).toBeGreaterThanOrEqual(1)
+    expect(machine.cpu.instructionCount - count).toBeLessThanOrEqual(3)
+    expect(frames).toBeLessThan(10)  // Sleeping between instructions, not polling
+  })
+
+  it('should reset to an empty machine', () => {
+    const machine = createMachine()
+    machine.loadSource('MOV AX, 1\n HLT\n')
+    while (machine.step()) { }
+    machine.display.drawPixel(1, 1)
+    machine.reset()
+    expect(machine.cpu.halted).toBe(false)
+    expect(machine.cpu.registers.AX).toBe(0)
+    expect(machine.memory.readByte(0x20)).toBe(0)
+    expect(machine.display.vram.every(byte => byte === 0)).toBe(true)
+  })
+})
@@ -0,0 +1,231 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll, vi } from 'vitest'
+import { assemble } from '../assembler.js'
+
+// Just enough of the DOM for the element: attributes, a shadow root whose
+// parts are looked up by selector, and a canvas with a 2D context
+class FakeNode {
+  constructor() {
+    this.textContent = ''
+    this.value = ''
+    this.placeholder = ''
+    this.hidden = false
+    this.scrollTop = 0
+    this.scrollHeight = 0
+    this.listeners = new Map()
+  }
+
+  addEventListener(type, listener) {
+    this.listeners.set(type, listener)
+  }
+
+  focus() {}
+
+  getContext() {
+    return {
+      createImageData: (w, h) => ({ data: new Uint8ClampedArray(w * h * 4) }),
+      putImageData: () => {}
+    }
+  }
+}
+
+class FakeShadowRoot {
+  constructor() {
+    this.parts = new Map()
+    this.innerHTML = ''
+  }
+
+  querySelector(selector) {
+    if (!this.parts.has(selector)) this.parts.set(selector, new FakeNode())
+    return this.parts.get(selector)
+  }
+}
+
+function stubDOM() {
+  const registry = new Map()
+  globalThis.HTMLElement = class {
+    constructor() {
+      this.attributes = new Map()
+      this.textContent = ''
+      this.shadowRoot = null
+    }
+
+    getAttribute(name) {
+      return this.attributes.has(name) ? this.attributes.get(name) : null
+    }
+
+    hasAttribute(name) {
+      return this.attributes.has(name)
+    }
+
+    setAttribute(name, value) {
+      this.attributes.set(name, String(value))
+    }
+
+    attachShadow() {
+      this.shadowRoot = new FakeShadowRoot()
+      return this.shadowRoot
+    }
+  }
+  globalThis.customElements = {
+    get: name => registry.get(name),
+    define: (name, constructor) => registry.set(name, constructor)
+  }
+  globalThis.document = { querySelector: () => null }
+}
+
+const echo = `
+  SYSCALL READ_INT
+  SYSCALL PRINT_INT
+  HLT
+`
+
+let MTMCEmulator
+
+// An element with these attributes and text, connected and loaded
+async function createElement(attributes = {}, text = '') {
+  const element = new MTMCEmulator()
+  for (const [name, value] of Object.entries(attributes)) element.setAttribute(name, value)
+  element.textContent = text
+  await element.connectedCallback()
+  return element
+}
+
+function consoleText(element) {
+  return element.consoleView.textContent
+}
+
+// Run, or take the run the element already started, to its end
+function runToStop(element) {
+  if (!element.machine.running) element.run()
+  return element.machine.stopped
+}
+
+describe('<mtmc-emulator>', () => {
+  beforeAll(async () => {
+    stubDOM()
+    ;({ MTMCEmulator } = await import('../mtmc-emulator.js'))
+  })
+
+  beforeEach(() => {
+    document.querySelector = () => null
+    vi.unstubAllGlobals()
+  })
+
+  afterAll(() => {
+    delete globalThis.HTMLElement
+    delete globalThis.customElements
+    delete globalThis.document
+  })
+
+  it('should register itself once', () => {
+    expect(customElements.get('mtmc-emulator')).toBe(MTMCEmulator)
+  })
+
+  it('should assemble its own text and run it', async () => {
+    const element = await createElement({}, 'MOV AX, 42\n SYSCALL PRINT_INT\n HLT\n')
+    expect(element.registersView.textContent).toContain('PC=0020')
+    expect(await runToStop(element)).toBe('halt')
+    expect(consoleText(element)).toBe('42')
+    expect(element.runButton.textContent).toBe('run')
+    expect(element.registersView.textContent).toContain('AX=002A')
+  })
+
+  it('should load the text of the element named by source', async () => {
+    document.querySelector = selector => selector === '#hello' ? { textContent: 'MOV AX, 7\n SYSCALL PRINT_INT\n HLT\n' } : null
+    const element = await createElement({ source: '#hello', autorun: '' }, 'ignored')
+    expect(await runToStop(element)).toBe('halt')
+    expect(consoleText(element)).toBe('7')
+
+    const missing = await createElement({ source: '#nothing' })
+    expect(consoleText(missing)).toBe('[No element matches #nothing]\n')
+    expect(missing.bytecode).toBe(null)
+  })
+
+  it('should fetch source or a binary from src', async () => {
+    const source = 'MOV AX, 5\n SYSCALL PRINT_INT\n HLT\n'
+    const fetch = vi.fn(async url => {
+      if (url === 'examples/five.asm') return { ok: true, text: async () => source }
+      if (url === 'disk/bin/five.bin') return { ok: true, arrayBuffer: async () => assemble(source).buffer }
+      return { ok: false, status: 404, statusText: 'Not Found' }
+    })
+    vi.stubGlobal('fetch', fetch)
+
+    const assembled = await createElement({ src: 'examples/five.asm' })
+    expect(await runToStop(assembled)).toBe('halt')
+    expect(consoleText(assembled)).toBe('5')
+    expect(assembled.machine.debugInfo.lineMap.length).toBeGreaterThan(0)
+
+    const binary = await createElement({ src: 'disk/bin/five.bin' })
+    expect(await runToStop(binary)).toBe('halt')
+    expect(consoleText(binary)).toBe('5')
+
+    const missing = await createElement({ src: 'nowhere.asm' })
+    expect(consoleText(missing)).toBe('[Cannot load nowhere.asm: 404 Not Found]\n')
+    expect(fetch).toHaveBeenCalledTimes(3)
+  })
+
+  it('should queue the input attribute again on every reset', async () => {
+    const element = await createElement({ input: '12' }, echo)
+    expect(await runToStop(element)).toBe('halt')
+    expect(consoleText(element)).toBe('12')
+
+    // Running a finished program starts it over
+    expect(await runToStop(element)).toBe('halt')
+    expect(consoleText(element)).toBe('12')
+    expect(element.machine.cpu.instructionCount).toBe(3)
+  })
+
+  it('should pass args as the command line', async () => {
+    const element = await createElement({ args: 'hi' }, 'SYSCALL PRINT_STRING\n HLT\n')
+    expect(await runToStop(element)).toBe('halt')
+    expect(consoleText(element)).toBe('hi')
+  })
+
+  it('should ask for input and go on when Enter is pressed', async () => {
+    const element = await createElement({}, echo)
+    const stopped = runToStop(element)
+    expect(element.inputField.hidden).toBe(false)
+    expect(element.inputField.placeholder).toContain('(int)')
+
+    element.inputField.value = '99'
+    element.inputField.listeners.get('keydown')({ key: 'Enter' })
+    expect(await stopped).toBe('halt')
+    expect(element.inputField.hidden).toBe(true)
+    expect(consoleText(element)).toBe('99\n99')
+  })
+
+  it('should pause a running program and report faults', async () => {
+    const spinning = await createElement({ autorun: '' }, 'spin:\n JMP spin\n')
+    expect(spinning.runButton.textContent).toBe('pause')
+    spinning.run()
+    expect(await spinning.machine.stopped).toBe('pause')
+    expect(spinning.runButton.textContent).toBe('run')
+
+    const faulting = await createElement({}, 'MOV BX, 0\n DIV BX\n')
+    expect(await runToStop(faulting)).toBe('fault')
+    expect(consoleText(faulting)).toContain('Division by zero')
+    expect(consoleText(faulting)).toContain('line 2')
+  })
+
+  it('should report a fault reached by stepping', async () => {
+    const element = await createElement({}, 'MOV BX, 0\n DIV BX\n')
+    element.step()
+    expect(consoleText(element)).toBe('')
+    element.step()
+    expect(consoleText(element)).toContain('Division by zero')
+    element.step()  // Halted - nothing more happens
+    expect(element.machine.cpu.instructionCount).toBe(1)
+  })
+
+  it('should leave the display out with no-display', async () => {
+    const element = await createElement({ 'no-display': '' }, 'MOV AX, 1\n SYSCALL PRINT_INT\n HLT\n')
+    expect(element.machine.display).toBe(null)
+    expect(element.machine.memory.getDevice('display')).toBe(null)
+    expect(await runToStop(element)).toBe('halt')
+    element.reset()
+    expect(consoleText(element)).toBe('')
+
+    const shown = await createElement({}, 'HLT\n')
+    expect(shown.machine.display).not.toBe(null)
+  })
+})
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest'
+import { Profiler } from '../profiler.js'
+import { createMachine } from './helpers.js'
+
+function profile(source) {
+  const machine = createMachine(source)
+  const profiler = new Profiler()
+  machine.cpu.profiler = profiler
+  while (machine.step()) { }
+  return { cpu: machine.cpu, profiler, debugInfo: machine.debugInfo }
+}
+
+const program = `main:
+  MOV CX, 3
+  MOV AX, 0
+loop:
+  CALL add_two
+  DEC CX
+  JNE loop
+  HLT
+add_two:
+  ADD AX, 2
+  RET
+`
+
+describe('Profiler', () => {
+  it('should count every executed instruction per PC and in total', () => {
+    const { cpu, profiler } = profile(program)
+    expect(profiler.total).toBe(cpu.instructionCount)
+    expect(profiler.total).toBe(2 + 3 * 5 + 1)
+    expect(profiler.pcCounts[0x0020]).toBe(1)
+  })
+
+  it('should aggregate counts by source line', () => {
+    const { profiler, debugInfo } = profile(program)
+    const lines = Object.fromEntries(profiler.byLine(debugInfo.lineMap).map(row => [row.line, row.count]))
+    expect(lines).toEqual({ 2: 1, 3: 1, 5: 3, 6: 3, 7: 3, 8: 1, 10: 3, 11: 3 })
+  })
+
+  it('should charge each PC to the function label called before it', () => {
+    const { profiler, debugInfo } = profile(program)
+    const functions = profiler.byFunction(debugInfo.symbols)
+    expect(functions.map(fn => [fn.name, fn.count])).toEqual([['main', 12], ['add_two', 6]])
+  })
+
+  it('should build an opcode histogram by mnemonic', () => {
+    const { profiler } = profile(program)
+    const opcodes = Object.fromEntries(profiler.byOpcode().map(row => [row.name, row.count]))
+    expect(opcodes).toEqual({ ADD: 3, CALL: 3, DEC: 3, HLT: 1, JNE: 3, MOV: 2, RET: 3 })
+  })
+
+  it('should not count a read syscall until it completes', () => {
+    const { cpu, os } = createMachine('SYSCALL READ_CHAR\nHLT\n')
+    cpu.profiler = new Profiler()
+    cpu.step()
+    expect(cpu.waiting).toBe('input')
+    expect(cpu.profiler.total).toBe(0)
+    os.provideInput('x')
+    cpu.step()
+    expect(cpu.profiler.total).toBe(1)
+  })
+
+  it('should report the hottest rows first, or in source order', () => {
+    const { profiler, debugInfo } = profile(program)
+    const hottest = profiler.report('lines', { lineMap: debugInfo.lineMap, limit: 2 }).split('\n')
+    expect(hottest[0]).toBe('18 instructions executed')
+    expect(hottest[1]).toMatch(/^\s+3\s+16\.7%\s+line 5$/)
+    expect(hottest[3]).toBe('... 6 more')
+
+    const bySource = profiler.report('functions', { symbols: debugInfo.symbols, sort: 'source' }).split('\n')
+    expect(bySource.slice(1).map(line => line.trim().split(/\s+/).pop())).toEqual(['main', 'add_two'])
+    expect(() => profiler.report('calls')).toThrow('Unknown profile view')
+  })
+
+  it('should start from zero after clear', () => {
+    const { profiler } = profile(program)
+    profiler.clear()
+    expect(profiler.total).toBe(0)
+    expect(profiler.byPC()).toEqual([])
+    expect(profiler.byFunction({})).toEqual([])
+  })
+})
@@ -0,0 +1,157 @@
+import { describe, it, expect } from 'vitest'
+import { spawnSync } from 'child_process'
+import { fileURLToPath } from 'url'
+import path from 'path'
+import fs from 'fs'
+import os from 'os'
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..')
+
+function run(args, input = '') {
+  return spawnSync(process.execPath, ['js/run-cli.js', ...args], {
+    cwd: root,
+    input,
+    encoding: 'utf-8'
+  })
+}
+
+describe('run CLI', () => {
+  it('should run a binary and write its output to stdout', () => {
+    const result = run(['disk/bin/hello.bin'])
+    expect(result.stdout).toBe('Hello, World!\n')
+    expect(result.status).toBe(0)
+  })
+
+  it('should assemble and run a source file with arguments', () => {
+    const result = run(['disk/examples/echo.asm', 'one', 'two'])
+    expect(result.stdout).toBe('one two')
+    expect(result.status).toBe(0)
+  })
+
+  it('should read READ_INT, READ_CHAR and READ_STRING from stdin', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x366-'))
+    const file = path.join(dir, 'input.asm')
+    fs.writeFileSync(file, `
+      buf: DB 16 DUP(0)
+      SYSCALL READ_INT
+      SYSCALL PRINT_INT
+      SYSCALL READ_CHAR
+      SYSCALL PRINT_CHAR
+      MOV AX, buf
+      MOV BX, 15
+      SYSCALL READ_STRING
+      MOV AX, buf
+      SYSCALL PRINT_STRING
+      HLT
+    `)
+
+    try {
+      const result = run([file], '42\nxyz abc\n')
+      expect(result.stdout).toBe('42xyz abc')
+      expect(result.status).toBe(0)
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  it('should exit non-zero on a runtime fault', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x366-'))
+    const file = path.join(dir, 'fault.asm')
+    fs.writeFileSync(file, 'DB 0xFF, 0xFF\n')
+
+    try {
+      const result = run([file])
+      expect(result.status).toBe(1)
+      expect(result.stderr).toContain('PC=0x')
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  it('should exit with the status a program passes to EXIT', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x366-'))
+    const failing = path.join(dir, 'failing.asm')
+    const succeeding = path.join(dir, 'succeeding.asm')
+    fs.writeFileSync(failing, 'MOV AX, 0x0103\nSYSCALL EXIT\n')
+    fs.writeFileSync(succeeding, 'MOV AX, 0\nSYSCALL EXIT\nMOV AX, 7\n')
+
+    try {
+      expect(run([failing]).status).toBe(3)
+      expect(run([succeeding]).status).toBe(0)
+      expect(run(['disk/examples/echo.asm', 'hi']).status).toBe(0)
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  it('should report the source line of a fault', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x366-'))
+    const file = path.join(dir, 'divide.asm')
+    fs.writeFileSync(file, 'MOV BX, 0\nDIV BX\nHLT\n')
+
+    try {
+      const result = run([file])
+      expect(result.status).toBe(1)
+      expect(result.stderr).toContain('divide-by-zero')
+      expect(result.stderr).toContain('(line 2)')
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  it('should give the same output and faults with --turbo', () => {
+    for (const example of ['disk/examples/fibonacci.asm', 'disk/examples/factorial.asm']) {
+      const result = run(['--turbo', example])
+      expect(result.status).toBe(0)
+      expect(result.stdout).toBe(run([example]).stdout)
+    }
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x366-'))
+    const file = path.join(dir, 'divide.asm')
+    fs.writeFileSync(file, 'MOV AX, 5\nMOV BX, 0\nDIV BX\nHLT\n')
+
+    try {
+      const result = run(['--turbo', file])
+      expect(result.status).toBe(1)
+      expect(result.stderr).toBe(run([file]).stderr)
+      expect(result.stderr).toContain('(line 3)')
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  it('should exit non-zero when the program cannot be loaded', () => {
+    const result = run(['does/not/exist.asm'])
+    expect(result.status).toBe(1)
+    expect(result.stderr).toContain('Error:')
+  })
+
+  it('should write LCOV coverage with --coverage', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x366-'))
+    const file = path.join(dir, 'branch.asm')
+    const lcov = path.join(dir, 'coverage.info')
+    fs.writeFileSync(file, `SYSCALL READ_INT
+CMP AX, 0
+JL negative
+HLT
+negative:
+MOV AX, 0
+HLT
+`)
+
+    try {
+      const result = run(['--coverage', lcov, file], '5\n')
+      expect(result.status).toBe(0)
+      expect(result.stderr).toContain('Lines: 4/6 (66.7%)  Branches: 1/2 (50.0%)')
+      expect(result.stderr).toContain('Uncovered lines: 6, 7')
+
+      const info = fs.readFileSync(lcov, 'utf-8')
+      expect(info).toContain(`SF:${file}`)
+      expect(info).toContain('DA:4,1\nDA:6,0')
+      expect(info).toContain('BRDA:3,0,0,0\nBRDA:3,0,1,1')
+      expect(info.trimEnd().endsWith('end_of_record')).toBe(true)
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+})
@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest'
+import { createSnapshot, restoreSnapshot, parseSnapshot, SNAPSHOT_VERSION } from '../snapshot.js'
+import { Interrupt } from '../emulator.js'
+import { MACHINE_DEVICES } from '../devices.js'
+import { createMachine } from './helpers.js'
+
+// The whole machine, display included
+const options = { display: true, devices: MACHINE_DEVICES, filename: 'test.asm' }
+
+describe('Machine Snapshots', () => {
+  const program = `
+    .MEMORY 2K
+    MOV AX, 2
+    SYSCALL SET_COLOR
+    MOV AX, 10
+    MOV BX, 10
+    SYSCALL DRAW_PIXEL
+    MOV AX, 8
+    SYSCALL MALLOC
+    MOV BX, AX
+    MOV CX, 3
+  again:
+    PUSH CX
+    DEC CX
+    CMP CX, 0
+    JNE again
+    HLT
+  `
+
+  it('should restore registers, flags, memory, VRAM and OS state exactly', () => {
+    const source = createMachine(program, options)
+    // Run up to the loop
+    for (let i = 0; i < 12; i++) source.cpu.step()
+    source.os.provideInput('queued\n')
+    source.buttons.press(0x11)
+    const text = createSnapshot(source)
+
+    // Restore into a machine with a different memory size and program
+    const target = createMachine('MOV AX, 1\nHLT\n', options)
+    const restored = restoreSnapshot(text, target)
+
+    expect(target.memory.size).toBe(2048)
+    expect(target.memory.data).toEqual(source.memory.data)
+    expect(target.display.vram).toEqual(source.display.vram)
+    expect(target.display.currentColor).toBe(2)
+    for (const name of ['AX', 'BX', 'CX', 'DX', 'SP', 'FP', 'BK', 'PC', 'CB', 'ZF', 'SF', 'CF', 'OF']) {
+      expect(target.cpu.registers[name]).toBe(source.cpu.registers[name])
+    }
+    expect(target.os.heapBlocks).toEqual(source.os.heapBlocks)
+    expect(target.os.stdin).toBe('queued\n')
+    expect(target.buttons.state).toBe(0x11)
+    expect(restored.debugInfo.sourceFilename).toBe('test.asm')
+  })
+
+  it('should continue running identically after a restore', () => {
+    const source = createMachine(program, options)
+    for (let i = 0; i < 12; i++) source.cpu.step()
+    const text = createSnapshot(source)
+
+    const target = createMachine('HLT', options)
+    restoreSnapshot(text, target)
+
+    while (source.cpu.step()) { }
+    while (target.cpu.step()) { }
+    expect(target.cpu.registers.SP).toBe(source.cpu.registers.SP)
+    expect(target.memory.data).toEqual(source.memory.data)
+  })
+
+  it('should keep the timer running and interrupts pending', () => {
+    const timed = `
+      MOV AX, on_timer
+      MOV [0x0000], AX
+      MOV AX, 10
+      MOV [0x0012], AX
+      EI
+    spin:
+      JMP spin
+    on_timer:
+      INC BX
+      IRET
+    `
+    const source = createMachine(timed, options)
+    for (let i = 0; i < 8; i++) source.cpu.step()
+    source.cpu.interrupts.raise(Interrupt.TIMER)
+    const text = createSnapshot(source)
+
+    const target = createMachine('HLT', options)
+    restoreSnapshot(text, target)
+    const timer = target.memory.getDevice('timer')
+    expect(timer.period).toBe(10)
+    expect(target.cpu.registers.IF).toBe(1)
+    expect(target.cpu.interrupts.pending).toBe(1 << Interrupt.TIMER)
+    expect(target.cpu.instructionCount).toBe(8)
+
+    for (let i = 0; i < 100; i++) {
+      source.cpu.step()
+      target.cpu.step()
+    }
+    expect(target.cpu.registers.BX).toBeGreaterThan(5)
+    expect(target.cpu.registers.BX).toBe(source.cpu.registers.BX)
+  })
+
+  it('should restore the halted state', () => {
+    const source = createMachine('HLT', options)
+    source.cpu.step()
+    const target = createMachine('HLT', options)
+    restoreSnapshot(createSnapshot(source), target)
+    expect(target.cpu.halted).toBe(true)
+  })
+
+  it('should reject files that are not snapshots', () => {
+    expect(() => parseSnapshot('MOV AX, 1')).toThrow('Not a snapshot file')
+    expect(() => parseSnapshot('{"format":"other"}')).toThrow('Not a snapshot file')
+  })
+
+  it('should reject unsupported versions', () => {
+    const machine = createMachine('HLT', options)
+    const snapshot = JSON.parse(createSnapshot(machine))
+    snapshot.version = SNAPSHOT_VERSION + 1
+    expect(() => parseSnapshot(JSON.stringify(snapshot))).toThrow('Unsupported snapshot version')
+  })
+
+  it('should leave the machine untouched when the memory image is corrupt', () => {
+    const machine = createMachine('HLT', options)
+    const snapshot = JSON.parse(createSnapshot(machine))
+    snapshot.memory = snapshot.memory.slice(2)
+
+    const target = createMachine('MOV AX, 7\nHLT\n', options)
+    target.cpu.step()
+    expect(() => restoreSnapshot(JSON.stringify(snapshot), target)).toThrow('corrupt')
+    expect(target.cpu.registers.AX).toBe(7)
+  })
+})
@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest'
+import { SyscallTracer } from '../strace.js'
+import { createMachine } from './helpers.js'
+
+function strace(source, { input = null, limit } = {}) {
+  const machine = createMachine(source)
+  const tracer = new SyscallTracer({ limit })
+  machine.os.strace = tracer
+  if (input !== null) machine.os.provideInput(input)
+  while (machine.step()) { }
+  return { tracer, symbols: machine.debugInfo.symbols }
+}
+
+describe('Syscall Trace', () => {
+  it('should log the name, decoded string argument and instruction count', () => {
+    const { tracer, symbols } = strace(`
+      msg: DB "Hi\\n", 0
+      MOV AX, msg
+      SYSCALL PRINT_STRING
+      MOV AX, -5
+      SYSCALL PRINT_INT
+      MOV AX, 3
+      SYSCALL EXIT
+    `)
+    expect(tracer.entries.map(entry => entry.name)).toEqual(['PRINT_STRING', 'PRINT_INT', 'EXIT'])
+
+    const [print, printInt, exit] = tracer.entries
+    expect(print.count).toBe(2)
+    expect(print.args).toBe(`0x00${symbols.msg.toString(16).toUpperCase()} "Hi\\n"`)
+    expect(print.result).toBeNull()
+    expect(printInt.args).toBe('-5')
+    expect(exit.count).toBe(6)
+    expect(exit.args).toBe('status=3')
+  })
+
+  it('should log the result left in AX', () => {
+    const { tracer } = strace(`
+      SYSCALL READ_INT
+      MOV AX, 4
+      SYSCALL MALLOC
+      HLT
+    `, { input: '-12\n' })
+    expect(tracer.entries[0].result).toBe('-12')
+    expect(tracer.entries[1].args).toBe('4')
+    expect(tracer.entries[1].result).toMatch(/^0x[0-9A-F]{4}$/)
+  })
+
+  it('should log a read only once input arrives, with the text it read', () => {
+    const machine = createMachine(`
+      buf: DB 8 DUP(0)
+      MOV AX, buf
+      MOV BX, 8
+      SYSCALL READ_STRING
+      HLT
+    `)
+    const tracer = new SyscallTracer()
+    machine.os.strace = tracer
+    machine.cpu.step()
+    machine.cpu.step()
+    machine.cpu.step()
+    expect(machine.cpu.waiting).toBe('input')
+    expect(tracer.entries).toHaveLength(0)
+
+    machine.os.provideInput('ok\n')
+    machine.cpu.step()
+    expect(tracer.entries).toHaveLength(1)
+    expect(tracer.entries[0].count).toBe(3)
+    expect(tracer.entries[0].args).toBe(`buf=0x00${machine.debugInfo.symbols.buf.toString(16).toUpperCase()}, max=8`)
+    expect(tracer.entries[0].result).toBe('2 "ok"')
+  })
+
+  it('should show the filename READ_FILE opened', () => {
+    const { tracer, symbols } = strace(`
+      name: DB "data.txt", 0
+      buf: DB 4 DUP(0)
+      MOV AX, name
+      MOV BX, buf
+      MOV CX, 4
+      SYSCALL READ_FILE
+      HLT
+    `)
+    expect(tracer.entries[0].args).toBe(`"data.txt", buf=0x00${symbols.buf.toString(16).toUpperCase()}, max=4`)
+    expect(tracer.entries[0].result).toBe('-1')
+  })
+
+  it('should not trip read watchpoints while decoding results', () => {
+    const machine = createMachine(`
+      buf: DB 4 DUP(0)
+      MOV AX, buf
+      MOV BX, 4
+      SYSCALL READ_STRING
+      HLT
+    `)
+    machine.os.strace = new SyscallTracer()
+    machine.cpu.watchpoints.add(machine.debugInfo.symbols.buf, machine.debugInfo.symbols.buf + 3, 'read')
+    machine.os.provideInput('abc\n')
+    while (machine.cpu.step()) { }
+    expect(machine.os.strace.entries[0].result).toBe('3 "abc"')
+    expect(machine.cpu.watchpoints.hit).toBeNull()
+  })
+
+  it('should stop recording at the limit and count the rest', () => {
+    const { tracer } = strace(`
+      MOV CX, 5
+    again:
+      MOV AX, 'a'
+      SYSCALL PRINT_CHAR
+      DEC CX
+      JNE again
+      HLT
+    `, { limit: 2 })
+    expect(tracer.entries).toHaveLength(2)
+    expect(tracer.entries[0].args).toBe("'a'")
+    expect(tracer.dropped).toBe(3)
+    expect(tracer.toText()).toContain('3 more syscalls not recorded')
+  })
+
+  it('should format entries as text lines', () => {
+    const { tracer } = strace(`
+      MOV AX, 'A'
+      SYSCALL PRINT_CHAR
+      HLT
+    `)
+    expect(tracer.toText()).toBe("#2        0x0024  PRINT_CHAR('A')\n")
+  })
+})
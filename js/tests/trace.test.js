@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest'
+import { TraceRecorder, TRACE_FORMAT } from '../trace.js'
+import { createMachine } from './helpers.js'
+
+function trace(source, options = {}) {
+  const machine = createMachine(source)
+  const recorder = new TraceRecorder(options)
+  machine.cpu.trace = recorder
+  while (machine.step()) { }
+  return { cpu: machine.cpu, recorder }
+}
+
+describe('Execution Trace', () => {
+  const program = `
+    value: DW 0
+    MOV AX, 0x1234
+    MOV [value], AX
+    CMP AX, 0x1234
+    HLT
+  `
+
+  it('should record the PC, instruction and register changes', () => {
+    const { recorder } = trace(program)
+    expect(recorder.entries).toHaveLength(4)
+
+    const [mov, store, cmp, hlt] = recorder.entries
+    expect(mov.step).toBe(1)
+    expect(mov.pc).toBe(0x0020)
+    expect(mov.instruction).toBe('MOV')
+    expect(mov.registers.AX).toEqual([0, 0x1234])
+    expect(store.registers).toEqual({})
+    expect(cmp.registers.ZF).toEqual([0, 1])
+    expect(hlt.pc).toBe(0x002C)
+  })
+
+  it('should record the memory bytes an instruction changed', () => {
+    const { recorder } = trace(program)
+    const store = recorder.entries[1]
+    expect(store.memory).toEqual([
+      { address: 0x002E, old: 0x00, new: 0x12 },
+      { address: 0x002F, old: 0x00, new: 0x34 }
+    ])
+  })
+
+  it('should record memory written by syscalls', () => {
+    const machine = createMachine(`
+      buf: DB 4 DUP(0)
+      MOV AX, buf
+      MOV BX, 3
+      SYSCALL READ_STRING
+      HLT
+    `)
+    machine.cpu.trace = new TraceRecorder()
+    machine.os.provideInput('hi\n')
+    while (machine.cpu.step()) { }
+    const read = machine.cpu.trace.entries[2]
+    expect(read.memory.map(change => change.new)).toEqual([0x68, 0x69])
+  })
+
+  it('should not record a read syscall until it gets input', () => {
+    const machine = createMachine(`
+      SYSCALL READ_CHAR
+      HLT
+    `)
+    const recorder = new TraceRecorder()
+    machine.cpu.trace = recorder
+    machine.cpu.step()
+    expect(machine.cpu.waiting).toBe('input')
+    expect(recorder.entries).toHaveLength(0)
+
+    machine.os.provideInput('x')
+    machine.cpu.step()
+    expect(recorder.entries).toHaveLength(1)
+    expect(recorder.entries[0].registers.AX).toEqual([0, 0x78])
+  })
+
+  it('should record the fault that stopped the program', () => {
+    const { recorder } = trace(`
+      MOV BX, 0
+      DIV BX
+    `)
+    expect(recorder.entries[1].fault).toBe('Division by zero')
+  })
+
+  it('should stop recording at the limit and count the rest', () => {
+    const { recorder } = trace(`
+      MOV CX, 10
+    again:
+      DEC CX
+      JNE again
+      HLT
+    `, { limit: 5 })
+    expect(recorder.entries).toHaveLength(5)
+    expect(recorder.count).toBe(22)
+    expect(recorder.dropped).toBe(17)
+    expect(recorder.toText()).toContain('17 more instructions not recorded')
+  })
+
+  it('should use the disassembler it is given', () => {
+    const { recorder } = trace('NOP\nHLT\n', { disassemble: (pc) => `at ${pc}` })
+    expect(recorder.entries[0].instruction).toBe('at 32')
+  })
+
+  it('should not set off read watchpoints on code when disassembling', () => {
+    const machine = createMachine(program)
+    const { cpu, memory } = machine
+    cpu.trace = new TraceRecorder({ disassemble: (pc) => `byte ${memory.readByte(pc)}` })
+    cpu.watchpoints.add(0x0020, 0x002D, 'read')
+    while (cpu.step()) { }
+    expect(cpu.watchpoints.hit).toBe(null)
+    expect(cpu.trace.entries).toHaveLength(4)
+  })
+
+  it('should export diffable text and JSON', () => {
+    const { recorder } = trace(program)
+    const lines = recorder.toText().trimEnd().split('\n')
+    expect(lines[0]).toMatch(/^\s+1 {2}0020 {2}MOV\s+AX=1234$/)
+    expect(lines[1]).toContain('[002E]=12 [002F]=34')
+    expect(lines[2]).toContain('ZF=1')
+
+    const json = JSON.parse(JSON.stringify(recorder.toJSON()))
+    expect(json.format).toBe(TRACE_FORMAT)
+    expect(json.entries).toHaveLength(4)
+    expect(json.entries[0].registers.AX).toEqual([0, 0x1234])
+  })
+})
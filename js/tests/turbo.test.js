@@ -0,0 +1,187 @@
+import { describe, it, expect } from 'vitest'
+import { fileURLToPath } from 'url'
+import path from 'path'
+import fs from 'fs'
+import { Journal, FaultKind } from '../emulator.js'
+import { Turbo } from '../turbo.js'
+import { assemble } from '../assembler.js'
+import { createMachine } from './helpers.js'
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..')
+const LIMIT = 20000
+
+// Everything a program can observe, and more
+function state(cpu, output) {
+  const fault = cpu.fault && {
+    kind: cpu.fault.kind,
+    message: cpu.fault.message,
+    pc: cpu.fault.pc,
+    address: cpu.fault.address,
+    opcode: cpu.fault.instruction?.opcode
+  }
+  return {
+    registers: { ...cpu.registers },
+    memory: Array.from(cpu.memory.data),
+    instructionCount: cpu.instructionCount,
+    halted: cpu.halted,
+    waiting: cpu.waiting,
+    pending: cpu.interrupts.pending,
+    fault,
+    output
+  }
+}
+
+// Run a program stepping, and in turbo mode in `chunk`-instruction runs
+function compare(source, chunk = LIMIT) {
+  const interpreted = createMachine(source, { devices: ['timer'] })
+  const cpu = interpreted.cpu
+  while (cpu.instructionCount < LIMIT && cpu.step() && !cpu.waiting) { }
+
+  const compiled = createMachine(source, { devices: ['timer'] })
+  compiled.cpu.turbo = new Turbo()
+  while (compiled.cpu.instructionCount < LIMIT) {
+    const limit = Math.min(chunk, LIMIT - compiled.cpu.instructionCount)
+    if (!compiled.cpu.run(limit) || compiled.cpu.waiting) break
+  }
+
+  return {
+    expected: state(cpu, interpreted.output),
+    actual: state(compiled.cpu, compiled.output),
+    turbo: compiled.cpu.turbo
+  }
+}
+
+// Programs from the emulator's own tests and the examples
+function corpus() {
+  const programs = []
+  for (const file of ['emulator.test.js', 'byte-instructions.test.js', 'interrupts.test.js', 'devices.test.js']) {
+    const text = fs.readFileSync(path.join(root, 'js/tests', file), 'utf-8')
+    for (const [, source] of text.matchAll(/`([^`$]*\n[^`$]*)`/g)) {
+      programs.push({ name: file, source })
+    }
+  }
+  for (const file of fs.readdirSync(path.join(root, 'disk/examples'))) {
+    programs.push({ name: file, source: fs.readFileSync(path.join(root, 'disk/examples', file), 'utf-8') })
+  }
+  return programs.filter(({ source }) => {
+    try {
+      assemble(source)
+      return true
+    } catch {
+      return false
+    }
+  })
+}
+
+describe('Turbo mode', () => {
+  it('should match the interpreter on the emulator tests and examples', () => {
+    const programs = corpus()
+    expect(programs.length).toBeGreaterThan(100)
+    let compiled = 0
+    for (const { name, source } of programs) {
+      const { expected, actual, turbo } = compare(source)
+      expect(actual, `${name}:\n${source}`).toEqual(expected)
+      if (turbo.blocks.some(block => block)) compiled++
+    }
+    expect(compiled).toBeGreaterThan(50)
+  })
+
+  it('should match the interpreter when runs end inside blocks', () => {
+    for (const example of ['fibonacci.asm', 'factorial.asm', 'loop.asm']) {
+      const source = fs.readFileSync(path.join(root, 'disk/examples', example), 'utf-8')
+      const { expected, actual } = compare(source, 7)
+      expect(actual).toEqual(expected)
+    }
+  })
+
+  it('should take timer interrupts on the same instruction as the interpreter', () => {
+    const { expected, actual } = compare(`
+      MOV AX, on_timer
+      MOV [0x0000], AX
+      MOV AX, 7
+      MOV [0x0012], AX
+      EI
+      MOV CX, 200
+    spin:
+      ADD DX, 1
+      ADD DX, 2
+      ADD DX, 3
+      LOOP spin
+      DI
+      HLT
+    on_timer:
+      INC BX
+      MOV [0x0300], DX
+      IRET
+    `)
+    expect(expected.registers.BX).toBeGreaterThan(100)
+    expect(actual).toEqual(expected)
+  })
+
+  it('should stop a block at a fault with the interpreter\'s state', () => {
+    for (const body of ['MOV BX, 0\n DIV BX', 'MOV BX, 0xFFFF\n MOV AX, [BX]', 'MOV SP, 0\n PUSH AX']) {
+      const { expected, actual } = compare(`
+        MOV AX, 7
+        ADD AX, 1
+        ${body}
+        INC AX
+        HLT
+      `)
+      expect(expected.fault).not.toBe(null)
+      expect(actual).toEqual(expected)
+    }
+  })
+
+  it('should fault on a user-mode write to the system tables mid-block', () => {
+    const { expected, actual } = compare(`
+      MOV AX, 0x1000      ; FLAGS with UF set
+      PUSH AX
+      MOV AX, user
+      PUSH AX
+      IRET
+    user:
+      MOV AX, 5
+      MOV [0x0100], AX
+      MOV [0x0014], AX
+      HLT
+    `)
+    expect(expected.fault.kind).toBe(FaultKind.PROTECTION)
+    expect(actual).toEqual(expected)
+  })
+
+  it('should see code a block writes and leave code that keeps changing to the interpreter', () => {
+    const { expected, actual, turbo } = compare(`
+      MOV CX, 50
+      MOV EX, again
+    again:
+      MOV AX, 0           ; Adds one more each pass
+      ADD BX, AX
+      MOV DX, [EX+2]
+      INC DX
+      MOV [EX+2], DX
+      LOOP again
+      HLT
+    `)
+    expect(expected.registers.BX).toBe(1225)
+    expect(actual).toEqual(expected)
+    expect(turbo.blocks[0x28]).toBe(null)  // again
+  })
+
+  it('should step each instruction while the journal is on', () => {
+    const { cpu } = createMachine(`
+      MOV CX, 10
+    again:
+      INC AX
+      LOOP again
+      HLT
+    `, { devices: ['timer'] })
+    cpu.turbo = new Turbo()
+    cpu.journal = new Journal()
+    expect(cpu.run()).toBe(false)
+    expect(cpu.registers.AX).toBe(10)
+    expect(cpu.turbo.blocks).toEqual([])
+    cpu.stepBack()  // HLT
+    cpu.stepBack()
+    expect(cpu.registers.CX).toBe(1)
+  })
+})
@@ -0,0 +1,137 @@
+// Execution Trace Recorder
+// Records, per executed instruction, the PC, the instruction and the registers,
+// flags and memory bytes it changed. Export as text or JSON to diff two runs.
+
+import { getInstructionName, hexDigits } from './emulator.js'
+
+export const TRACE_FORMAT = 'x366-trace'
+export const TRACE_VERSION = 1
+
+// PC changes on every instruction (the next entry shows where it went), and
+// IR/DR only mirror the prefetched instruction, so they are not recorded
+const TRACED_REGISTERS = [
+  'AX', 'BX', 'CX', 'DX', 'EX', 'FX', 'SP', 'FP', 'BK', 'CB',
+  'ZF', 'SF', 'CF', 'OF', 'IF', 'UF'
+]
+const FLAGS = ['ZF', 'SF', 'CF', 'OF', 'IF', 'UF']
+
+
+export class TraceRecorder {
+  /**
+   * limit: entries to keep; later instructions are counted but not recorded
+   * disassemble: (pc) => text for the instruction at pc, defaults to its mnemonic
+   */
+  constructor({ limit = 100000, disassemble = null } = {}) {
+    this.limit = limit
+    this.disassemble = disassemble
+    this.entries = []
+    this.dropped = 0      // Instructions executed after the limit was reached
+    this.count = 0        // Instructions executed while tracing
+    this.current = null
+    this.before = null
+  }
+
+  clear() {
+    this.entries = []
+    this.dropped = 0
+    this.count = 0
+    this.current = null
+  }
+
+  /**
+   * Called by CPU.step() before an instruction executes
+   */
+  begin(cpu, pc, instr) {
+    if (this.entries.length >= this.limit) {
+      this.current = null
+      return
+    }
+    this.current = {
+      step: this.count + 1,
+      pc,
+      instruction: this.disassemble ? this.disassemble(pc) : getInstructionName(instr.opcode),
+      registers: {},
+      memory: []
+    }
+    this.before = TRACED_REGISTERS.map(name => cpu.registers[name])
+  }
+
+  /**
+   * Called by Memory for each write while an instruction executes
+   */
+  memoryWrite(address, size, value, oldValue) {
+    if (!this.current) return
+    for (let i = 0; i < size; i++) {
+      const shift = (size - 1 - i) * 8  // Big-endian: high byte first
+      const newByte = (value >> shift) & 0xFF
+      const oldByte = (oldValue >> shift) & 0xFF
+      if (newByte !== oldByte) {
+        this.current.memory.push({ address: address + i, old: oldByte, new: newByte })
+      }
+    }
+  }
+
+  /**
+   * Called by CPU.step() after the instruction executed (or faulted)
+   */
+  end(cpu, fault = null) {
+    // A blocked read syscall runs again once input arrives - record it then
+    if (cpu.waiting === 'input') {
+      this.current = null
+      return
+    }
+
+    this.count++
+    if (!this.current) {
+      this.dropped++
+      return
+    }
+
+    TRACED_REGISTERS.forEach((name, i) => {
+      const value = cpu.registers[name]
+      if (value !== this.before[i]) {
+        this.current.registers[name] = [this.before[i], value]
+      }
+    })
+    if (fault) {
+      this.current.fault = fault.message
+    }
+    this.entries.push(this.current)
+    this.current = null
+  }
+
+  /**
+   * Format one entry as a line of text: step, PC, instruction, new values
+   */
+  static formatEntry(entry) {
+    const changes = []
+    for (const [name, [, value]] of Object.entries(entry.registers)) {
+      changes.push(FLAGS.includes(name) ? `${name}=${value}` : `${name}=${hexDigits(value)}`)
+    }
+    for (const change of entry.memory) {
+      changes.push(`[${hexDigits(change.address)}]=${hexDigits(change.new, 2)}`)
+    }
+    if (entry.fault) {
+      changes.push(`FAULT: ${entry.fault}`)
+    }
+    return `${String(entry.step).padStart(7)}  ${hexDigits(entry.pc)}  ${entry.instruction.padEnd(22)}${changes.join(' ')}`.trimEnd()
+  }
+
+  toText() {
+    const lines = this.entries.map(entry => TraceRecorder.formatEntry(entry))
+    if (this.dropped > 0) {
+      lines.push(`... ${this.dropped} more instructions not recorded (limit ${this.limit})`)
+    }
+    return lines.join('\n') + '\n'
+  }
+
+  toJSON() {
+    return {
+      format: TRACE_FORMAT,
+      version: TRACE_VERSION,
+      count: this.count,
+      dropped: this.dropped,
+      entries: this.entries
+    }
+  }
+}
@@ -0,0 +1,368 @@
+// Turbo Mode
+// Compiles basic blocks - straight runs of instructions ending at a jump, call
+// or return - into JavaScript functions, so hot loops run as generated code
+// instead of through CPU.executeInstruction's switch. Generated code performs
+// each instruction's reads, writes and flag updates in the interpreter's
+// order, and device ticks, interrupts and faults land on the same
+// instructions, so a turbo run is bit-identical to stepping.
+//
+// The interpreter still runs whatever a block cannot: SYSCALL, HLT, EI, DI and
+// IRET, code outside the code segment, code a program keeps rewriting, and
+// every instruction while something needs to see each step (the journal,
+// tracing, watchpoints, the profiler or coverage).
+
+import { Opcode, RegName, CPUFault, FaultKind, hex } from './emulator.js'
+
+const MAX_BLOCK = 64       // Instructions in a block
+const MAX_COMPILES = 8     // Compiles of one block before its code counts as self-modifying
+
+// Instructions a block stops before, leaving them to the interpreter
+const INTERPRETED = new Set([Opcode.SYSCALL, Opcode.HLT, Opcode.EI, Opcode.DI, Opcode.IRET])
+
+// Conditions of the conditional jumps, as in executeInstruction
+const CONDITIONS = {
+  [Opcode.JE]: 'r.ZF === 1',
+  [Opcode.JNE]: 'r.ZF === 0',
+  [Opcode.JL]: 'r.SF !== r.OF',
+  [Opcode.JG]: 'r.ZF === 0 && r.SF === r.OF',
+  [Opcode.JLE]: 'r.ZF === 1 || r.SF !== r.OF',
+  [Opcode.JGE]: 'r.SF === r.OF',
+  [Opcode.JA]: 'r.CF === 0 && r.ZF === 0',
+  [Opcode.JAE]: 'r.CF === 0',
+  [Opcode.JB]: 'r.CF === 1',
+  [Opcode.JBE]: 'r.CF === 1 || r.ZF === 1',
+}
+
+export class Turbo {
+  constructor() {
+    this.blocks = []       // Start address -> compiled block
+    this.compiles = []     // Start address -> times compiled
+    this.entries = null    // The instruction cache's entries the blocks were compiled from
+  }
+
+  clear() {
+    this.blocks = []
+    this.compiles = []
+    this.entries = null
+  }
+
+  /**
+   * Whether blocks may run - nothing needs to see every step
+   */
+  canCompile(cpu) {
+    return !cpu.journal && !cpu.trace && !cpu.profiler && !cpu.coverage &&
+      cpu.watchpoints.list.length === 0
+  }
+
+  /**
+   * Run like CPU.run(): until the CPU halts or suspends, or `limit` more
+   * instructions have run. Returns false if halted, true if continuing.
+   */
+  run(cpu, limit) {
+    const registers = cpu.registers
+    const memory = cpu.memory
+    const end = cpu.instructionCount + limit
+
+    while (cpu.instructionCount < end) {
+      const block = registers.IF && cpu.interrupts.pending ? null : this.lookup(cpu)
+      if (block === null || cpu.instructionCount + block.length > end) {
+        if (!cpu.step()) return false
+        if (cpu.waiting) break
+        continue
+      }
+
+      cpu.waiting = false
+      if (registers.UF) memory.protection = cpu
+      if (cpu.onCodeWrite) memory.onCodeWrite = cpu.onCodeWrite
+      try {
+        block.run(cpu, registers, memory, memory.instructions)
+      } catch (error) {
+        if (!(error instanceof CPUFault)) throw error
+        // The block left PC at the faulting instruction
+        error.pc = registers.PC
+        error.instruction = cpu.fetch(registers.PC)
+        cpu.fault = error
+        cpu.halted = true
+      } finally {
+        memory.protection = null
+        memory.onCodeWrite = null
+      }
+
+      // IR/DR as the interpreter leaves them, which a block skips updating
+      cpu.prefetchInstruction()
+      if (cpu.halted) return false
+    }
+    return !cpu.halted
+  }
+
+  /**
+   * The block starting at PC, compiling it if need be, or null to step
+   */
+  lookup(cpu) {
+    if (!this.canCompile(cpu)) return null
+    const pc = cpu.registers.PC
+    const cache = cpu.memory.instructions
+
+    // Loading a program clears the instruction cache, and with it every block
+    if (cache.entries !== this.entries) {
+      this.clear()
+      this.entries = cache.entries
+    }
+
+    const block = this.blocks[pc]
+    if (block !== undefined) {
+      if (block === null || block.version === cache.version) return block
+      if (block.instructions.every((instr, i) => cache.get(block.addresses[i]) === instr)) {
+        block.version = cache.version
+        return block
+      }
+    }
+
+    // Code that keeps changing is left to the interpreter
+    const compiles = (this.compiles[pc] || 0) + 1
+    this.compiles[pc] = compiles
+    this.blocks[pc] = compiles > MAX_COMPILES ? null : this.compile(cpu, pc)
+    return this.blocks[pc]
+  }
+
+  /**
+   * Compile the block starting at an address, or return null if its first
+   * instruction must be interpreted
+   */
+  compile(cpu, start) {
+    const cache = cpu.memory.instructions
+    const addresses = []
+    const instructions = []
+    let body = ''
+    let pc = start
+    let ends = false  // Whether the last instruction transfers control
+
+    while (instructions.length < MAX_BLOCK) {
+      // Only instructions the cache holds (the code segment) are compiled,
+      // so writing to any of them invalidates the block
+      let instr
+      try {
+        instr = cpu.fetch(pc)
+      } catch (error) {
+        if (!(error instanceof CPUFault)) throw error
+        break
+      }
+      if (cache.get(pc) !== instr || INTERPRETED.has(instr.opcode)) break
+      const code = generate(instr, pc)
+      if (code === null) break
+
+      addresses.push(pc)
+      instructions.push(instr)
+      const next = (pc + instr.size) & 0xFFFF
+      ends = code.includes('r.PC =')
+
+      // PC is only kept up to date where a fault or a code write could see it
+      if (code.includes('m.') || instr.opcode === Opcode.DIV) body += `r.PC = ${hex(pc)}\n`
+      body += code + '\n'
+      body += 'cpu.instructionCount++\n'
+      body += 'for (let i = 0; i < clocked.length; i++) clocked[i].tick(cpu)\n'
+      if (ends) break
+
+      // Leave for a pending interrupt, or for changed code, after the instruction
+      body += `if (r.IF && cpu.interrupts.pending) { r.PC = ${hex(next)}; return }\n`
+      if (code.includes('m.write')) body += `if (cache.version !== version) { r.PC = ${hex(next)}; return }\n`
+      pc = next
+    }
+
+    if (instructions.length === 0) return null
+    if (!ends) body += `r.PC = ${hex(pc)}\n`
+
+    const source = `return function block_${start.toString(16)}(cpu, r, m, cache) {\n` +
+      'const clocked = m.clocked\n' +
+      'const version = cache.version\n' +
+      body + '}'
+    const run = new Function('CPUFault', 'FaultKind', source)(CPUFault, FaultKind)
+    return { run, addresses, instructions, length: instructions.length, version: cache.version }
+  }
+}
+
+// A register read by code - an invalid code reads 0, like CPU.getReg
+function get(code) {
+  const name = RegName[code]
+  return name ? `r.${name}` : '0'
+}
+
+// A register write by code - an invalid code writes nothing, like CPU.setReg
+function set(code, value) {
+  const name = RegName[code]
+  return name ? `r.${name} = (${value}) & 0xFFFF` : `${value}`
+}
+
+// An address relative to a base register
+function relative(instr) {
+  return `(${get(instr.base)} + ${instr.offset}) & 0xFFFF`
+}
+
+/**
+ * JavaScript for one instruction at `pc`, or null if it cannot be compiled.
+ * Code that transfers control assigns r.PC; other code leaves it alone.
+ */
+function generate(instr, pc) {
+  const next = hex((pc + instr.size) & 0xFFFF)
+  switch (instr.opcode) {
+    case Opcode.NOP:
+      return ''
+
+    // ========== Data Movement ==========
+    case Opcode.MOV_REG_REG:
+      return set(instr.dst, get(instr.src))
+    case Opcode.MOV_REG_IMM:
+      return set(instr.dst, instr.imm)
+    case Opcode.LOAD:
+      return set(instr.reg, `m.readWord(${instr.addr})`)
+    case Opcode.STORE:
+      return `m.writeWord(${instr.addr}, ${get(instr.src)})`
+    case Opcode.LOADR:
+      return set(instr.reg, `m.readWord(${relative(instr)})`)
+    case Opcode.STORER:
+      return `m.writeWord(${relative(instr)}, ${get(instr.src)})`
+    case Opcode.LOADB:
+      return set(instr.reg, `m.readByte(${instr.addr})`)
+    case Opcode.STOREB:
+      return `m.writeByte(${instr.addr}, ${get(instr.src)} & 0xFF)`
+    case Opcode.LOADBR:
+      return set(instr.reg, `m.readByte(${relative(instr)})`)
+    case Opcode.STOREBR:
+      return `m.writeByte(${relative(instr)}, ${get(instr.src)} & 0xFF)`
+    case Opcode.LEA:
+      return set(instr.reg, relative(instr))
+    case Opcode.STOREI:
+      return `m.writeWord(${get(instr.base)}, ${instr.imm})`
+    case Opcode.STOREI_DIRECT:
+      return `m.writeWord(${instr.addr}, ${instr.imm})`
+    case Opcode.LOAD_INDEXED:
+      return set(instr.reg, `m.readWord((${get(instr.base)} + ${get(instr.index)}) & 0xFFFF)`)
+    case Opcode.STORE_INDEXED:
+      return `m.writeWord((${get(instr.base)} + ${get(instr.index)}) & 0xFFFF, ${get(instr.reg)})`
+
+    // ========== Arithmetic ==========
+    case Opcode.ADD_REG_REG:
+      return set(instr.dst, `cpu.addWithFlags(${get(instr.dst)}, ${get(instr.src)})`)
+    case Opcode.ADD_REG_IMM:
+      return set(instr.dst, `cpu.addWithFlags(${get(instr.dst)}, ${instr.imm})`)
+    case Opcode.ADD_MEM:
+      return set(instr.reg, `cpu.addWithFlags(${get(instr.reg)}, m.readWord(${instr.addr}))`)
+    case Opcode.ADD_MEMR:
+      return set(instr.reg, `cpu.addWithFlags(${get(instr.reg)}, m.readWord(${relative(instr)}))`)
+    case Opcode.SUB_REG_REG:
+      return set(instr.dst, `cpu.subWithFlags(${get(instr.dst)}, ${get(instr.src)})`)
+    case Opcode.SUB_REG_IMM:
+      return set(instr.dst, `cpu.subWithFlags(${get(instr.dst)}, ${instr.imm})`)
+    case Opcode.SUB_MEM:
+      return set(instr.reg, `cpu.subWithFlags(${get(instr.reg)}, m.readWord(${instr.addr}))`)
+    case Opcode.SUB_MEMR:
+      return set(instr.reg, `cpu.subWithFlags(${get(instr.reg)}, m.readWord(${relative(instr)}))`)
+    case Opcode.INC_REG:
+    case Opcode.DEC_REG: {
+      const inc = instr.opcode === Opcode.INC_REG
+      return `{ const value = ${get(instr.reg)}\n` +
+        `r.OF = value === ${inc ? '0x7FFF' : '0x8000'} ? 1 : 0\n` +
+        `cpu.updateFlags(value ${inc ? '+' : '-'} 1, 16)\n` +
+        `${set(instr.reg, `value ${inc ? '+' : '-'} 1`)} }`
+    }
+    case Opcode.INC_MEM:
+    case Opcode.DEC_MEM:
+    case Opcode.INC_MEMR:
+    case Opcode.DEC_MEMR: {
+      const inc = instr.opcode === Opcode.INC_MEM || instr.opcode === Opcode.INC_MEMR
+      const addr = instr.opcode === Opcode.INC_MEM || instr.opcode === Opcode.DEC_MEM ? instr.addr : relative(instr)
+      return `{ const addr = ${addr}\n` +
+        'const value = m.readWord(addr)\n' +
+        `const result = (value ${inc ? '+' : '-'} 1) & 0xFFFF\n` +
+        `r.OF = value === ${inc ? '0x7FFF' : '0x8000'} ? 1 : 0\n` +
+        'm.writeWord(addr, result)\n' +
+        'cpu.updateFlags(result, 16) }'
+    }
+    case Opcode.MUL:
+      return `{ const result = r.AX * ${get(instr.reg)}\n` +
+        'r.AX = result & 0xFFFF\n' +
+        'r.CF = r.OF = result > 0xFFFF ? 1 : 0\n' +
+        'cpu.updateFlags(r.AX, 16) }'
+    case Opcode.DIV:
+      return `{ const divisor = ${get(instr.reg)}\n` +
+        `if (divisor === 0) throw new CPUFault(FaultKind.DIVIDE_BY_ZERO, 'Division by zero')\n` +
+        'const quotient = Math.floor(r.AX / divisor)\n' +
+        'const remainder = r.AX % divisor\n' +
+        'r.AX = quotient & 0xFFFF\n' +
+        'r.DX = remainder & 0xFFFF\n' +
+        'cpu.updateFlags(r.AX, 16) }'
+
+    // ========== Comparison ==========
+    case Opcode.CMP_REG_REG:
+      return `cpu.subWithFlags(${get(instr.dst)}, ${get(instr.src)})`
+    case Opcode.CMP_REG_IMM:
+      return `cpu.subWithFlags(${get(instr.dst)}, ${instr.imm})`
+    case Opcode.CMP_MEM:
+      return `cpu.subWithFlags(${get(instr.reg)}, m.readWord(${instr.addr}))`
+    case Opcode.CMP_MEMR:
+      return `cpu.subWithFlags(${get(instr.reg)}, m.readWord(${relative(instr)}))`
+    case Opcode.TEST_REG_REG:
+      return `cpu.logicFlags(${get(instr.dst)} & ${get(instr.src)})`
+    case Opcode.TEST_REG_IMM:
+      return `cpu.logicFlags(${get(instr.dst)} & ${instr.imm})`
+
+    // ========== Logical & Bitwise ==========
+    case Opcode.AND_REG_REG:
+      return set(instr.dst, `cpu.logicFlags(${get(instr.dst)} & ${get(instr.src)})`)
+    case Opcode.AND_REG_IMM:
+      return set(instr.dst, `cpu.logicFlags(${get(instr.dst)} & ${instr.imm})`)
+    case Opcode.OR_REG_REG:
+      return set(instr.dst, `cpu.logicFlags(${get(instr.dst)} | ${get(instr.src)})`)
+    case Opcode.OR_REG_IMM:
+      return set(instr.dst, `cpu.logicFlags(${get(instr.dst)} | ${instr.imm})`)
+    case Opcode.XOR_REG_REG:
+      return set(instr.dst, `cpu.logicFlags(${get(instr.dst)} ^ ${get(instr.src)})`)
+    case Opcode.XOR_REG_IMM:
+      return set(instr.dst, `cpu.logicFlags(${get(instr.dst)} ^ ${instr.imm})`)
+    case Opcode.NOT:
+      return set(instr.reg, `cpu.updateFlags((~${get(instr.reg)}) & 0xFFFF, 16)`)
+    case Opcode.SHL:
+    case Opcode.SHR: {
+      const count = instr.imm & 0x0F
+      const left = instr.opcode === Opcode.SHL
+      let code = `{ const value = ${get(instr.dst)}\n` +
+        `const result = ${left ? `(value << ${count}) & 0xFFFF` : `value >>> ${count}`}\n`
+      if (count > 0) {
+        code += left
+          ? `r.CF = (value >> ${16 - count}) & 1 ? 1 : 0\nr.OF = ((value ^ result) & 0x8000) !== 0 ? 1 : 0\n`
+          : `r.CF = (value >> ${count - 1}) & 1 ? 1 : 0\nr.OF = (value & 0x8000) !== 0 ? 1 : 0\n`
+      }
+      return code + `cpu.updateFlags(result, 16)\n${set(instr.dst, 'result')} }`
+    }
+
+    // ========== Jumps ==========
+    case Opcode.JMP:
+      return `r.PC = ${hex(instr.addr & 0xFFFF)}`
+    case Opcode.JE:
+    case Opcode.JNE:
+    case Opcode.JL:
+    case Opcode.JG:
+    case Opcode.JLE:
+    case Opcode.JGE:
+    case Opcode.JA:
+    case Opcode.JAE:
+    case Opcode.JB:
+    case Opcode.JBE:
+      return `r.PC = ${CONDITIONS[instr.opcode]} ? ${hex(instr.addr & 0xFFFF)} : ${next}`
+    case Opcode.LOOP:
+      return `r.CX = (r.CX - 1) & 0xFFFF\nr.PC = r.CX !== 0 ? ${hex(instr.addr & 0xFFFF)} : ${next}`
+
+    // ========== Stack & Functions ==========
+    case Opcode.PUSH:
+      return `r.SP = (r.SP - 2) & 0xFFFF\nm.writeWord(r.SP, ${get(instr.reg)})`
+    case Opcode.POP:
+      return `{ const value = m.readWord(r.SP)\n${set(instr.reg, 'value')}\nr.SP = (r.SP + 2) & 0xFFFF }`
+    case Opcode.CALL:
+      return `r.SP = (r.SP - 2) & 0xFFFF\nm.writeWord(r.SP, ${next})\nr.PC = ${hex(instr.addr & 0xFFFF)}`
+    case Opcode.RET:
+      return '{ const returnAddr = m.readWord(r.SP)\nr.SP = (r.SP + 2) & 0xFFFF\nr.PC = returnAddr & 0xFFFF }'
+
+    default:
+      return null
+  }
+}
@@ -1,31 +1,41 @@
 // MTMC-16 UI Manager
 // Handles all UI updates, blinkenlights, and user interaction
 
-import { CPU, Memory, decodeFromBytes, Opcode, Syscall } from './emulator.js'
+import { Journal, decodeFromBytes, Opcode, Syscall, formatFault, hex } from './emulator.js'
 import { assemble } from './assembler.js'
 import { FileSystem } from './filesystem.js'
-import { OS } from './os.js'
-import { Display } from './display.js'
-import { initializeMonaco, getEditor, setExecutionLine, clearExecutionLine, getBreakpoints, setBreakpointChangeCallback } from './monaco-setup.js'
+import { BUTTON_ADDRESS } from './devices.js'
+import { createSnapshot, restoreSnapshot, captureState, restoreState } from './snapshot.js'
+import { TraceRecorder } from './trace.js'
+import { SyscallTracer } from './strace.js'
+import { Profiler, PROFILE_VIEWS } from './profiler.js'
+import { Coverage } from './coverage.js'
+import { Turbo } from './turbo.js'
+import { CPUClient } from './cpu-client.js'
+import { Machine } from './machine.js'
+import { buildCallStack, formatCallStack, stepOverTarget, stepOutTarget } from './callstack.js'
+import { initializeMonaco, getEditor, setExecutionLine, clearExecutionLine, setFaultLine, clearFaultLine, setHeatMap, setCoverage, getBreakpoints, getBreakpointOptions, setBreakpointOptions, clearAllBreakpoints, setBreakpointChangeCallback, setBreakpointEditCallback } from './monaco-setup.js'
+import { compileExpression, compileTemplate } from './expression.js'
 
 // ============================================================================
 // State
 // ============================================================================
 
-let cpu = null
-let memory = null
-let os = null
+let machine = null  // The emulated computer (machine.js), with its loaded program's debug info
 let fs = null
-let display = null
-let running = false
-let speed = 1000 // Hz
-let debugInfo = null  // Debug information from binary (lineMap, symbols)
 let debugMode = false  // Debug mode toggle
 
-// Backward stepping support
-let undoHistory = []
-const MAX_HISTORY = 100
-let breakpointPCMap = null  // Runtime PC-to-breakpoint map (lazily initialized)
+let timelineEnd = 0  // Furthest instruction count reached, the end of the timeline slider
+let traceRecorder = null  // Execution trace, kept after tracing is turned off until cleared
+let syscallTracer = null  // Syscall log, kept after it is turned off until cleared
+let profiler = null  // Execution counts, kept after profiling is turned off until cleared
+let heatMapShown = false  // Profiler heat overlay in the editor gutter
+let coverage = null  // Executed lines, added up over runs until cleared or a new program loads
+let coverageShown = false  // Coverage highlighting in the editor
+let recordRuns = false  // Journal whole runs, not just steps, for stepping back (history on)
+let setAside = null  // The journal, while a run goes unrecorded
+const codeWritesWarned = new Set()  // Code addresses already warned about this run (smc on)
+let cpuWorker = null  // CPUClient for the Web Worker that runs programs (worker on)
 
 // Terminal state
 let commandHistory = []
@@ -63,13 +73,13 @@ function updateRegisterLEDs(regName, value) {
         // IR contains first word (opcode + param)
         const byte0 = (value >> 8) & 0xFF
         const byte1 = value & 0xFF
-        const byte2 = (cpu.registers.DR >> 8) & 0xFF
-        const byte3 = cpu.registers.DR & 0xFF
+        const byte2 = (machine.cpu.registers.DR >> 8) & 0xFF
+        const byte3 = machine.cpu.registers.DR & 0xFF
         const bytes = [byte0, byte1, byte2, byte3]
         const instr = decodeFromBytes(bytes)
 
         // Use the full disassembler from memory display
-        const fullInstruction = disassembleInstruction(cpu.registers.PC)
+        const fullInstruction = disassembleInstruction(machine.cpu.registers.PC)
         valueEl.textContent = fullInstruction
         valueEl.title = 'Next instruction to execute'
       } catch (e) {
@@ -78,8 +88,8 @@ function updateRegisterLEDs(regName, value) {
     } else if (regName.toLowerCase() === 'dr') {
       // Special handling for DR - show what data it contains
       try {
-        const byte0 = (cpu.registers.IR >> 8) & 0xFF
-        const byte1 = cpu.registers.IR & 0xFF
+        const byte0 = (machine.cpu.registers.IR >> 8) & 0xFF
+        const byte1 = machine.cpu.registers.IR & 0xFF
         const byte2 = (value >> 8) & 0xFF
         const byte3 = value & 0xFF
         const bytes = [byte0, byte1, byte2, byte3]
@@ -157,12 +167,14 @@ function updateRegisterLEDs(regName, value) {
 }
 
 function updateFlags() {
-  const flags = cpu.registers.getFlags()
+  const flags = machine.cpu.registers.getFlags()
 
   document.getElementById('flag-zf').className = flags.ZF ? 'blinken on' : 'blinken off'
   document.getElementById('flag-sf').className = flags.SF ? 'blinken on' : 'blinken off'
   document.getElementById('flag-cf').className = flags.CF ? 'blinken on' : 'blinken off'
   document.getElementById('flag-of').className = flags.OF ? 'blinken on' : 'blinken off'
+  document.getElementById('flag-if').className = flags.IF ? 'blinken on' : 'blinken off'
+  document.getElementById('flag-uf').className = flags.UF ? 'blinken on' : 'blinken off'
 }
 
 // ============================================================================
@@ -170,19 +182,20 @@ function updateFlags() {
 // ============================================================================
 
 function updateRegisters() {
-  updateRegisterLEDs('ax', cpu.registers.AX)
-  updateRegisterLEDs('bx', cpu.registers.BX)
-  updateRegisterLEDs('cx', cpu.registers.CX)
-  updateRegisterLEDs('dx', cpu.registers.DX)
-  updateRegisterLEDs('ex', cpu.registers.EX)
-  updateRegisterLEDs('fx', cpu.registers.FX)
-  updateRegisterLEDs('sp', cpu.registers.SP)
-  updateRegisterLEDs('fp', cpu.registers.FP)
-  updateRegisterLEDs('bk', cpu.registers.BK)
-  updateRegisterLEDs('pc', cpu.registers.PC)
-  updateRegisterLEDs('cb', cpu.registers.CB)
-  updateRegisterLEDs('ir', cpu.registers.IR)
-  updateRegisterLEDs('dr', cpu.registers.DR)
+  const registers = machine.cpu.registers
+  updateRegisterLEDs('ax', registers.AX)
+  updateRegisterLEDs('bx', registers.BX)
+  updateRegisterLEDs('cx', registers.CX)
+  updateRegisterLEDs('dx', registers.DX)
+  updateRegisterLEDs('ex', registers.EX)
+  updateRegisterLEDs('fx', registers.FX)
+  updateRegisterLEDs('sp', registers.SP)
+  updateRegisterLEDs('fp', registers.FP)
+  updateRegisterLEDs('bk', registers.BK)
+  updateRegisterLEDs('pc', registers.PC)
+  updateRegisterLEDs('cb', registers.CB)
+  updateRegisterLEDs('ir', registers.IR)
+  updateRegisterLEDs('dr', registers.DR)
   updateFlags()
   setupRegisterHoverHighlight()
 }
@@ -204,14 +217,14 @@ function setupRegisterHoverHighlight() {
 
       if (regName === 'ir') {
         // IR shows instruction at PC
-        address = cpu.registers.PC
+        address = machine.cpu.registers.PC
       } else if (regName === 'dr') {
         // DR might contain an address - decode to check
         try {
-          const byte0 = (cpu.registers.IR >> 8) & 0xFF
-          const byte1 = cpu.registers.IR & 0xFF
-          const byte2 = (cpu.registers.DR >> 8) & 0xFF
-          const byte3 = cpu.registers.DR & 0xFF
+          const byte0 = (machine.cpu.registers.IR >> 8) & 0xFF
+          const byte1 = machine.cpu.registers.IR & 0xFF
+          const byte2 = (machine.cpu.registers.DR >> 8) & 0xFF
+          const byte3 = machine.cpu.registers.DR & 0xFF
           const bytes = [byte0, byte1, byte2, byte3]
           const instr = decodeFromBytes(bytes)
 
@@ -223,7 +236,7 @@ function setupRegisterHoverHighlight() {
           // Ignore errors
         }
       } else {
-        address = cpu.registers[regName.toUpperCase()]
+        address = machine.cpu.registers[regName.toUpperCase()]
       }
 
       if (address !== null) {
@@ -241,14 +254,14 @@ function setupRegisterHoverHighlight() {
       let address = null
 
       if (regName === 'ir') {
-        address = cpu.registers.PC
+        address = machine.cpu.registers.PC
       } else if (regName === 'dr') {
         // Get address from DR if it contains one
         try {
-          const byte0 = (cpu.registers.IR >> 8) & 0xFF
-          const byte1 = cpu.registers.IR & 0xFF
-          const byte2 = (cpu.registers.DR >> 8) & 0xFF
-          const byte3 = cpu.registers.DR & 0xFF
+          const byte0 = (machine.cpu.registers.IR >> 8) & 0xFF
+          const byte1 = machine.cpu.registers.IR & 0xFF
+          const byte2 = (machine.cpu.registers.DR >> 8) & 0xFF
+          const byte3 = machine.cpu.registers.DR & 0xFF
           const bytes = [byte0, byte1, byte2, byte3]
           const instr = decodeFromBytes(bytes)
           if (instr.addr !== undefined) {
@@ -258,7 +271,7 @@ function setupRegisterHoverHighlight() {
           // Ignore errors
         }
       } else {
-        address = cpu.registers[regName.toUpperCase()]
+        address = machine.cpu.registers[regName.toUpperCase()]
       }
 
       if (address !== null) {
@@ -306,13 +319,13 @@ function classifyMemoryAddress(addr) {
     return ''
   }
 
-  if (addr >= cpu.registers.SP) {
+  if (addr >= machine.cpu.registers.SP) {
     return 'sta'  // Stack
-  } else if (addr === cpu.registers.PC) {
+  } else if (addr === machine.cpu.registers.PC) {
     return 'curr'  // Current instruction
-  } else if (addr >= 0x20 && addr < cpu.registers.CB) {
+  } else if (addr >= 0x20 && addr < machine.cpu.registers.CB) {
     return 'code'  // Code segment (0x20 to CB)
-  } else if (addr < cpu.registers.BK) {
+  } else if (addr < machine.cpu.registers.BK) {
     return 'data'  // Data segment (CB to BK)
   } else {
     return 'heap'  // Heap segment (BK+)
@@ -343,7 +356,8 @@ function getSyscallName(num) {
     8: 'SBRK', 9: 'SCREEN', 10: 'SET_COLOR', 11: 'DRAW_PIXEL',
     12: 'DRAW_LINE', 13: 'DRAW_RECT', 14: 'DRAW_CIRCLE',
     15: 'CLEAR_SCREEN', 16: 'DRAW_TEXT', 17: 'PAINT_DISPLAY',
-    18: 'SLEEP', 19: 'READ_FILE', 20: 'MALLOC', 21: 'FREE'
+    18: 'SLEEP', 19: 'READ_FILE', 20: 'MALLOC', 21: 'FREE',
+    22: 'WAIT_FRAME'
   }
   return names[num] || 'UNKNOWN'
 }
@@ -353,8 +367,8 @@ function disassembleInstruction(addr) {
   try {
     const bytes = []
     for (let i = 0; i < 4; i++) {
-      if (addr + i < memory.size) {
-        bytes.push(memory.readByte(addr + i))
+      if (addr + i < machine.memory.size) {
+        bytes.push(machine.memory.readByte(addr + i))
       } else {
         bytes.push(0)
       }
@@ -379,6 +393,9 @@ function disassembleInstruction(addr) {
     if (opcode === Opcode.NOP) return 'NOP'
     if (opcode === Opcode.HLT) return 'HALT'
     if (opcode === Opcode.RET) return 'RET'
+    if (opcode === Opcode.EI) return 'EI'
+    if (opcode === Opcode.DI) return 'DI'
+    if (opcode === Opcode.IRET) return 'IRET'
 
     if (opcode === Opcode.PUSH) return `PUSH ${reg(instr.reg)}`
     if (opcode === Opcode.POP) return `POP ${reg(instr.reg)}`
@@ -397,6 +414,7 @@ function disassembleInstruction(addr) {
     if (opcode === Opcode.OR_REG_REG) return `OR ${reg(instr.dst)},${reg(instr.src)}`
     if (opcode === Opcode.XOR_REG_REG) return `XOR ${reg(instr.dst)},${reg(instr.src)}`
     if (opcode === Opcode.CMP_REG_REG) return `CMP ${reg(instr.dst)},${reg(instr.src)}`
+    if (opcode === Opcode.TEST_REG_REG) return `TEST ${reg(instr.dst)},${reg(instr.src)}`
 
     // 4-byte register-immediate (compact format)
     if (opcode === Opcode.MOV_REG_IMM) return `MOV ${reg(instr.dst)},${hex(instr.imm)}`
@@ -406,6 +424,7 @@ function disassembleInstruction(addr) {
     if (opcode === Opcode.OR_REG_IMM) return `OR ${reg(instr.dst)},${hex(instr.imm)}`
     if (opcode === Opcode.XOR_REG_IMM) return `XOR ${reg(instr.dst)},${hex(instr.imm)}`
     if (opcode === Opcode.CMP_REG_IMM) return `CMP ${reg(instr.dst)},${hex(instr.imm)}`
+    if (opcode === Opcode.TEST_REG_IMM) return `TEST ${reg(instr.dst)},${hex(instr.imm)}`
     if (opcode === Opcode.SHL) return `SHL ${reg(instr.dst)},${instr.imm}`
     if (opcode === Opcode.SHR) return `SHR ${reg(instr.dst)},${instr.imm}`
 
@@ -444,6 +463,11 @@ function disassembleInstruction(addr) {
     if (opcode === Opcode.JG) return `JG ${addr16(instr.addr)}`
     if (opcode === Opcode.JLE) return `JLE ${addr16(instr.addr)}`
     if (opcode === Opcode.JGE) return `JGE ${addr16(instr.addr)}`
+    if (opcode === Opcode.JA) return `JA ${addr16(instr.addr)}`
+    if (opcode === Opcode.JAE) return `JAE ${addr16(instr.addr)}`
+    if (opcode === Opcode.JB) return `JB ${addr16(instr.addr)}`
+    if (opcode === Opcode.JBE) return `JBE ${addr16(instr.addr)}`
+    if (opcode === Opcode.LOOP) return `LOOP ${addr16(instr.addr)}`
     if (opcode === Opcode.CALL) return `CALL ${addr16(instr.addr)}`
 
     // Unknown instruction - show as hex bytes
@@ -456,16 +480,17 @@ function disassembleInstruction(addr) {
 // Get opcode name
 function getOpcodeName(opcode) {
   const names = {
-    0x00: 'NOP', 0x01: 'HLT',
+    0x00: 'NOP', 0x01: 'HLT', 0x02: 'EI', 0x03: 'DI', 0x04: 'IRET',
     0x10: 'MOV', 0x11: 'MOV', 0x12: 'LOAD', 0x13: 'STORE',
     0x20: 'ADD', 0x21: 'ADD', 0x22: 'SUB', 0x23: 'SUB',
     0x24: 'INC', 0x25: 'DEC', 0x26: 'MUL', 0x27: 'DIV',
     0x30: 'AND', 0x31: 'AND', 0x32: 'OR', 0x33: 'OR',
     0x34: 'XOR', 0x35: 'XOR', 0x36: 'NOT', 0x37: 'SHL',
     0x38: 'SHR',
-    0x40: 'CMP', 0x41: 'CMP',
+    0x40: 'CMP', 0x41: 'CMP', 0x44: 'TEST', 0x45: 'TEST',
     0x50: 'JMP', 0x51: 'JE', 0x52: 'JNE', 0x53: 'JL',
-    0x54: 'JG', 0x55: 'JLE', 0x56: 'JGE',
+    0x54: 'JG', 0x55: 'JLE', 0x56: 'JGE', 0x57: 'LOOP',
+    0x58: 'JA', 0x59: 'JAE', 0x5A: 'JB', 0x5B: 'JBE',
     0x60: 'PUSH', 0x61: 'POP',
     0x70: 'CALL', 0x71: 'RET',
     0x90: 'SYSCALL'
@@ -547,7 +572,7 @@ function updateMemoryView(scrollToAddr = null) {
   let i = 0
   let consumedUntil = 0  // Track bytes consumed by previous instructions crossing boundaries
 
-  while (i < memory.size) {
+  while (i < machine.memory.size) {
     const rowStart = Math.floor(i / 16) * 16
     const rowEnd = rowStart + 16
 
@@ -569,14 +594,14 @@ function updateMemoryView(scrollToAddr = null) {
     const memClass = classifyMemoryAddress(i)
     const format = getDisplayFormat(memClass)
     const cssClass = getMemoryClass(memClass)
-    const byte = memory.readByte(i)
-    const prevByte = i > 0 ? memory.readByte(i - 1) : 0
+    const byte = machine.memory.readByte(i)
+    const prevByte = i > 0 ? machine.memory.readByte(i - 1) : 0
 
     // Base cell style
     let cellStyle = 'padding: 1px; text-align: center; white-space: nowrap;'
 
     // Bold cells at PC, BK, or SP
-    if (i === cpu.registers.PC || i === cpu.registers.BK || i === cpu.registers.SP) {
+    if (i === machine.cpu.registers.PC || i === machine.cpu.registers.BK || i === machine.cpu.registers.SP) {
       cellStyle += ' font-weight: bold; border: 2px solid black;'
     }
 
@@ -594,7 +619,7 @@ function updateMemoryView(scrollToAddr = null) {
       // Instructions are at least 2 bytes, check if it's a 4-byte instruction
       const bytes = []
       for (let j = 0; j < 4; j++) {
-        bytes.push(memory.readByte(i + j))
+        bytes.push(machine.memory.readByte(i + j))
       }
       const instr = decodeFromBytes(bytes)
       actualBytesConsumed = instr.size
@@ -607,9 +632,9 @@ function updateMemoryView(scrollToAddr = null) {
       isInstruction = true
     }
     // For 'ins' and 'dec' modes (not dyn), show words (2 bytes)
-    else if ((format === 'ins' || format === 'dec') && i % 2 === 0 && i + 1 < memory.size) {
+    else if ((format === 'ins' || format === 'dec') && i % 2 === 0 && i + 1 < machine.memory.size) {
       colspan = 2
-      const nextByte = memory.readByte(i + 1)
+      const nextByte = machine.memory.readByte(i + 1)
       const word = (byte << 8) | nextByte
       if (format === 'dec') {
         displayValue = word.toString(10)
@@ -646,7 +671,9 @@ function updateMemoryView(scrollToAddr = null) {
       cellStyle += ' overflow: hidden; text-overflow: ellipsis;'
     }
 
-    html += `<td${rowId} class="${cssClass} mem-cell" style="${cellStyle}"` +
+    const watchClass = machine.cpu.watchpoints.find(i, colspan) ? ' mem-watch' : ''
+
+    html += `<td${rowId} class="${cssClass} mem-cell${watchClass}" style="${cellStyle}"` +
             ` data-addr="${i}"` +
             (colspan > 1 ? ` colspan="${colspan}"` : '') +
             ` title="${tooltip}">${displayValue}</td>`
@@ -771,6 +798,38 @@ function consoleClear() {
   document.getElementById('console-history').innerHTML = ''
 }
 
+// Switch the console prompt between shell commands and program input
+function setInputPrompt(kind) {
+  const prompt = document.getElementById('console-prompt')
+  const consoleInput = document.getElementById('console-input')
+  if (kind) {
+    prompt.textContent = '?'
+    consoleInput.placeholder = `program is waiting for input (${kind === 'char' ? 'character' : kind})`
+    consoleInput.focus()
+  } else {
+    prompt.textContent = '>'
+    consoleInput.placeholder = ''
+  }
+}
+
+// A line typed while the program is blocked on a read syscall goes to its input
+function handleProgramInput(inputText) {
+  consolePrint(inputText)
+  provideProgramInput(inputText + '\n')
+}
+
+// Queue input for read syscalls, in the worker while it has the machine,
+// resuming a run that waits for it
+function provideProgramInput(text) {
+  setInputPrompt(null)
+  if (cpuWorker && cpuWorker.busy) {
+    cpuWorker.provideInput(text)
+    if (machine.cpu.waiting === 'input') machine.cpu.waiting = false
+  } else {
+    machine.provideInput(text)
+  }
+}
+
 async function handleConsoleInput(inputText) {
   if (!inputText.trim()) return
 
@@ -805,6 +864,24 @@ async function handleConsoleInput(inputText) {
     'clear': cmdClear,
     'reset': cmdReset,
     'debug': cmdDebug,
+    'stdin': cmdStdin,
+    'save': cmdSave,
+    'restore': cmdRestore,
+    'watch': cmdWatch,
+    'break': cmdBreak,
+    'trace': cmdTrace,
+    'strace': cmdStrace,
+    'profile': cmdProfile,
+    'coverage': cmdCoverage,
+    'bt': cmdBacktrace,
+    'next': cmdNext,
+    'finish': cmdFinish,
+    'rstep': cmdReverseStep,
+    'rc': cmdReverseContinue,
+    'smc': cmdSmc,
+    'turbo': cmdTurbo,
+    'worker': cmdWorker,
+    'history': cmdHistory,
   }
 
   if (commands[cmd]) {
@@ -838,7 +915,7 @@ async function handleConsoleInput(inputText) {
           await cmdLoad([executablePath, ...programArgs])
 
           // Start execution automatically
-          if (!running) {
+          if (!isRunning()) {
             handleRun()
           }
           return
@@ -873,7 +950,7 @@ async function handleConsoleInput(inputText) {
         await cmdLoad([executablePath, ...programArgs])
 
         // Start execution automatically
-        if (!running) {
+        if (!isRunning()) {
           handleRun()
         }
         return
@@ -893,7 +970,7 @@ async function handleConsoleInput(inputText) {
     'CMP', 'TEST',
     'JMP', 'JE', 'JNE', 'JZ', 'JNZ', 'JG', 'JGE', 'JL', 'JLE', 'JA', 'JAE', 'JB', 'JBE',
     'PUSH', 'POP', 'CALL', 'RET',
-    'SYSCALL', 'NOP', 'HLT'
+    'SYSCALL', 'NOP', 'HLT', 'EI', 'DI', 'IRET'
   ]
 
   if (!asmInstructions.includes(cmd.toUpperCase())) {
@@ -914,23 +991,23 @@ async function handleConsoleInput(inputText) {
     const instr = decodeFromBytes(instructionBytes)
 
     // Save state before execution
-    const savedPC = cpu.registers.PC
-    const savedSP = cpu.registers.SP
+    const savedPC = machine.cpu.registers.PC
+    const savedSP = machine.cpu.registers.SP
 
     // Execute instruction (this will modify PC)
-    cpu.executeInstruction(instr)
+    machine.cpu.executeInstruction(instr)
 
     // Restore PC
-    cpu.registers.PC = savedPC
+    machine.cpu.registers.PC = savedPC
 
     // Prefetch next instruction for display
-    cpu.prefetchInstruction()
+    machine.cpu.prefetchInstruction()
 
     // Determine where to scroll based on what changed
     let scrollToAddr = null
-    if (cpu.registers.SP !== savedSP) {
+    if (machine.cpu.registers.SP !== savedSP) {
       // SP changed (PUSH/POP) - scroll to new SP location
-      scrollToAddr = cpu.registers.SP
+      scrollToAddr = machine.cpu.registers.SP
     }
 
     // Update UI to show register changes and scroll to changed memory
@@ -1228,49 +1305,21 @@ async function cmdLoad(args) {
       if (debugMode) consolePrint(`[Assembling and loading ${filename}]`)
     }
 
-    const result = memory.loadBinary(bytecode)
-    cpu.reset()
-
-    // Set BK and CB from binary header
-    cpu.registers.BK = result.breakPointer
-    cpu.registers.CB = result.codeBase
-    debugInfo = result.debugInfo
-
-    // Update memory size dropdown if memory was resized
-    const memorySelect = document.getElementById('memory-size-select')
-    if (memorySelect && memorySelect.value != memory.size) {
-      memorySelect.value = memory.size
-    }
+    cancelWorkerRun()
+    const result = machine.load(bytecode, programArgs || null)
+    resetDebugState()
+    showMemorySize()
 
     // Update breakpoint PC map after loading program
-    updateBreakpointPCMap()
-
-    // If command line arguments provided, append them to memory
-    if (programArgs) {
-      const argBytes = new TextEncoder().encode(programArgs + '\0')
-      const argStart = cpu.registers.BK
-
-      // Write argument string to memory at BK
-      for (let i = 0; i < argBytes.length; i++) {
-        memory.writeByte(argStart + i, argBytes[i])
-      }
+    updateBreakpoints()
 
-      // Update BK to point past the argument string
-      cpu.registers.BK = argStart + argBytes.length
-
-      // Set AX to point to the argument string
-      cpu.registers.AX = argStart
-
-      if (debugMode) consolePrint(`[Args at 0x${argStart.toString(16).toUpperCase()}: "${programArgs}"]`)
-    } else {
-      // No arguments - set AX to 0 (null pointer)
-      cpu.registers.AX = 0
-    }
+    // The arguments are at BK with AX pointing to them
+    if (debugMode && programArgs) consolePrint(`[Args at 0x${machine.cpu.registers.AX.toString(16).toUpperCase()}: "${programArgs}"]`)
 
     if (debugMode) {
       consolePrint(`[Code: 0x0020-0x${result.codeEnd.toString(16).toUpperCase()}, Data: 0x${result.codeEnd.toString(16).toUpperCase()}-0x${result.dataEnd.toString(16).toUpperCase()}]`)
-      if (debugInfo) {
-        consolePrint(`[Debug info: ${debugInfo.lineMap.length} lines, ${Object.keys(debugInfo.symbols).length} symbols]`)
+      if (machine.debugInfo) {
+        consolePrint(`[Debug info: ${machine.debugInfo.lineMap.length} lines, ${Object.keys(machine.debugInfo.symbols).length} symbols]`)
       }
     }
     updateUI()
@@ -1310,7 +1359,7 @@ function cmdSet(args) {
 
     // If it's a URL, load it directly
     if (imagePath.startsWith('http://') || imagePath.startsWith('https://') || imagePath.startsWith('data:')) {
-      display.loadImage(imagePath)
+      machine.display.loadImage(imagePath)
         .then(() => {
           consolePrint('[Image loaded successfully]')
         })
@@ -1329,7 +1378,7 @@ function cmdSet(args) {
                            imagePath.endsWith('.gif') ? 'image/gif' : 'image/png'
             const blob = new Blob([content], { type: mimeType })
             const blobUrl = URL.createObjectURL(blob)
-            return display.loadImage(blobUrl)
+            return machine.display.loadImage(blobUrl)
           } else {
             throw new Error('File is not a binary image')
           }
@@ -1352,8 +1401,8 @@ function cmdSet(args) {
     // Set register value
     try {
       const value = parseValue(valueStr)
-      cpu.registers[targetUpper] = value & 0xFFFF  // Clamp to 16 bits
-      consolePrint(`[Set ${targetUpper} = 0x${cpu.registers[targetUpper].toString(16).padStart(4, '0').toUpperCase()}]`)
+      machine.cpu.registers[targetUpper] = value & 0xFFFF  // Clamp to 16 bits
+      consolePrint(`[Set ${targetUpper} = 0x${machine.cpu.registers[targetUpper].toString(16).padStart(4, '0').toUpperCase()}]`)
       updateUI()
     } catch (err) {
       consolePrint(`set: ${err.message}`)
@@ -1371,14 +1420,14 @@ function cmdSet(args) {
       // Write string to memory
       const str = valueStr.slice(1, -1)  // Remove quotes
       for (let i = 0; i < str.length; i++) {
-        memory.writeByte(address + i, str.charCodeAt(i))
+        machine.memory.writeByte(address + i, str.charCodeAt(i))
       }
       consolePrint(`[Wrote "${str}" to address 0x${address.toString(16).padStart(4, '0').toUpperCase()}]`)
       updateUI(address)
     } else {
       // Write single byte to memory
       const value = parseValue(valueStr)
-      memory.writeByte(address, value & 0xFF)  // Clamp to 8 bits
+      machine.memory.writeByte(address, value & 0xFF)  // Clamp to 8 bits
       consolePrint(`[Set memory[0x${address.toString(16).padStart(4, '0').toUpperCase()}] = 0x${(value & 0xFF).toString(16).padStart(2, '0').toUpperCase()}]`)
       updateUI(address)
     }
@@ -1436,7 +1485,7 @@ async function handleTabCompletion() {
     // List of available commands
     const commands = [
       'pwd', 'cd', 'ls', 'mkdir', 'rm', 'cat', 'open',
-      'compile', 'asm', 'load', 'set', 'help', 'clear', 'reset', 'debug'
+      'compile', 'asm', 'load', 'set', 'help', 'clear', 'reset', 'debug', 'stdin', 'save', 'restore', 'watch', 'break', 'trace', 'strace', 'profile', 'coverage', 'bt', 'next', 'finish', 'rstep', 'rc'
     ]
 
     // Get executables from /bin
@@ -1456,7 +1505,7 @@ async function handleTabCompletion() {
       'AND', 'OR', 'XOR', 'NOT', 'SHL', 'SHR',
       'CMP', 'JMP', 'JE', 'JNE', 'JL', 'JG', 'JLE', 'JGE',
       'PUSH', 'POP', 'CALL', 'RET', 'NOP', 'HLT',
-      'SYSCALL', 'LEA'
+      'SYSCALL', 'LEA', 'EI', 'DI', 'IRET'
     ]
 
     // Find matches from commands first
@@ -1610,6 +1659,46 @@ function cmdHelp(args) {
   consolePrint('  <name> [args]        - Run executable from /bin (e.g., hello, echo)')
   consolePrint('  set <reg|addr> <val> - Set register or memory value')
   consolePrint('  set screen <url>     - Load image from URL to display')
+  consolePrint('  stdin <text>         - Queue a line of program input')
+  consolePrint('  stdin -f <file>      - Queue a file as program input')
+  consolePrint('  stdin -c             - Discard queued program input')
+  consolePrint('  save <file>          - Save a snapshot of the whole machine')
+  consolePrint('  restore <file>       - Restore a machine snapshot')
+  consolePrint('')
+  consolePrint('Debugging Commands:')
+  consolePrint('  break                - List breakpoints')
+  consolePrint('  break <line|label> [if <cond>] [hits <n>] [log <msg>]')
+  consolePrint('                       - Set a (conditional) breakpoint or logpoint')
+  consolePrint('  break -d <line>      - Delete a breakpoint')
+  consolePrint('  break -c             - Delete all breakpoints')
+  consolePrint('  bt [panel]           - Show the call stack (panel: keep it open in the debug panel)')
+  consolePrint('  next                 - Step Over: run a CALL until it returns')
+  consolePrint('  finish               - Step Out: run until the current function returns')
+  consolePrint('  rstep [n]            - Step back n instructions (default 1)')
+  consolePrint('  rc                   - Reverse Continue: run backwards to the previous')
+  consolePrint('                         breakpoint or write to a watched address')
+  consolePrint('  trace on|off         - Record every executed instruction')
+  consolePrint('  trace save <file>    - Export the trace (.json for JSON, else text)')
+  consolePrint('  trace clear|show     - Discard the trace / show the trace panel')
+  consolePrint('  strace on|off        - Log every syscall with its arguments and result')
+  consolePrint('  strace save <file>   - Export the syscall log as text')
+  consolePrint('  strace clear|show    - Discard the log / show the syscall panel')
+  consolePrint('  profile on|off|clear - Count how often each instruction runs')
+  consolePrint('  profile report [lines|functions|opcodes] [count|source] [n]')
+  consolePrint('                       - Show the hottest lines, functions or opcodes')
+  consolePrint('  profile heat [off]   - Show execution counts in the editor gutter')
+  consolePrint('  coverage on|off      - Record which lines run (adds up over runs)')
+  consolePrint('  coverage             - Show line and branch coverage')
+  consolePrint('  coverage save <file> - Export coverage in LCOV format')
+  consolePrint('  coverage clear|hide  - Discard coverage / remove the highlighting')
+  consolePrint('  smc on|off           - Warn when the program writes over its own code')
+  consolePrint('  turbo on|off         - Compile code to JavaScript at max speed (no stepping back)')
+  consolePrint('  worker on|off        - Run programs in a Web Worker (no stepping back)')
+  consolePrint('  history on|off       - Record whole runs for stepping back (half speed)')
+  consolePrint('  watch                - List watchpoints')
+  consolePrint('  watch <addr> [kind] [=val] - Break on read/write/access/change')
+  consolePrint('  watch -d <id>        - Delete a watchpoint')
+  consolePrint('  watch -c             - Delete all watchpoints')
   consolePrint('')
   consolePrint('System Commands:')
   consolePrint('  clear            - Clear console')
@@ -1618,7 +1707,7 @@ function cmdHelp(args) {
   consolePrint('  help             - Show this help')
   consolePrint('')
   consolePrint('Syscalls (use name or number):')
-  consolePrint('  SYSCALL EXIT / SYSCALL 0')
+  consolePrint('  SYSCALL EXIT / SYSCALL 0  (AX=status)')
   consolePrint('  SYSCALL PRINT_CHAR / SYSCALL 1  (AX=char)')
   consolePrint('  SYSCALL PRINT_STRING / SYSCALL 2  (AX=addr)')
   consolePrint('  SYSCALL PRINT_INT / SYSCALL 3  (AX=int)')
@@ -1640,10 +1729,9 @@ function cmdClear(args) {
 
 // Reset emulator (CPU and memory)
 function cmdReset(args) {
-  cpu.reset()
-  memory = new Memory(memory.size, display)
-  cpu.memory = memory
-  display.clear()
+  cancelWorkerRun()
+  machine.reset()
+  resetDebugState()
   updateUI()
   consolePrint('[Emulator reset - memory cleared]')
 }
@@ -1654,90 +1742,629 @@ function cmdDebug(args) {
   consolePrint(`[Debug mode: ${debugMode ? 'ON' : 'OFF'}]`)
 }
 
-// ============================================================================
-// UI Update
-// ============================================================================
-// Backward Stepping Support
-// ============================================================================
+// Queue input for the program's read syscalls
+async function cmdStdin(args) {
+  if (args.length === 0) {
+    consolePrint(`[stdin: ${machine.os.stdin.length} characters queued]`)
+    return
+  }
+
+  if (args[0] === '-c') {
+    machine.os.clearInput()
+    if (cpuWorker && cpuWorker.busy) cpuWorker.clearInput()
+    consolePrint('[stdin cleared]')
+    return
+  }
+
+  if (args[0] === '-f') {
+    if (args.length < 2) {
+      consolePrint('Usage: stdin -f <file>')
+      return
+    }
+    try {
+      const content = await fs.readFile(args.slice(1).join(' '))
+      provideProgramInput(content.endsWith('\n') ? content : content + '\n')
+    } catch (err) {
+      consolePrint(`stdin: ${err.message}`)
+      return
+    }
+  } else {
+    provideProgramInput(args.join(' ') + '\n')
+  }
+}
+
+// Resolve a console address: a symbol from the loaded program or a number
+function resolveAddress(text) {
+  if (machine.debugInfo && machine.debugInfo.symbols && text in machine.debugInfo.symbols) {
+    return machine.debugInfo.symbols[text]
+  }
+  const address = parseAddress(text)
+  if (isNaN(address) || address < 0 || address > 0xFFFF) {
+    throw new Error(`Invalid address: ${text}`)
+  }
+  return address
+}
+
+function describeWatchpoint(watchpoint) {
+  let text = `${watchpoint.id}: ${watchpoint.kind} ${hex(watchpoint.start)}`
+  if (watchpoint.end !== watchpoint.start) text += `..${hex(watchpoint.end)}`
+  if (watchpoint.value !== null) text += ` = ${watchpoint.value}`
+  return text
+}
+
+// Manage data watchpoints
+function cmdWatch(args) {
+  const watchpoints = machine.cpu.watchpoints
+
+  if (args.length === 0) {
+    if (watchpoints.list.length === 0) {
+      consolePrint('[No watchpoints]')
+    }
+    watchpoints.list.forEach(watchpoint => consolePrint(describeWatchpoint(watchpoint)))
+    return
+  }
+
+  if (args[0] === '-c') {
+    watchpoints.clear()
+    updateMemoryView()
+    consolePrint('[Watchpoints cleared]')
+    return
+  }
+
+  if (args[0] === '-d') {
+    const id = parseInt(args[1], 10)
+    if (!watchpoints.remove(id)) {
+      consolePrint(`watch: no watchpoint ${args[1] || ''}`)
+      return
+    }
+    updateMemoryView()
+    consolePrint(`[Watchpoint ${id} deleted]`)
+    return
+  }
+
+  // watch <addr>[..<end>|:<len>] [read|write|access|change] [=<value>]
+  let kind = 'write'
+  let value = null
+  const rest = args.slice(1).join(' ')
+  const valueMatch = rest.match(/=\s*(\S+)/)
+  if (valueMatch) {
+    value = parseValue(valueMatch[1])
+    if (isNaN(value)) {
+      consolePrint(`watch: invalid value: ${valueMatch[1]}`)
+      return
+    }
+  }
+  const kindMatch = rest.replace(/=\s*\S+/, '').trim()
+  if (kindMatch) kind = kindMatch.toLowerCase()
+
+  try {
+    let start, end
+    const range = args[0].match(/^(.+?)(?:\.\.(.+)|:(.+))?$/)
+    start = resolveAddress(range[1])
+    if (range[2] !== undefined) {
+      end = resolveAddress(range[2])
+    } else if (range[3] !== undefined) {
+      end = start + parseValue(range[3]) - 1
+    } else {
+      end = start
+    }
+    if (isNaN(end)) throw new Error(`Invalid range: ${args[0]}`)
+
+    const watchpoint = watchpoints.add(start, end, kind, value)
+    updateMemoryView()
+    consolePrint(`[Watchpoint ${describeWatchpoint(watchpoint)}]`)
+  } catch (err) {
+    consolePrint(`watch: ${err.message}`)
+  }
+}
+
+// Manage source line breakpoints, conditions, hit counts and logpoints
+function cmdBreak(args) {
+  if (args.length === 0) {
+    const lines = getBreakpoints().sort((a, b) => a - b)
+    if (lines.length === 0) {
+      consolePrint('[No breakpoints]')
+    }
+    lines.forEach(line => {
+      const details = describeBreakpointOptions(getBreakpointOptions(line))
+      const hits = machine.hits.get(line)
+      consolePrint(`line ${line}${details ? ' ' + details : ''}${hits ? ` (hit ${hits}x)` : ''}`)
+    })
+    return
+  }
+
+  if (args[0] === '-c') {
+    clearAllBreakpoints()
+    consolePrint('[Breakpoints cleared]')
+    return
+  }
+
+  if (args[0] === '-d') {
+    const line = parseInt(args[1], 10)
+    if (!getBreakpointOptions(line)) {
+      consolePrint(`break: no breakpoint on line ${args[1] || ''}`)
+      return
+    }
+    setBreakpointOptions(line, null)
+    consolePrint(`[Breakpoint on line ${line} deleted]`)
+    return
+  }
+
+  try {
+    let line = parseInt(args[0], 10)
+    if (isNaN(line)) {
+      // A code label: break on the line of the instruction it labels
+      const address = machine.debugInfo && machine.debugInfo.symbols ? machine.debugInfo.symbols[args[0]] : undefined
+      const entry = address !== undefined ? machine.debugInfo.lineMap.find(e => e.pc === address) : null
+      if (!entry) throw new Error(`Unknown line or code label: ${args[0]}`)
+      line = entry.line
+    }
+
+    const options = parseBreakpointSpec(args.slice(1).join(' '))
+    setBreakpointOptions(line, options)
+    const details = describeBreakpointOptions(options)
+    consolePrint(`[${options.logMessage ? 'Logpoint' : 'Breakpoint'} on line ${line}${details ? ': ' + details : ''}]`)
+  } catch (err) {
+    consolePrint(`break: ${err.message}`)
+  }
+}
+
+// Record an instruction-level execution trace
+async function cmdTrace(args) {
+  const action = args.length > 0 ? args[0].toLowerCase() : ''
+
+  if (action === 'on') {
+    if (!traceRecorder) {
+      traceRecorder = new TraceRecorder({ disassemble: disassembleInstruction })
+    }
+    machine.cpu.trace = traceRecorder
+    showDebugView('trace')
+    consolePrint('[Tracing on]')
+  } else if (action === 'off') {
+    machine.cpu.trace = null
+    updateDebugView()
+    consolePrint(`[Tracing off - ${traceRecorder ? traceRecorder.entries.length : 0} instructions recorded]`)
+  } else if (action === 'clear') {
+    if (traceRecorder) traceRecorder.clear()
+    updateDebugView()
+    consolePrint('[Trace cleared]')
+  } else if (action === 'show') {
+    showDebugView('trace')
+  } else if (action === 'save') {
+    if (args.length < 2) {
+      consolePrint('Usage: trace save <file>  (.json for JSON, anything else for text)')
+      return
+    }
+    if (!traceRecorder || traceRecorder.entries.length === 0) {
+      consolePrint('trace: nothing recorded')
+      return
+    }
+    const filename = args.slice(1).join(' ')
+    const content = filename.toLowerCase().endsWith('.json')
+      ? JSON.stringify(traceRecorder.toJSON(), null, 1)
+      : traceRecorder.toText()
+    try {
+      await fs.writeFile(filename, content)
+      consolePrint(`[Trace of ${traceRecorder.entries.length} instructions saved to ${filename}]`)
+    } catch (err) {
+      consolePrint(`trace: ${err.message}`)
+    }
+  } else if (action === '') {
+    const recorded = traceRecorder ? traceRecorder.entries.length : 0
+    consolePrint(`[Tracing ${machine.cpu.trace ? 'on' : 'off'} - ${recorded} instructions recorded]`)
+  } else {
+    consolePrint('Usage: trace on|off|clear|show|save <file>')
+  }
+}
+
+// Step Over (the "over" button)
+function cmdNext(args) {
+  if (isRunning()) {
+    consolePrint('next: program is running')
+    return
+  }
+  handleStepOver()
+}
 
-function beginDelta() {
-  if (!trackingEnabled) return
-  currentDelta = {
-    registers: new Map(),
-    flags: new Map(),
-    memory: new Map(),
-    pc: cpu.registers.PC
+// Step Out (the "out" button)
+function cmdFinish(args) {
+  if (isRunning()) {
+    consolePrint('finish: program is running')
+    return
   }
+  handleStepOut()
 }
 
-function trackRegisterChange(regName, oldValue) {
-  if (!trackingEnabled || !currentDelta) return
-  if (!currentDelta.registers.has(regName)) {
-    currentDelta.registers.set(regName, oldValue)
+// Step back through the journal (the "back" button, n times)
+function cmdReverseStep(args) {
+  if (isRunning()) {
+    consolePrint('rstep: program is running')
+    return
   }
+  const count = args.length > 0 ? parseInt(args[0], 10) : 1
+  if (!Number.isInteger(count) || count < 1) {
+    consolePrint('Usage: rstep [n]')
+    return
+  }
+  cancelSeek()
+  seekInChunks(undone => undone < count && machine.cpu.stepBack(), undone => {
+    if (undone === SEEK_LIMIT && undone < count) {
+      consolePrint(`[Stepped back ${undone.toLocaleString()} instructions - the most one rstep takes]`)
+    } else if (undone < count) {
+      consolePrint(`[Stepped back ${undone} instructions - start of the recorded history]`)
+    }
+    clearFaultLine()
+    updateUI()
+    updateEditorExecutionLine()
+  })
 }
 
-function trackMemoryChange(addr, oldValue) {
-  if (!trackingEnabled || !currentDelta) return
-  if (!currentDelta.memory.has(addr)) {
-    currentDelta.memory.set(addr, oldValue)
+// Reverse Continue (the "rev" button)
+function cmdReverseContinue(args) {
+  if (isRunning()) {
+    consolePrint('rc: program is running')
+    return
   }
+  if (!machine.cpu.journal || machine.cpu.journal.length === 0) {
+    consolePrint('rc: no recorded history')
+    return
+  }
+  handleReverseContinue()
 }
 
-function trackFlagChange(flagName, oldValue) {
-  if (!trackingEnabled || !currentDelta) return
-  if (!currentDelta.flags.has(flagName)) {
-    currentDelta.flags.set(flagName, oldValue)
+// Print the call stack, innermost frame first
+function cmdBacktrace(args) {
+  if (args.length > 0 && args[0].toLowerCase() === 'panel') {
+    showDebugView('stack')
+    return
   }
+  formatCallStack(buildCallStack(machine.cpu, machine.debugInfo)).forEach(line => consolePrint(line))
 }
 
-function commitDelta() {
-  if (!trackingEnabled || !currentDelta) return
+// Log syscalls strace-style
+async function cmdStrace(args) {
+  const action = args.length > 0 ? args[0].toLowerCase() : ''
 
-  // Limit history size
-  if (stateHistory.length >= MAX_HISTORY) {
-    stateHistory.shift()  // Remove oldest
+  if (action === 'on') {
+    if (!syscallTracer) {
+      syscallTracer = new SyscallTracer()
+    }
+    machine.os.strace = syscallTracer
+    showDebugView('strace')
+    consolePrint('[Syscall tracing on]')
+  } else if (action === 'off') {
+    machine.os.strace = null
+    updateDebugView()
+    consolePrint(`[Syscall tracing off - ${syscallTracer ? syscallTracer.entries.length : 0} syscalls recorded]`)
+  } else if (action === 'clear') {
+    if (syscallTracer) syscallTracer.clear()
+    updateDebugView()
+    consolePrint('[Syscall log cleared]')
+  } else if (action === 'show') {
+    showDebugView('strace')
+  } else if (action === 'save') {
+    if (args.length < 2) {
+      consolePrint('Usage: strace save <file>')
+      return
+    }
+    if (!syscallTracer || syscallTracer.entries.length === 0) {
+      consolePrint('strace: nothing recorded')
+      return
+    }
+    const filename = args.slice(1).join(' ')
+    try {
+      await fs.writeFile(filename, syscallTracer.toText())
+      consolePrint(`[Log of ${syscallTracer.entries.length} syscalls saved to ${filename}]`)
+    } catch (err) {
+      consolePrint(`strace: ${err.message}`)
+    }
+  } else if (action === '') {
+    const recorded = syscallTracer ? syscallTracer.entries.length : 0
+    consolePrint(`[Syscall tracing ${machine.os.strace ? 'on' : 'off'} - ${recorded} syscalls recorded]`)
+  } else {
+    consolePrint('Usage: strace on|off|clear|show|save <file>')
   }
+}
 
-  stateHistory.push(currentDelta)
-  currentDelta = null
+// Warn about self-modifying code: writes below the code boundary (CB)
+function cmdSmc(args) {
+  const action = args.length > 0 ? args[0].toLowerCase() : ''
+
+  if (action === 'on') {
+    machine.cpu.onCodeWrite = warnCodeWrite
+    consolePrint('[Self-modifying code warnings on]')
+  } else if (action === 'off') {
+    machine.cpu.onCodeWrite = null
+    consolePrint('[Self-modifying code warnings off]')
+  } else if (action === '') {
+    consolePrint(`[Self-modifying code warnings ${machine.cpu.onCodeWrite ? 'on' : 'off'}]`)
+  } else {
+    consolePrint('Usage: smc on|off')
+  }
 }
 
-function stepBackward() {
-  if (stateHistory.length === 0) return false
+// Called by the CPU while the instruction at PC writes to the code segment
+function warnCodeWrite(address) {
+  if (codeWritesWarned.has(address)) return
+  codeWritesWarned.add(address)
+  const pc = machine.cpu.registers.PC
+  const entry = machine.debugInfo && machine.debugInfo.lineMap ? machine.debugInfo.lineMap.find(e => e.pc === pc) : null
+  const where = entry ? ` (line ${entry.line})` : ''
+  consolePrint(`[Warning: PC=0x${pc.toString(16).toUpperCase().padStart(4, '0')}${where} wrote to code at 0x${address.toString(16).toUpperCase().padStart(4, '0')}]`)
+}
 
-  const delta = stateHistory.pop()
+// Compile basic blocks to JavaScript when running at max speed
+function cmdTurbo(args) {
+  const cpu = machine.cpu
+  const action = args.length > 0 ? args[0].toLowerCase() : ''
 
-  // Restore registers
-  for (const [reg, oldValue] of delta.registers) {
-    cpu.registers[reg] = oldValue
+  if (action === 'on') {
+    // Blocks do not journal their instructions, so stepping back goes
+    if (!cpu.turbo) {
+      cpu.turbo = new Turbo()
+      cpu.journal = null
+    }
+    consolePrint('[Turbo mode on - stepping back is off]')
+  } else if (action === 'off') {
+    if (cpu.turbo) {
+      cpu.turbo = null
+      if (!cpuWorker) cpu.journal = new Journal()
+    }
+    consolePrint('[Turbo mode off]')
+  } else if (action === '') {
+    consolePrint(`[Turbo mode ${cpu.turbo ? 'on' : 'off'}]`)
+  } else {
+    consolePrint('Usage: turbo on|off')
   }
+  updateButtonStates()
+}
+
+// Run programs in a Web Worker so the page stays responsive while they run
+function cmdWorker(args) {
+  const action = args.length > 0 ? args[0].toLowerCase() : ''
 
-  // Restore flags
-  for (const [flag, oldValue] of delta.flags) {
-    cpu.flags[flag] = oldValue
+  if (action === 'on') {
+    // The worker runs without the journal, so stepping back goes
+    if (!cpuWorker) {
+      cpuWorker = createCPUWorker()
+      machine.cpu.journal = null
+    }
+    consolePrint('[Worker mode on - stepping back is off]')
+  } else if (action === 'off') {
+    if (cpuWorker && cpuWorker.busy) {
+      consolePrint('[Pause the program before turning worker mode off]')
+      return
+    }
+    if (cpuWorker) {
+      cpuWorker.terminate()
+      cpuWorker = null
+      if (!machine.cpu.turbo) machine.cpu.journal = new Journal()
+    }
+    consolePrint('[Worker mode off]')
+  } else if (action === '') {
+    consolePrint(`[Worker mode ${cpuWorker ? 'on' : 'off'}]`)
+  } else {
+    consolePrint('Usage: worker on|off')
   }
+  updateButtonStates()
+}
 
-  // Restore memory
-  for (const [addr, oldValue] of delta.memory) {
-    memory.writeByte(addr, oldValue)
+// Journal runs as well as steps, so a run can be stepped back through
+function cmdHistory(args) {
+  const action = args.length > 0 ? args[0].toLowerCase() : ''
+
+  if (action === 'on') {
+    recordRuns = true
+    consolePrint('[Run history on - runs can be stepped back through, at about half speed]')
+  } else if (action === 'off') {
+    recordRuns = false
+    consolePrint('[Run history off - only steps, Step Over and Step Out are recorded]')
+  } else if (action === '') {
+    consolePrint(`[Run history ${recordRuns ? 'on' : 'off'}]`)
+  } else {
+    consolePrint('Usage: history on|off')
   }
+}
 
-  // Restore PC
-  cpu.registers.PC = delta.pc
+// Profile where a program spends its time
+function cmdProfile(args) {
+  const action = args.length > 0 ? args[0].toLowerCase() : ''
 
-  updateUI()
-  updateEditorExecutionLine()
+  if (action === 'on') {
+    if (!profiler) {
+      profiler = new Profiler()
+    }
+    machine.cpu.profiler = profiler
+    consolePrint('[Profiling on]')
+  } else if (action === 'off') {
+    machine.cpu.profiler = null
+    consolePrint(`[Profiling off - ${profiler ? profiler.total : 0} instructions counted]`)
+  } else if (action === 'clear') {
+    if (profiler) profiler.clear()
+    updateHeatMap()
+    consolePrint('[Profile cleared]')
+  } else if (action === 'heat') {
+    heatMapShown = !(args.length > 1 && args[1].toLowerCase() === 'off')
+    updateHeatMap()
+    if (heatMapShown && (!profiler || profiler.total === 0)) {
+      consolePrint('[Heat map on - nothing profiled yet, type "profile on" and run]')
+    }
+  } else if (action === 'report') {
+    if (!profiler || profiler.total === 0) {
+      consolePrint('profile: nothing profiled')
+      return
+    }
+    let view = 'lines'
+    let sort = 'count'
+    let limit = 20
+    for (const arg of args.slice(1)) {
+      const word = arg.toLowerCase()
+      if (PROFILE_VIEWS.includes(word)) view = word
+      else if (word === 'count' || word === 'source') sort = word
+      else if (/^\d+$/.test(word)) limit = parseInt(word, 10)
+      else {
+        consolePrint('Usage: profile report [lines|functions|opcodes] [count|source] [n]')
+        return
+      }
+    }
+    if (view === 'lines' && !(machine.debugInfo && machine.debugInfo.lineMap)) {
+      consolePrint('profile: no debug info - showing functions')
+      view = 'functions'
+    }
+    const report = profiler.report(view, {
+      lineMap: machine.debugInfo ? machine.debugInfo.lineMap : [],
+      symbols: machine.debugInfo ? machine.debugInfo.symbols : {},
+      sort,
+      limit
+    })
+    report.split('\n').forEach(line => consolePrint(line))
+  } else if (action === '') {
+    const counted = profiler ? profiler.total : 0
+    consolePrint(`[Profiling ${machine.cpu.profiler ? 'on' : 'off'} - ${counted} instructions counted]`)
+  } else {
+    consolePrint('Usage: profile on|off|clear|heat [off]|report [lines|functions|opcodes] [count|source] [n]')
+  }
+}
 
-  return true
+// Record which source lines run, for checking that tests reach every path
+async function cmdCoverage(args) {
+  const action = args.length > 0 ? args[0].toLowerCase() : ''
+
+  if (action === 'on') {
+    if (!coverage) {
+      coverage = new Coverage()
+    }
+    machine.cpu.coverage = coverage
+    coverageShown = true
+    updateCoverageView()
+    consolePrint('[Coverage on - run the program, with each test input, then type "coverage"]')
+  } else if (action === 'off') {
+    machine.cpu.coverage = null
+    consolePrint('[Coverage off]')
+  } else if (action === 'clear') {
+    if (coverage) coverage.clear()
+    updateCoverageView()
+    consolePrint('[Coverage cleared]')
+  } else if (action === 'show' || action === 'hide') {
+    coverageShown = action === 'show'
+    updateCoverageView()
+  } else if (action === 'save') {
+    if (args.length < 2) {
+      consolePrint('Usage: coverage save <file>')
+      return
+    }
+    if (!coverage || !machine.debugInfo || !machine.debugInfo.lineMap) {
+      consolePrint('coverage: nothing recorded')
+      return
+    }
+    const filename = args.slice(1).join(' ')
+    try {
+      await fs.writeFile(filename, coverage.toLCOV(machine.debugInfo.lineMap, machine.debugInfo.sourceFilename || 'program.asm'))
+      consolePrint(`[Coverage saved to ${filename}]`)
+    } catch (err) {
+      consolePrint(`coverage: ${err.message}`)
+    }
+  } else if (action === '') {
+    if (!coverage || !machine.debugInfo || !machine.debugInfo.lineMap) {
+      consolePrint(`[Coverage ${machine.cpu.coverage ? 'on' : 'off'} - nothing recorded]`)
+      return
+    }
+    const summary = coverage.summary(machine.debugInfo.lineMap)
+    consolePrint(`[Coverage ${machine.cpu.coverage ? 'on' : 'off'}] ${coverage.summaryText(machine.debugInfo.lineMap)}`)
+    if (summary.uncovered.length > 0) {
+      consolePrint(`Uncovered lines: ${summary.uncovered.join(', ')}`)
+    }
+  } else {
+    consolePrint('Usage: coverage on|off|clear|show|hide|save <file>')
+  }
+}
+
+// Whether the editor has the loaded program's source open, so line
+// decorations land on the right lines
+async function editorShowsProgram() {
+  if (!machine.debugInfo || !machine.debugInfo.lineMap) return false
+  if (!machine.debugInfo.sourceFilename) return true
+  const currentFile = await fs.getCurrentFile()
+  const currentFilename = currentFile ? currentFile.split('/').pop() : null
+  return currentFilename === machine.debugInfo.sourceFilename
 }
 
-function canStepBackward() {
-  return stateHistory.length > 0
+// Show (or remove) the coverage highlighting in the editor
+async function updateCoverageView() {
+  const show = coverageShown && coverage && await editorShowsProgram()
+  setCoverage(show ? coverage.lines(machine.debugInfo.lineMap) : null)
 }
 
-function clearHistory() {
-  stateHistory = []
+// Show (or remove) the profiler's per-line counts in the editor gutter
+async function updateHeatMap() {
+  const show = heatMapShown && profiler && await editorShowsProgram()
+  setHeatMap(show ? profiler.byLine(machine.debugInfo.lineMap) : null)
+}
+
+// Toggle a write watchpoint on a memory view cell (right-click)
+function handleMemoryCellWatch(e) {
+  const cell = e.target.closest('.mem-cell[data-addr]')
+  if (!cell) return
+  e.preventDefault()
+
+  const address = parseInt(cell.getAttribute('data-addr'), 10)
+  const size = parseInt(cell.getAttribute('colspan') || '1', 10)
+  const existing = machine.cpu.watchpoints.find(address, size)
+
+  if (existing) {
+    machine.cpu.watchpoints.remove(existing.id)
+    consolePrint(`[Watchpoint ${existing.id} deleted]`)
+  } else {
+    const watchpoint = machine.cpu.watchpoints.add(address, address + size - 1, 'write')
+    consolePrint(`[Watchpoint ${describeWatchpoint(watchpoint)}]`)
+  }
+  updateMemoryView()
+}
+
+// Save the complete machine state to a snapshot file
+async function cmdSave(args) {
+  if (args.length === 0) {
+    consolePrint('Usage: save <file>')
+    consolePrint('Example: save /data/start.snap')
+    return
+  }
+
+  const filename = args.join(' ')
+  const snapshot = createSnapshot(machine)
+
+  try {
+    await fs.writeFile(filename, snapshot)
+    consolePrint(`[Snapshot saved to ${filename}]`)
+  } catch (err) {
+    consolePrint(`save: ${err.message}`)
+  }
+}
+
+// Restore the machine state from a snapshot file
+async function cmdRestore(args) {
+  if (args.length === 0) {
+    consolePrint('Usage: restore <file>')
+    return
+  }
+
+  const filename = args.join(' ')
+  try {
+    const content = await fs.readFile(filename)
+    cancelWorkerRun()
+    machine.pause()
+
+    const restored = restoreSnapshot(content, machine)
+    resetDebugState()
+    machine.debugInfo = restored.debugInfo
+    showMemorySize()
+    updateBreakpoints()
+
+    updateUI()
+    updateEditorExecutionLine()
+    consolePrint(`[Snapshot restored from ${filename}]`)
+  } catch (err) {
+    consolePrint(`restore: ${err.message}`)
+  }
 }
 
 // ============================================================================
@@ -1748,144 +2375,289 @@ function updateUI(scrollToAddr = null) {
   updateRegisters()
   updateMemoryView(scrollToAddr)
   updateButtonStates()
+  updateDebugView()
+  if (heatMapShown) updateHeatMap()
+  if (coverageShown) updateCoverageView()
+}
+
+// ============================================================================
+// Debug Panel
+// ============================================================================
+
+const TRACE_VIEW_LINES = 1000  // Most recent trace entries shown in the panel
+const STRACE_VIEW_LINES = 1000  // Most recent syscalls shown in the panel
+
+// Name of the visible debugging view, or null when the panel is closed
+function activeDebugView() {
+  const panel = document.getElementById('debug-panel')
+  if (panel.style.display === 'none') return null
+  const active = panel.querySelector('.debug-view.active')
+  return active ? active.dataset.view : null
+}
+
+function showDebugView(view) {
+  const panel = document.getElementById('debug-panel')
+  panel.style.display = ''
+  panel.querySelectorAll('.debug-tab').forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.view === view)
+  })
+  panel.querySelectorAll('.debug-view').forEach(el => {
+    el.classList.toggle('active', el.dataset.view === view)
+  })
+  updateDebugView()
+}
+
+function hideDebugPanel() {
+  document.getElementById('debug-panel').style.display = 'none'
+}
+
+function updateDebugView() {
+  const view = activeDebugView()
+  if (view === 'trace') updateTraceView()
+  else if (view === 'strace') updateStraceView()
+  else if (view === 'stack') updateStackView()
+}
+
+function updateTraceView() {
+  const traceView = document.getElementById('trace-view')
+  if (!traceRecorder || traceRecorder.entries.length === 0) {
+    traceView.textContent = machine.cpu.trace ? '[Tracing - no instructions yet]' : '[No trace - type "trace on" to record one]'
+    return
+  }
+
+  const entries = traceRecorder.entries
+  const start = Math.max(0, entries.length - TRACE_VIEW_LINES)
+  const lines = []
+  if (start > 0) {
+    lines.push(`[${start} earlier entries - use "trace save <file>" to see them all]`)
+  }
+  for (let i = start; i < entries.length; i++) {
+    lines.push(TraceRecorder.formatEntry(entries[i]))
+  }
+  if (traceRecorder.dropped > 0) {
+    lines.push(`[Trace limit reached - ${traceRecorder.dropped} instructions not recorded]`)
+  }
+  traceView.textContent = lines.join('\n')
+  traceView.scrollTop = traceView.scrollHeight
+}
+
+function updateStackView() {
+  document.getElementById('stack-view').textContent = formatCallStack(buildCallStack(machine.cpu, machine.debugInfo)).join('\n')
+}
+
+function updateStraceView() {
+  const straceView = document.getElementById('strace-view')
+  if (!syscallTracer || syscallTracer.entries.length === 0) {
+    straceView.textContent = machine.os.strace ? '[Tracing syscalls - none yet]' : '[No syscall log - type "strace on" to record one]'
+    return
+  }
+
+  const entries = syscallTracer.entries
+  const start = Math.max(0, entries.length - STRACE_VIEW_LINES)
+  const lines = []
+  if (start > 0) {
+    lines.push(`[${start} earlier syscalls - use "strace save <file>" to see them all]`)
+  }
+  for (let i = start; i < entries.length; i++) {
+    lines.push(SyscallTracer.formatEntry(entries[i]))
+  }
+  if (syscallTracer.dropped > 0) {
+    lines.push(`[Log limit reached - ${syscallTracer.dropped} syscalls not recorded]`)
+  }
+  straceView.textContent = lines.join('\n')
+  straceView.scrollTop = straceView.scrollHeight
 }
 
 function updateButtonStates() {
-  // Back button: enabled only if there's undo history
-  document.getElementById('btn-step-back').disabled = undoHistory.length === 0
+  const cpu = machine.cpu
+  const running = isRunning()
+  // Back buttons: enabled when there are journaled instructions to undo
+  const history = cpu.journal ? cpu.journal.length : 0
+  document.getElementById('btn-step-back').disabled = running || history === 0
+  document.getElementById('btn-reverse-continue').disabled = running || history === 0
+  updateTimeline()
 
   // Quit button: enabled only if program is running or paused (not halted)
   document.getElementById('btn-quit').disabled = cpu.halted
 
-  // Step button: enabled when program is loaded (not halted) and not running
+  // Step buttons: enabled when program is loaded (not halted) and not running
   document.getElementById('btn-step').disabled = cpu.halted || running
+  document.getElementById('btn-step-over').disabled = cpu.halted || running
+  document.getElementById('btn-step-out').disabled = cpu.halted || running
 }
 
 // ============================================================================
-// Execution Loop
+// Execution
 // ============================================================================
 
-let animationFrameId = null
-let timeoutId = null
-let intervalId = null
 let lastUIUpdate = 0
 const UI_UPDATE_INTERVAL = 100  // ms (10 updates/sec for debugging UI)
 let executionStartTime = 0
-let executionInstructionCount = 0
+let executionStartCount = 0  // Instruction count when the run started
 
-function executionLoop() {
-  if (!running) {
-    animationFrameId = null
-    timeoutId = null
+// True while a run has the machine, here or in the worker
+function isRunning() {
+  return machine.running || (cpuWorker !== null && cpuWorker.busy)
+}
+
+// The machine ran a slice: at low speeds show every instruction; above that,
+// throttle UI updates to reduce DOM manipulation overhead, and at high speeds
+// only update registers (not memory) to maintain performance
+function showFrame() {
+  const speed = machine.speed
+  if (speed > 0 && speed <= 100) {
+    updateUI()
+    updateEditorExecutionLine()
     return
   }
 
-  // At max speed or high speeds, use more instructions per iteration
-  const stepsPerFrame = speed === 0 ? 100000 : Math.max(1, Math.floor(speed / 60))
+  const now = performance.now()
+  if (now - lastUIUpdate <= UI_UPDATE_INTERVAL) return
+  if (speed === 0 || speed > 10000) {
+    updateRegisters()
+    updateButtonStates()
+  } else {
+    updateUI()
+  }
+  lastUIUpdate = now
+}
 
-  // Run multiple batches before yielding to minimize setTimeout overhead
-  const batchesBeforeYield = (speed === 0 || speed > 100000) ? 10 : 1
+// A run ended, here or in the worker
+function handleStop(reason) {
+  document.getElementById('btn-run').textContent = 'run'
+  if (setAside) {
+    if (!machine.cpu.turbo && !cpuWorker) machine.cpu.journal = setAside
+    setAside = null
+  }
+  if (reason === 'halt' || reason === 'fault') {
+    stopAtHalt()
+    return
+  }
 
-  for (let batch = 0; batch < batchesBeforeYield; batch++) {
-    for (let i = 0; i < stepsPerFrame; i++) {
-      if (!cpu.step()) {
-        running = false
-        if (debugMode) {
-          const elapsed = (performance.now() - executionStartTime) / 1000
-          const ips = Math.floor(executionInstructionCount / elapsed)
-          consolePrint(`[CPU halted after ${executionInstructionCount.toLocaleString()} instructions in ${elapsed.toFixed(2)}s (${ips.toLocaleString()} inst/sec)]`)
-        }
-        document.getElementById('btn-run').textContent = 'run'
-        clearExecutionLine()
-        updateUI()  // Update immediately on halt
-        break
-      }
+  if (reason === 'watchpoint') checkWatchpoint()
+  updateUI()
+  if (reason !== 'pause') updateEditorExecutionLine()
+  if (debugMode && reason === 'breakpoint') consolePrint('[Breakpoint hit]')
+}
 
-      executionInstructionCount++
+// The CPU has halted or faulted: say so
+function stopAtHalt() {
+  clearExecutionLine()
+  if (machine.cpu.fault) {
+    updateUI()
+    reportFault()
+    return
+  }
+  if (debugMode) {
+    const count = machine.cpu.instructionCount - executionStartCount
+    const elapsed = (performance.now() - executionStartTime) / 1000
+    const ips = Math.floor(count / elapsed)
+    consolePrint(`[CPU halted after ${count.toLocaleString()} instructions in ${elapsed.toFixed(2)}s (${ips.toLocaleString()} inst/sec)]`)
+  }
+  updateUI()  // Update immediately on halt
+}
 
-      // Check for breakpoint
-      if (checkBreakpoint()) {
-        running = false
-        document.getElementById('btn-run').textContent = 'run'
-        updateUI()
-        updateEditorExecutionLine()
-        if (debugMode) consolePrint('[Breakpoint hit]')
-        break
-      }
-    }
+// ============================================================================
+// CPU Worker
+// ============================================================================
 
-    // Break out of batch loop if halted or breakpoint hit
-    if (!running) break
+function createCPUWorker() {
+  const worker = new Worker(new URL('./cpu-worker.js', import.meta.url), { type: 'module' })
+  worker.onerror = (e) => {
+    consolePrint(`[CPU worker error: ${e.message}]`)
+    cancelWorkerRun()
+    updateUI()
   }
+  return new CPUClient(worker, {
+    onOutput: consolePrint,
+    onLog: consolePrint,
+    onInputWait: (kind) => {
+      // Typed lines go to the program until it gets them
+      machine.cpu.waiting = 'input'
+      setInputPrompt(kind)
+    },
+    onFrame: showWorkerFrame,
+    onStop: handleWorkerStop
+  })
+}
 
-  // Throttle UI updates to reduce DOM manipulation overhead
-  // At high speeds, only update registers (not memory) to maintain performance
-  const now = performance.now()
-  if (now - lastUIUpdate > UI_UPDATE_INTERVAL) {
-    if (speed === 0 || speed > 10000) {
-      // High speed: only update registers, skip expensive memory view
-      updateRegisters()
-      updateButtonStates()
-    } else {
-      // Normal speed: full UI update
-      updateUI()
-    }
-    lastUIUpdate = now
-  }
+// True when the worker can take the machine: nothing on this thread needs
+// to see each instruction as it runs
+function useWorker() {
+  const cpu = machine.cpu
+  return cpuWorker !== null && !machine.cpu.trace && !machine.cpu.profiler && !machine.cpu.coverage &&
+    !machine.os.strace && !machine.cpu.onCodeWrite && machine.cpu.watchpoints.list.length === 0
+}
 
-  if (running) {
-    // At high speeds, use setTimeout for immediate recursion (no 60fps cap)
-    // At low speeds, use requestAnimationFrame for smooth debugging
-    if (speed === 0 || speed > 10000) {
-      timeoutId = setTimeout(executionLoop, 0)
-    } else {
-      animationFrameId = requestAnimationFrame(executionLoop)
-    }
-  } else {
-    animationFrameId = null
-    timeoutId = null
-  }
+function runInWorker() {
+  cpuWorker.run(captureState(machine), {
+    files: fs.cache,
+    speed: machine.speed,
+    turbo: machine.cpu.turbo !== null,
+    breakpoints: breakpointList(),
+    hits: [...machine.hits],
+    symbols: machine.debugInfo ? machine.debugInfo.symbols : null,
+    stepTarget: machine.stepTarget
+  })
 }
 
-function executionLoopSlow() {
-  if (!running) {
-    if (intervalId) {
-      clearInterval(intervalId)
-      intervalId = null
-    }
-    return
+// Drop what the worker is doing - the machine here is about to be replaced
+function cancelWorkerRun() {
+  if (!cpuWorker || !cpuWorker.busy) return
+  cpuWorker.cancel()
+  document.getElementById('btn-run').textContent = 'run'
+}
+
+// Forget what the debugger gathered about the previous program or run, once
+// the machine is loaded, reset or restored
+function resetDebugState() {
+  cancelSeek()
+  setInputPrompt(null)
+  clearFaultLine()
+  machine.hits.clear()
+  codeWritesWarned.clear()
+  if (traceRecorder) traceRecorder.clear()
+  if (syscallTracer) syscallTracer.clear()
+  if (profiler) profiler.clear()
+  if (coverage) coverage.clear()
+  timelineEnd = 0
+}
+
+// Match the memory size dropdown to memory a program or snapshot resized
+function showMemorySize() {
+  const memorySelect = document.getElementById('memory-size-select')
+  if (memorySelect && memorySelect.value != machine.memory.size) {
+    memorySelect.value = machine.memory.size
   }
+}
 
-  if (!cpu.step()) {
-    running = false
-    if (debugMode) consolePrint('[CPU halted]')
-    document.getElementById('btn-run').textContent = 'run'
-    if (intervalId) {
-      clearInterval(intervalId)
-      intervalId = null
-    }
-    updateUI()
-    clearExecutionLine()
-    return
+// Registers and the display while the worker runs; memory catches up when it stops
+function showWorkerFrame(frame) {
+  Object.assign(machine.cpu.registers, frame.registers)
+  machine.cpu.instructionCount = frame.instructionCount
+  if (frame.vram) {
+    machine.display.vram.set(frame.vram)
+    machine.display.refresh()
   }
 
-  updateUI()
-  // Update execution line for slow speeds (100Hz or less)
-  if (speed <= 100) {
-    updateEditorExecutionLine()
+  const now = performance.now()
+  if (now - lastUIUpdate > UI_UPDATE_INTERVAL) {
+    updateRegisters()
+    lastUIUpdate = now
   }
+}
 
-  // Check for breakpoint
-  if (checkBreakpoint()) {
-    running = false
-    if (intervalId) {
-      clearInterval(intervalId)
-      intervalId = null
-    }
-    document.getElementById('btn-run').textContent = 'run'
-    updateEditorExecutionLine()
-    if (debugMode) consolePrint('[Breakpoint hit]')
+// The worker handed the machine back
+function handleWorkerStop({ reason, state, hits }) {
+  restoreState(state, machine)
+  machine.hits = new Map(hits)
+
+  if (reason === 'step') {
+    showStep(!machine.cpu.halted)
+    return
   }
+  if (reason === 'target') machine.stepTarget = null
+  handleStop(reason)
 }
 
 // ============================================================================
@@ -1904,18 +2676,13 @@ const BUTTON_BITS = {
   'btn-start': 0x80,   // Bit 7
 }
 
-const BUTTON_ADDRESS = 0x0010
-let currentButtonState = 0x00
-
 function updateButtonState(buttonId, pressed) {
   if (pressed) {
-    currentButtonState |= BUTTON_BITS[buttonId]
+    machine.buttons.press(BUTTON_BITS[buttonId])
   } else {
-    currentButtonState &= ~BUTTON_BITS[buttonId]
+    machine.buttons.release(BUTTON_BITS[buttonId])
   }
-
-  // Write to memory
-  memory.writeByte(BUTTON_ADDRESS, currentButtonState)
+  if (cpuWorker && cpuWorker.busy) cpuWorker.setButtons(machine.buttons.state)
 
   // Update memory view to show the change
   updateMemoryView(BUTTON_ADDRESS)
@@ -1960,100 +2727,246 @@ function setupGameBoyButtons() {
 // ============================================================================
 
 function handleRun() {
-  if (running) {
-    // Pause
-    running = false
-    if (animationFrameId) {
-      cancelAnimationFrame(animationFrameId)
-      animationFrameId = null
-    }
-    if (timeoutId) {
-      clearTimeout(timeoutId)
-      timeoutId = null
-    }
-    if (intervalId) {
-      clearInterval(intervalId)
-      intervalId = null
-    }
-    document.getElementById('btn-run').textContent = 'run'
-    updateButtonStates()
+  if (seekTimer !== null) {
+    // Stop going through the journal where it has got to
+    cancelSeek()
+    updateUI()
+    updateEditorExecutionLine()
+  } else if (cpuWorker && cpuWorker.busy) {
+    // Pause once the worker hands the machine back
+    cpuWorker.pause()
+  } else if (machine.running) {
+    machine.pause()
   } else {
-    // Run
-    running = true
-    executionStartTime = performance.now()
-    executionInstructionCount = 0
-    document.getElementById('btn-run').textContent = 'pause'
-
-    // For low speeds (<= 100 Hz), use setInterval for accurate timing
-    // For high speeds, use requestAnimationFrame
-    if (speed > 0 && speed <= 100) {
-      const delayMs = 1000 / speed  // milliseconds per instruction
-      intervalId = setInterval(executionLoopSlow, delayMs)
-    } else {
-      executionLoop()
-    }
+    machine.stepTarget = null
+    startExecution()
+  }
+}
+
+// Run in the worker when it can take the machine, except at low speeds,
+// where the editor follows each instruction
+function startExecution() {
+  cancelSeek()
+  // Recording halves the speed, so without history on a run goes unrecorded
+  // and stepping back starts again where it stops. Step Over and Out are
+  // part of stepping and keep recording.
+  if (!recordRuns && !machine.stepTarget && machine.cpu.journal) {
+    setAside = machine.cpu.journal
+    setAside.clear()
+    machine.cpu.journal = null
+  }
+  executionStartTime = performance.now()
+  executionStartCount = machine.cpu.instructionCount
+  document.getElementById('btn-run').textContent = 'pause'
+  if (useWorker() && !(machine.speed > 0 && machine.speed <= 100)) {
+    runInWorker()
+  } else {
+    machine.run()
+  }
+}
+
+// Step Over: run a CALL until it returns; any other instruction is a single step
+function handleStepOver() {
+  if (isRunning() || machine.cpu.halted) return
+
+  const target = stepOverTarget(machine.cpu)
+  if (!target) {
+    handleStep()
+    return
   }
+  machine.stepTarget = target
+  startExecution()
+}
+
+// Step Out: run until the current function returns to its caller
+function handleStepOut() {
+  if (isRunning() || machine.cpu.halted) return
+
+  const target = stepOutTarget(machine.cpu, machine.debugInfo)
+  if (!target) {
+    consolePrint('[Step Out: not inside a called function]')
+    return
+  }
+  machine.stepTarget = target
+  startExecution()
 }
 
 function handleStep() {
-  if (running) return // Don't step while running
+  if (isRunning()) return // Don't step while running
+  cancelSeek()
 
-  cpu.currentUndoList = []
+  if (useWorker()) {
+    cpuWorker.step(captureState(machine), 1, fs.cache)
+    return
+  }
+  showStep(machine.step())
+}
 
-  if (cpu.step()) {
-    if (cpu.currentUndoList.length > 0) {
-      if (undoHistory.length >= MAX_HISTORY) {
-        undoHistory.shift()
-      }
-      undoHistory.push(cpu.currentUndoList)
-    }
-    cpu.currentUndoList = null
+// Show where a single step left the CPU
+function showStep(continuing) {
+  if (continuing) {
+    checkWatchpoint()
     updateUI()
     updateEditorExecutionLine()
   } else {
-    cpu.currentUndoList = null
-    if (debugMode) consolePrint('[CPU halted]')
     clearExecutionLine()
+    if (machine.cpu.fault) {
+      updateUI()
+      reportFault()
+    } else {
+      updateButtonStates()
+      if (debugMode) consolePrint('[CPU halted]')
+    }
   }
 }
 
 function handleStepBack() {
-  if (running || undoHistory.length === 0) return
-
-  const undoList = undoHistory.pop()
-
-  for (let i = undoList.length - 1; i >= 0; i--) {
-    undoList[i]()
-  }
-
-  // Clear cached instruction since PC has changed
-  cpu.cachedInstruction = null
+  if (isRunning()) return
+  cancelSeek()
+  if (!machine.cpu.stepBack()) return
 
+  clearFaultLine()
   updateUI()
   updateEditorExecutionLine()
 }
 
-function handleQuit() {
-  // Stop execution if running
-  if (running) {
-    running = false
-    if (animationFrameId) {
-      cancelAnimationFrame(animationFrameId)
-      animationFrameId = null
-    }
-    if (timeoutId) {
-      clearTimeout(timeoutId)
-      timeoutId = null
-    }
-    if (intervalId) {
-      clearInterval(intervalId)
-      intervalId = null
+// Reverse Continue, timeline seeks and rstep go through the journal in
+// chunks, yielding to the page between them; Run or any other control stops
+// them where they have got to
+const SEEK_CHUNK = 10000     // Instructions between yields
+const SEEK_LIMIT = 1000000   // Most instructions one of them goes through
+let seekTimer = null         // The next chunk, while going through the journal
+
+// Call step(taken) until it returns false or has been called SEEK_LIMIT
+// times, then done(taken) with the number of times it returned true
+function seekInChunks(step, done) {
+  let taken = 0
+  const chunk = () => {
+    seekTimer = null
+    const end = Math.min(taken + SEEK_CHUNK, SEEK_LIMIT)
+    while (taken < end && step(taken)) taken++
+    if (taken === end && taken < SEEK_LIMIT) {
+      updateRegisters()
+      seekTimer = setTimeout(chunk, 0)
+      return
     }
     document.getElementById('btn-run').textContent = 'run'
+    done(taken)
+  }
+  document.getElementById('btn-run').textContent = 'pause'
+  chunk()
+}
+
+function cancelSeek() {
+  if (seekTimer === null) return
+  clearTimeout(seekTimer)
+  seekTimer = null
+  document.getElementById('btn-run').textContent = 'run'
+}
+
+// Reverse Continue: undo instructions until a breakpoint is reached, or until
+// the last instruction that wrote to a watched address. Breakpoint conditions
+// are checked, but hit counts and logpoints are ignored going backwards.
+function handleReverseContinue() {
+  const cpu = machine.cpu
+  if (isRunning()) return
+  cancelSeek()
+  if (!cpu.stepBack()) return
+
+  let stop = reverseStop()
+  const stepBack = () => {
+    if (stop || !cpu.stepBack()) return false
+    stop = reverseStop()
+    return true
+  }
+  seekInChunks(stepBack, undone => {
+    clearFaultLine()
+    updateUI()
+    updateEditorExecutionLine()
+    if (!stop && undone === SEEK_LIMIT) {
+      consolePrint(`[Reverse Continue: went back ${SEEK_LIMIT.toLocaleString()} instructions without a stop - continue to go further]`)
+    } else if (!stop) {
+      consolePrint('[Reverse Continue: reached the start of the recorded history]')
+    } else if (stop.watchpoint) {
+      const pc = '0x' + cpu.journal.pcs[cpu.journal.length - 1].toString(16).toUpperCase().padStart(4, '0')
+      consolePrint(`[Watchpoint ${stop.watchpoint.id}: last written by the instruction at PC=${pc}]`)
+    } else if (debugMode) {
+      consolePrint('[Breakpoint hit]')
+    }
+  })
+}
+
+// Where Reverse Continue stops: { breakpoint: true } at a breakpoint, or
+// { watchpoint } just after the instruction that wrote to it
+function reverseStop() {
+  const pc = machine.cpu.registers.PC
+  if (machine.breakpoints.has(pc)) {
+    const action = machine.breakpoints.get(pc)
+    if (!action || (!action.log && reverseConditionHolds(action))) return { breakpoint: true }
+  }
+
+  if (machine.cpu.watchpoints.list.length === 0) return null
+  for (const address of machine.cpu.journal.lastWrites()) {
+    const watchpoint = machine.cpu.watchpoints.list.find(w => w.kind !== 'read' && w.start <= address && w.end >= address)
+    if (watchpoint) return { watchpoint }
+  }
+  return null
+}
+
+function reverseConditionHolds(action) {
+  if (!action.condition) return true
+  try {
+    return action.condition({ registers: machine.cpu.registers, memory: machine.memory, symbols: machine.debugInfo ? machine.debugInfo.symbols : null })
+  } catch (err) {
+    return true
   }
+}
+
+// Timeline slider: from the oldest journaled instruction to the furthest reached
+function updateTimeline() {
+  const slider = document.getElementById('timeline-slider')
+  const count = machine.cpu.instructionCount
+  timelineEnd = Math.max(timelineEnd, count)
+  const first = machine.cpu.journal && machine.cpu.journal.length > 0 ? machine.cpu.journal.firstCount : count
+  slider.min = first
+  slider.max = timelineEnd
+  slider.value = count
+  slider.disabled = isRunning() || first === timelineEnd
+  document.getElementById('timeline-label').textContent =
+    `${count.toLocaleString()} / ${timelineEnd.toLocaleString()}`
+}
+
+// Jump to an instruction count: back through the journal, or forward by
+// running the program again (breakpoints are not checked on the way)
+function seekTimeline(target) {
+  const cpu = machine.cpu
+  if (isRunning()) return
+  cancelSeek()
+
+  seekInChunks(() => {
+    if (cpu.instructionCount > target) return cpu.stepBack()
+    return cpu.instructionCount < target && cpu.waiting !== 'input' && cpu.step()
+  }, taken => {
+    cpu.watchpoints.hit = null
+    clearFaultLine()
+    updateUI()
+    if (cpu.fault) {
+      clearExecutionLine()
+      reportFault()
+    } else {
+      updateEditorExecutionLine()
+    }
+    if (taken === SEEK_LIMIT) consolePrint(`[Timeline: stopped after ${SEEK_LIMIT.toLocaleString()} instructions - drag again to go further]`)
+  })
+}
+
+function handleQuit() {
+  cancelWorkerRun()
+  cancelSeek()
+  machine.pause()
 
   // Simulate EXIT syscall
-  cpu.halted = true
+  machine.cpu.halted = true
   clearExecutionLine()
   updateUI()
   consolePrint('[Program terminated]')
@@ -2061,27 +2974,27 @@ function handleQuit() {
 
 async function updateEditorExecutionLine() {
   // Only highlight if we have debug info and editor is open
-  if (!debugInfo || !debugInfo.lineMap) {
+  if (!machine.debugInfo || !machine.debugInfo.lineMap) {
     clearExecutionLine()
     return
   }
 
   // Check if the current file matches the source filename in debug info
-  if (debugInfo.sourceFilename) {
+  if (machine.debugInfo.sourceFilename) {
     const currentFile = await fs.getCurrentFile()
     const currentFilename = currentFile ? currentFile.split('/').pop() : null
 
-    if (currentFilename !== debugInfo.sourceFilename) {
+    if (currentFilename !== machine.debugInfo.sourceFilename) {
       // Filename doesn't match, don't highlight
       clearExecutionLine()
       return
     }
   }
 
-  const pc = cpu.registers.PC
+  const pc = machine.cpu.registers.PC
 
   // lineMap is array of {pc, line} objects - find matching entry
-  const entry = debugInfo.lineMap.find(e => e.pc === pc)
+  const entry = machine.debugInfo.lineMap.find(e => e.pc === pc)
   const sourceLine = entry ? entry.line : undefined
 
   if (sourceLine !== undefined && sourceLine > 0) {
@@ -2091,55 +3004,123 @@ async function updateEditorExecutionLine() {
   }
 }
 
-function updateBreakpointPCMap() {
-  // Update the runtime PC-to-breakpoint map from source line breakpoints
-  if (!debugInfo || !debugInfo.lineMap || !memory) return
+// Print a fault report and mark the faulting source line in the editor
+async function reportFault() {
+  const fault = machine.cpu.fault
+  const entry = machine.debugInfo && machine.debugInfo.lineMap ? machine.debugInfo.lineMap.find(e => e.pc === fault.pc) : null
+  const line = entry && entry.line > 0 ? entry.line : null
 
-  // Lazy initialization
-  if (!breakpointPCMap) {
-    breakpointPCMap = new Uint8Array(memory.size)
+  const report = formatFault(fault, machine.cpu.registers, {
+    line,
+    instructionText: fault.instruction ? disassembleInstruction(fault.pc) : null
+  })
+  report.forEach(text => consolePrint(text))
+
+  if (line === null) return
+
+  // Only mark the line if the editor is showing the program's source
+  if (machine.debugInfo.sourceFilename) {
+    const currentFile = await fs.getCurrentFile()
+    const currentFilename = currentFile ? currentFile.split('/').pop() : null
+    if (currentFilename !== machine.debugInfo.sourceFilename) return
   }
+  setFaultLine(line, `${fault.message} (PC=0x${fault.pc.toString(16).toUpperCase().padStart(4, '0')})`)
+}
 
-  // Clear map
-  breakpointPCMap.fill(0)
+// The editor's breakpoints as [{ pc, line, options }], as Machine.setBreakpoints
+// and the CPU worker take them
+function breakpointList() {
+  const debugInfo = machine.debugInfo
+  if (!debugInfo || !debugInfo.lineMap) return []
+
+  const lines = getBreakpoints()
+  const list = []
+  for (const entry of debugInfo.lineMap) {
+    if (!lines.includes(entry.line) || entry.pc >= machine.memory.size) continue
+    // Conditions and log messages were validated when they were set
+    const options = getBreakpointOptions(entry.line)
+    const hasOptions = options.condition || options.hitCount > 1 || options.logMessage
+    list.push({ pc: entry.pc, line: entry.line, options: hasOptions ? options : null })
+  }
+  return list
+}
 
-  // Get line numbers with breakpoints
-  const breakpointLines = getBreakpoints()
-  if (breakpointLines.length === 0) return
+// Give the machine the editor's breakpoints; a program running in the
+// worker picks up the change straight away
+function updateBreakpoints() {
+  const list = breakpointList()
+  machine.setBreakpoints(list)
+  if (cpuWorker && cpuWorker.busy) cpuWorker.setBreakpoints(list)
+}
 
-  // For each line map entry, check if its line has a breakpoint
-  for (let i = 0; i < debugInfo.lineMap.length; i++) {
-    const entry = debugInfo.lineMap[i]
-    if (breakpointLines.includes(entry.line)) {
-      if (entry.pc < breakpointPCMap.length) {
-        breakpointPCMap[entry.pc] = 1
-      }
-    }
+// Parse "[if <condition>] [hits <n>] [log <message>]" into breakpoint options
+function parseBreakpointSpec(text) {
+  const match = text.trim().match(/^(?:if\s+(.*?))?\s*(?:hits\s+(\d+))?\s*(?:log\s+(.*))?$/i)
+  if (!match) {
+    throw new Error('Expected [if <condition>] [hits <n>] [log <message>]')
   }
+  const options = {
+    condition: match[1] ? match[1].trim() : null,
+    hitCount: match[2] ? parseInt(match[2], 10) : 0,
+    logMessage: match[3] ? match[3].trim() : null
+  }
+
+  // Report syntax errors now rather than when the breakpoint is hit
+  if (options.condition) compileExpression(options.condition)
+  if (options.logMessage) compileTemplate(options.logMessage)
+  return options
 }
 
-function checkBreakpoint() {
-  // Fast O(1) PC lookup
-  if (!breakpointPCMap) return false
-  const pc = cpu.registers.PC
-  return pc < breakpointPCMap.length && breakpointPCMap[pc] === 1
+function describeBreakpointOptions(options) {
+  const parts = []
+  if (options.condition) parts.push(`if ${options.condition}`)
+  if (options.hitCount > 1) parts.push(`hits ${options.hitCount}`)
+  if (options.logMessage) parts.push(`log ${options.logMessage}`)
+  return parts.join(' ')
 }
 
-function handleReset() {
-  running = false
-  if (animationFrameId) {
-    cancelAnimationFrame(animationFrameId)
-    animationFrameId = null
+// Edit a gutter breakpoint's options (shift-click in the glyph margin)
+function editBreakpoint(line) {
+  const current = getBreakpointOptions(line)
+  const text = prompt(
+    `Breakpoint on line ${line}: [if <condition>] [hits <n>] [log <message>]\n` +
+    'Example: if CX == 0 && [counter] > 5 hits 40 log i={CX} counter={[counter]}',
+    current ? describeBreakpointOptions(current) : ''
+  )
+  if (text === null) return
+
+  try {
+    setBreakpointOptions(line, parseBreakpointSpec(text))
+  } catch (err) {
+    consolePrint(`[Breakpoint on line ${line} not changed: ${err.message}]`)
   }
-  if (timeoutId) {
-    clearTimeout(timeoutId)
-    timeoutId = null
+}
+
+// Report and clear a watchpoint hit from the last instruction
+function checkWatchpoint() {
+  const hit = machine.cpu.watchpoints.hit
+  if (!hit) return false
+  machine.cpu.watchpoints.hit = null
+
+  const digits = hit.size * 2
+  const entry = machine.debugInfo && machine.debugInfo.lineMap ? machine.debugInfo.lineMap.find(e => e.pc === hit.pc) : null
+  const where = `PC=${hex(hit.pc, 4)}` + (entry && entry.line > 0 ? ` (line ${entry.line})` : '')
+
+  let detail
+  if (hit.access === 'read') {
+    detail = `read ${hex(hit.value, digits)} from ${hex(hit.address, 4)}`
+  } else {
+    detail = `wrote ${hex(hit.value, digits)} to ${hex(hit.address, 4)} (was ${hex(hit.oldValue, digits)})`
   }
+  consolePrint(`[Watchpoint ${hit.watchpoint.id} hit: ${detail} at ${where}]`)
+  return true
+}
 
-  memory.clear()
-  cpu.reset()
-  display.clear()
-  undoHistory = []
+function handleReset() {
+  cancelWorkerRun()
+  cancelSeek()
+  machine.reset()
+  resetDebugState()
 
   document.getElementById('btn-run').textContent = 'run'
 
@@ -2150,12 +3131,12 @@ function handleReset() {
 
 async function handleEdit() {
   // Open the source file from debug info
-  if (!debugInfo || !debugInfo.sourceFilename) {
+  if (!machine.debugInfo || !machine.debugInfo.sourceFilename) {
     consolePrint('[No source file information available]')
     return
   }
 
-  const filename = debugInfo.sourceFilename
+  const filename = machine.debugInfo.sourceFilename
   consolePrint(`[Searching for ${filename}...]`)
 
   try {
@@ -2199,55 +3180,34 @@ async function searchForFile(dirPath, filename) {
 }
 
 function handleSpeedChange(e) {
-  speed = parseInt(e.target.value, 10)
-
-  // If currently running, restart with new speed
-  if (running) {
-    // Stop current execution
-    if (animationFrameId) {
-      cancelAnimationFrame(animationFrameId)
-      animationFrameId = null
-    }
-    if (timeoutId) {
-      clearTimeout(timeoutId)
-      timeoutId = null
-    }
-    if (intervalId) {
-      clearInterval(intervalId)
-      intervalId = null
-    }
-
-    // Restart with new speed
-    if (speed > 0 && speed < 100) {
-      const delayMs = 1000 / speed
-      intervalId = setInterval(executionLoopSlow, delayMs)
-    } else {
-      executionLoop()
-    }
-  }
+  machine.setSpeed(parseInt(e.target.value, 10))
 }
 
 function handleMemorySizeChange(e) {
   const newSize = parseInt(e.target.value, 10)
 
   // Don't resize if emulator is running
-  if (running) {
+  if (isRunning()) {
     consolePrint('[Cannot resize memory while running]')
     // Reset dropdown to current size
-    e.target.value = memory.size
+    e.target.value = machine.memory.size
     return
   }
 
   try {
     // Get current BK and SP values before resize
-    const currentBK = cpu.registers.BK
-    const currentSP = cpu.registers.SP
+    const currentBK = machine.cpu.registers.BK
+    const currentSP = machine.cpu.registers.SP
 
     // Resize memory (preserves heap and stack)
-    const result = memory.resize(newSize, currentBK, currentSP)
+    const result = machine.memory.resize(newSize, currentBK, currentSP)
 
     // Update SP register to new stack position
-    cpu.registers.SP = result.newStackPointer
+    machine.cpu.registers.SP = result.newStackPointer
+
+    // The stack has moved, so the journal's history no longer applies
+    if (machine.cpu.journal) machine.cpu.journal.clear()
+    timelineEnd = machine.cpu.instructionCount
 
     // Update UI to reflect changes
     updateUI()
@@ -2256,7 +3216,7 @@ function handleMemorySizeChange(e) {
   } catch (error) {
     consolePrint(`[Error resizing memory: ${error.message}]`)
     // Reset dropdown to current size
-    e.target.value = memory.size
+    e.target.value = machine.memory.size
   }
 }
 
@@ -3217,36 +4177,20 @@ async function handleLoadProgram() {
 
   try {
     const bytecode = assemble(source, filename)
-    const result = memory.loadBinary(bytecode)
-    cpu.reset()
-
-    // Set BK and CB from binary header
-    cpu.registers.BK = result.breakPointer
-    cpu.registers.CB = result.codeBase
-    debugInfo = result.debugInfo
-
-    // Update memory size dropdown if memory was resized
-    const memorySelect = document.getElementById('memory-size-select')
-    if (memorySelect && memorySelect.value != memory.size) {
-      memorySelect.value = memory.size
-    }
+    cancelWorkerRun()
+    // No command line from the editor - AX points to an empty string
+    const result = machine.load(bytecode, '')
+    resetDebugState()
+    showMemorySize()
 
     // Update breakpoint PC map after loading program
-    updateBreakpointPCMap()
-
-    // Clear undo history on new program load
-    undoHistory = []
-
-    // Set AX to point to empty string at BK (no command line args from editor)
-    memory.writeByte(cpu.registers.BK, 0)  // Write null terminator
-    cpu.registers.AX = cpu.registers.BK
-    cpu.registers.BK++  // Move BK past the null terminator
+    updateBreakpoints()
 
     if (debugMode) {
       consolePrint('[Assembly successful]')
       consolePrint(`[Code: 0x0020-0x${result.codeEnd.toString(16).toUpperCase()}, Data: 0x${result.codeEnd.toString(16).toUpperCase()}-0x${result.dataEnd.toString(16).toUpperCase()}]`)
-      if (debugInfo) {
-        consolePrint(`[Debug info: ${debugInfo.lineMap.length} lines, ${Object.keys(debugInfo.symbols).length} symbols]`)
+      if (machine.debugInfo) {
+        consolePrint(`[Debug info: ${machine.debugInfo.lineMap.length} lines, ${Object.keys(machine.debugInfo.symbols).length} symbols]`)
       }
     }
 
@@ -3264,7 +4208,7 @@ async function handleRunProgram() {
   await handleLoadProgram()
 
   // Start execution
-  if (!running) {
+  if (!isRunning()) {
     handleRun()
   }
 }
@@ -3278,13 +4222,8 @@ export async function initUI() {
   await initializeMonaco()
 
   // Set up breakpoint change callback
-  setBreakpointChangeCallback(updateBreakpointPCMap)
-
-  // Create display
-  display = new Display('display-canvas')
-
-  // Create memory with display reference
-  memory = new Memory(1024, display)
+  setBreakpointChangeCallback(updateBreakpoints)
+  setBreakpointEditCallback(editBreakpoint)
 
   // Initialize file system
   fs = new FileSystem()
@@ -3300,23 +4239,18 @@ export async function initUI() {
 
   await fs.ready
 
-  // Create OS with filesystem
-  os = new OS(null, memory, display, fs)
-
-  // Create CPU with OS
-  cpu = new CPU(memory, os)
+  // Create the machine, reading files from the file system and journaling
+  // steps for stepping backwards (runs too with history on)
+  machine = new Machine({ canvas: 'display-canvas', filesystem: fs, journal: true })
 
-  // Now set CPU reference in OS
-  os.cpu = cpu
+  machine.speed = Number(document.getElementById('speed-select').value)
+  machine.on('output', consolePrint)
+  machine.on('log', consolePrint)
+  machine.on('inputWait', setInputPrompt)
+  machine.on('frame', showFrame)
+  machine.on('stop', handleStop)
 
-  // Set up OS callbacks
-  os.setOutputCallback((text) => {
-    consolePrint(text)
-  })
-
-  os.setHaltCallback(() => {
-    running = false
-    document.getElementById('btn-run').textContent = 'run'
+  machine.os.setHaltCallback(() => {
     clearExecutionLine()
     if (debugMode) consolePrint('[Program exited]')
   })
@@ -3344,7 +4278,7 @@ export async function initUI() {
     const splashData = await fs.readFile('/img/mtmc-splash.png')
     const blob = new Blob([splashData], { type: 'image/png' })
     const url = URL.createObjectURL(blob)
-    await display.loadImage(url)
+    await machine.display.loadImage(url)
     URL.revokeObjectURL(url)
   } catch (err) {
     // Splash screen is optional, don't error if missing
@@ -3354,7 +4288,11 @@ export async function initUI() {
   // Wire up controls
   document.getElementById('btn-run').addEventListener('click', handleRun)
   document.getElementById('btn-step').addEventListener('click', handleStep)
+  document.getElementById('btn-step-over').addEventListener('click', handleStepOver)
+  document.getElementById('btn-step-out').addEventListener('click', handleStepOut)
   document.getElementById('btn-step-back').addEventListener('click', handleStepBack)
+  document.getElementById('btn-reverse-continue').addEventListener('click', handleReverseContinue)
+  document.getElementById('timeline-slider').addEventListener('input', (e) => seekTimeline(Number(e.target.value)))
   document.getElementById('btn-quit').addEventListener('click', handleQuit)
   document.getElementById('btn-reset').addEventListener('click', handleReset)
   document.getElementById('btn-edit').addEventListener('click', handleEdit)
@@ -3365,6 +4303,11 @@ export async function initUI() {
   document.getElementById('btn-save').addEventListener('click', saveCurrentFile)
   document.getElementById('btn-back').addEventListener('click', showExplorerView)
   document.getElementById('memory-mode-btn').addEventListener('click', toggleMemoryDisplayMode)
+  document.getElementById('memory-view').addEventListener('contextmenu', handleMemoryCellWatch)
+  document.getElementById('btn-close-debug').addEventListener('click', hideDebugPanel)
+  document.querySelectorAll('.debug-tab').forEach(tab => {
+    tab.addEventListener('click', () => showDebugView(tab.dataset.view))
+  })
   document.getElementById('btn-expand-console').addEventListener('click', toggleConsoleFullscreen)
   document.getElementById('btn-expand-fs').addEventListener('click', toggleFsFullscreen)
 
@@ -3523,7 +4466,11 @@ export async function initUI() {
         e.preventDefault()
         const input = consoleInput.value
         consoleInput.value = ''
-        handleConsoleInput(input)
+        if (machine.cpu.waiting === 'input') {
+          handleProgramInput(input)
+        } else {
+          handleConsoleInput(input)
+        }
       } else if (e.key === 'ArrowUp') {
         e.preventDefault()
         if (commandHistory.length > 0) {
@@ -3592,7 +4539,7 @@ export async function initUI() {
     if (!isInEditorMode) return
 
     // Check if a program is loaded by checking if BK is beyond the header
-    const isProgramLoaded = cpu.registers.BK > 0x20
+    const isProgramLoaded = machine.cpu.registers.BK > 0x20
 
     if (!isProgramLoaded) {
       // No program loaded, load it
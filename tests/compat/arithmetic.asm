@@ -44,4 +44,5 @@ SYSCALL PRINT_INT
 MOV AX, 10
 SYSCALL PRINT_CHAR
 
+MOV AX, 0            ; Exit status: success
 SYSCALL EXIT
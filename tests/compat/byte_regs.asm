@@ -25,4 +25,5 @@ SYSCALL PRINT_CHAR
 MOV AX, 10
 SYSCALL PRINT_CHAR  ; newline
 
+MOV AX, 0            ; Exit status: success
 SYSCALL EXIT
@@ -34,4 +34,5 @@ main:
     MOV AX, 10
     SYSCALL PRINT_CHAR
 
+    MOV AX, 0            ; Exit status: success
     SYSCALL EXIT
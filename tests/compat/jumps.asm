@@ -9,6 +9,7 @@ CMP AX, BX
 JE test1_pass
 MOV AX, fail1
 SYSCALL PRINT_STRING
+MOV AX, 1            ; Exit status: failure
 SYSCALL EXIT
 test1_pass:
 
@@ -19,6 +20,7 @@ CMP AX, BX
 JNE test2_pass
 MOV AX, fail2
 SYSCALL PRINT_STRING
+MOV AX, 1            ; Exit status: failure
 SYSCALL EXIT
 test2_pass:
 
@@ -29,6 +31,7 @@ CMP AX, BX
 JL test3_pass
 MOV AX, fail3
 SYSCALL PRINT_STRING
+MOV AX, 1            ; Exit status: failure
 SYSCALL EXIT
 test3_pass:
 
@@ -39,6 +42,7 @@ CMP AX, BX
 JG test4_pass
 MOV AX, fail4
 SYSCALL PRINT_STRING
+MOV AX, 1            ; Exit status: failure
 SYSCALL EXIT
 test4_pass:
 
@@ -49,6 +53,7 @@ CMP AX, BX
 JLE test5_pass
 MOV AX, fail5
 SYSCALL PRINT_STRING
+MOV AX, 1            ; Exit status: failure
 SYSCALL EXIT
 test5_pass:
 
@@ -59,12 +64,14 @@ CMP AX, BX
 JGE test6_pass
 MOV AX, fail6
 SYSCALL PRINT_STRING
+MOV AX, 1            ; Exit status: failure
 SYSCALL EXIT
 test6_pass:
 
 ; All tests passed
 MOV AX, success
 SYSCALL PRINT_STRING
+MOV AX, 0            ; Exit status: success
 SYSCALL EXIT
 
 success: DB "ALL TESTS PASSED", 10, 0
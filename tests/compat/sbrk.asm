@@ -31,11 +31,13 @@ JE success
 ; Error case
 MOV AX, err_msg
 SYSCALL PRINT_STRING
+MOV AX, 1            ; Exit status: failure
 SYSCALL EXIT
 
 success:
 MOV AX, ok_msg
 SYSCALL PRINT_STRING
+MOV AX, 0            ; Exit status: success
 SYSCALL EXIT
 
 ok_msg: DB "OK", 10, 0